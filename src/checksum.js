@@ -0,0 +1,94 @@
+/**
+ * Checksum helpers for Brizo SDK
+ * Hash upload and download content (SHA-256, optionally MD5) without buffering it
+ */
+
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const stream = require("node:stream");
+const { ValidationError } = require("./errors");
+
+/**
+ * Algorithms requested by an upload's checksum option
+ * @param {boolean|Object} [option=true] - false disables checksums, { md5: true } adds MD5 to SHA-256
+ * @returns {string[]} Algorithm names ([] when disabled)
+ */
+function checksumAlgorithms(option) {
+  if (option === false) return [];
+  if (option === undefined || option === null || option === true) return ["sha256"];
+  if (typeof option === "object") return option.md5 ? ["sha256", "md5"] : ["sha256"];
+
+  throw new ValidationError("checksum must be a boolean or { md5: boolean }");
+}
+
+/**
+ * Hex digests of a Buffer
+ * @param {Buffer} buffer - Content
+ * @param {string[]} algorithms - Algorithm names
+ * @returns {Object} { sha256, md5? }
+ */
+function hashBuffer(buffer, algorithms) {
+  const digests = {};
+  for (const algorithm of algorithms) {
+    digests[algorithm] = crypto.createHash(algorithm).update(buffer).digest("hex");
+  }
+  return digests;
+}
+
+/**
+ * Hex digests of a file, read as a stream
+ * @param {string} filePath - File path
+ * @param {string[]} algorithms - Algorithm names
+ * @returns {Promise<Object>} { sha256, md5? }
+ */
+async function hashFile(filePath, algorithms) {
+  const hasher = createHashingStream(algorithms);
+  await stream.promises.pipeline(fs.createReadStream(filePath), hasher, new stream.Writable({ write: (chunk, encoding, callback) => callback() }));
+  return hasher.digest();
+}
+
+/**
+ * Pass-through stream that hashes everything flowing through it
+ * Call digest() once the stream has ended to get { sha256, md5? } as hex strings
+ * @param {string[]} algorithms - Algorithm names
+ * @returns {import('node:stream').Transform}
+ */
+function createHashingStream(algorithms) {
+  const hashes = algorithms.map((algorithm) => [algorithm, crypto.createHash(algorithm)]);
+  let digests = null;
+
+  const hasher = new stream.Transform({
+    transform(chunk, encoding, callback) {
+      for (const [, hash] of hashes) hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+
+  hasher.digest = () => {
+    if (!digests) {
+      digests = {};
+      for (const [algorithm, hash] of hashes) digests[algorithm] = hash.digest("hex");
+    }
+    return digests;
+  };
+
+  return hasher;
+}
+
+/**
+ * Compare two hex digests (case-insensitive)
+ * @param {string} expected - Expected digest
+ * @param {string} actual - Actual digest
+ * @returns {boolean}
+ */
+function digestsMatch(expected, actual) {
+  return String(expected).toLowerCase() === String(actual).toLowerCase();
+}
+
+module.exports = {
+  checksumAlgorithms,
+  hashBuffer,
+  hashFile,
+  createHashingStream,
+  digestsMatch,
+};
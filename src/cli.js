@@ -0,0 +1,593 @@
+/**
+ * Command-line interface for Brizo SDK
+ * Thin layer over the Brizo client; run `brizo help` for usage
+ */
+
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const Brizo = require("./index");
+const { readEnv } = require("./config");
+const { BrizoError, NotFoundError } = require("./errors");
+const { toLocalName } = require("./utils");
+
+/**
+ * Flags that take a value (all other flags are booleans)
+ */
+const VALUE_FLAGS = new Set(["folder", "parent", "profile", "config", "concurrency"]);
+
+/**
+ * Boolean flags (any other flag is rejected, so a typo never runs the command without it)
+ */
+const BOOLEAN_FLAGS = new Set(["parents", "recursive", "force", "help", "json", "version", "chunked", "overwrite", "dry-run", "progress"]);
+
+/**
+ * Short flag aliases
+ */
+const SHORT_FLAGS = Object.freeze({ p: "parents", r: "recursive", f: "force", h: "help", j: "json" });
+
+/**
+ * Config file used when neither --config nor BRIZO_CONFIG_FILE is given
+ */
+const DEFAULT_CONFIG_FILE = path.join(os.homedir(), ".brizo", "config.json");
+
+/**
+ * Error for invalid command-line usage (exit code 2)
+ */
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Parse command-line arguments
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @returns {Object} { command, args, flags }
+ */
+function parseArgs(argv) {
+  const args = [];
+  const flags = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === "--") {
+      args.push(...argv.slice(i + 1));
+      break;
+    }
+
+    if (arg.startsWith("--")) {
+      const [name, inline] = arg.slice(2).split(/=(.*)/s);
+      const known = name.startsWith("no-") ? name.slice(3) : name;
+      if (!VALUE_FLAGS.has(known) && !BOOLEAN_FLAGS.has(known)) {
+        throw new UsageError(`Unknown flag --${name}`);
+      }
+      if (name.startsWith("no-")) {
+        flags[name.slice(3)] = false;
+      } else if (VALUE_FLAGS.has(name)) {
+        const value = inline !== undefined ? inline : argv[++i];
+        if (value === undefined) throw new UsageError(`--${name} needs a value`);
+        flags[name] = value;
+      } else {
+        flags[name] = true;
+      }
+    } else if (arg.startsWith("-") && arg.length > 1) {
+      for (const letter of arg.slice(1)) {
+        if (!SHORT_FLAGS[letter]) throw new UsageError(`Unknown flag -${letter}`);
+        flags[SHORT_FLAGS[letter]] = true;
+      }
+    } else {
+      args.push(arg);
+    }
+  }
+
+  return { command: args.shift() || null, args, flags };
+}
+
+/**
+ * Format a byte count for humans
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatBytes(bytes) {
+  if (typeof bytes !== "number" || !Number.isFinite(bytes)) return "-";
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Format a duration in milliseconds for humans
+ * @param {number|null} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  if (ms === null || ms === undefined) return "--";
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) return `${seconds}s`;
+  return `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, "0")}s`;
+}
+
+/**
+ * Single-line progress bar drawn on a TTY (does nothing on other streams)
+ */
+class ProgressBar {
+  /**
+   * @param {Object} stream - Output stream (usually stderr)
+   * @param {string} label - Text shown before the bar
+   * @param {boolean} [enabled=true] - Draw the bar at all
+   */
+  constructor(stream, label, enabled = true) {
+    this.stream = stream;
+    this.label = label;
+    this.enabled = enabled && Boolean(stream.isTTY);
+    this.drawn = false;
+  }
+
+  /**
+   * Redraw the bar from a progress snapshot
+   * @param {Object} progress - { loaded, total, percent, bytesPerSecond, etaMs, filesCompleted?, filesTotal? }
+   */
+  update(progress) {
+    if (!this.enabled) return;
+
+    const width = 24;
+    const filled = Math.round((width * progress.percent) / 100);
+    const files = progress.filesTotal !== undefined ? ` ${progress.filesCompleted}/${progress.filesTotal} files` : "";
+    const line = `${this.label} [${"#".repeat(filled)}${"-".repeat(width - filled)}] ${String(progress.percent).padStart(3)}% ${formatBytes(progress.loaded)}/${formatBytes(progress.total)} ${formatBytes(progress.bytesPerSecond)}/s ETA ${formatDuration(progress.etaMs)}${files}`;
+
+    this.stream.write(`\r${line}\x1b[K`);
+    this.drawn = true;
+  }
+
+  /**
+   * Move past the bar once the transfer is over
+   */
+  done() {
+    if (this.drawn) {
+      this.stream.write("\n");
+      this.drawn = false;
+    }
+  }
+}
+
+/**
+ * Print rows as aligned columns
+ * @private
+ */
+function printTable(out, headers, rows) {
+  const widths = headers.map((header, i) => Math.max(header.length, ...rows.map((row) => String(row[i]).length)));
+  const format = (row) =>
+    row
+      .map((cell, i) => (i === row.length - 1 ? String(cell) : String(cell).padEnd(widths[i])))
+      .join("  ")
+      .trimEnd();
+
+  out.write(`${format(headers)}\n`);
+  for (const row of rows) {
+    out.write(`${format(row)}\n`);
+  }
+}
+
+/**
+ * Find a file or folder by ID
+ * @private
+ */
+async function findItem(brizo, id) {
+  try {
+    return { type: "file", item: await brizo.files.get(id) };
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+  }
+
+  try {
+    return { type: "folder", item: await brizo.folders.get(id) };
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) throw error;
+  }
+
+  throw new NotFoundError(`No file or folder with ID ${id}`);
+}
+
+/**
+ * Require a number of positional arguments
+ * @private
+ */
+function expectArgs(args, min, usage) {
+  if (args.length < min) {
+    throw new UsageError(`Usage: brizo ${usage}`);
+  }
+}
+
+/**
+ * Available commands
+ * Each command prints human-readable output and returns the value printed with --json;
+ * commands that partly fail set context.exitCode
+ */
+const COMMANDS = {
+  ls: {
+    usage: "ls [folderId]",
+    description: "List the folders and files in a folder (default: root)",
+    async run({ brizo, args, out, json }) {
+      const folderId = args[0] && args[0] !== "root" ? args[0] : "";
+      const folders = await brizo.folders.listAll(folderId, { maxDepth: 1 });
+      const files = await brizo.files.listAll({ folderId: folderId || "root" });
+
+      if (!json) {
+        const rows = [...folders.map((folder) => ["folder", folder.id, "-", `${folder.name}/`]), ...files.map((file) => ["file", file.id, formatBytes(file.size), file.originalName])];
+        printTable(out, ["TYPE", "ID", "SIZE", "NAME"], rows);
+      }
+
+      return { folders: folders.map(({ path: _path, pathString: _pathString, ...folder }) => folder), files };
+    },
+  },
+
+  tree: {
+    usage: "tree [folderId]",
+    description: "Show the folder tree with its files",
+    async run({ brizo, args, out, json }) {
+      const rootId = args[0] && args[0] !== "root" ? args[0] : "";
+      const folders = await brizo.folders.listAll(rootId);
+      const nodes = new Map([[rootId, { folders: [], files: [] }]]);
+
+      for (const folder of folders) {
+        nodes.set(folder.id, { folders: [], files: [] });
+      }
+      for (const folder of folders) {
+        const parent = nodes.get(folder.parent || "") || nodes.get(rootId);
+        parent.folders.push(folder);
+      }
+      for (const [id, node] of nodes) {
+        node.files = await brizo.files.listAll({ folderId: id || "root" });
+      }
+
+      const build = (id) => {
+        const node = nodes.get(id);
+        return {
+          folders: node.folders.map((folder) => ({ id: folder.id, name: folder.name, ...build(folder.id) })),
+          files: node.files.map((file) => ({ id: file.id, name: file.originalName, size: file.size })),
+        };
+      };
+      const tree = build(rootId);
+
+      if (!json) {
+        const print = (node, prefix) => {
+          const children = [...node.folders.map((folder) => ({ label: `${folder.name}/`, node: folder })), ...node.files.map((file) => ({ label: `${file.name} (${formatBytes(file.size)})`, node: null }))];
+          children.forEach((child, i) => {
+            const last = i === children.length - 1;
+            out.write(`${prefix}${last ? "└── " : "├── "}${child.label}\n`);
+            if (child.node) print(child.node, `${prefix}${last ? "    " : "│   "}`);
+          });
+        };
+
+        out.write(rootId ? `${(await brizo.folders.get(rootId)).name}/\n` : "/\n");
+        print(tree, "");
+      }
+
+      return tree;
+    },
+  },
+
+  upload: {
+    usage: "upload <file...> [--folder <folderId>] [--chunked] [--concurrency <n>]",
+    description: "Upload one or more local files",
+    async run(context) {
+      const { brizo, args, flags, out, err, json } = context;
+      expectArgs(args, 1, COMMANDS.upload.usage);
+      const folderId = flags.folder || "";
+
+      if (args.length === 1) {
+        const bar = context.progressBar(path.basename(args[0]));
+        const file = await brizo.files.upload({ file: args[0], folderId, chunked: Boolean(flags.chunked), onProgress: (p) => bar.update(p) });
+        bar.done();
+
+        if (!json) out.write(`Uploaded ${file.originalName} (${file.id})\n`);
+        return file;
+      }
+
+      const bar = context.progressBar("upload");
+      const results = await brizo.files.uploadBatch(
+        args.map((file) => ({ file, folderId, chunked: Boolean(flags.chunked) })),
+        { concurrency: Number(flags.concurrency) || 3, onProgress: (p) => bar.update(p) },
+      );
+      bar.done();
+
+      if (!json) {
+        for (const file of results.successful) out.write(`Uploaded ${file.originalName} (${file.id})\n`);
+        for (const failure of results.failed) err.write(`Failed ${failure.filename}: ${failure.error.message}\n`);
+      }
+      if (results.failed.length > 0) context.exitCode = 1;
+
+      return { successful: results.successful, failed: results.failed.map((failure) => ({ filename: failure.filename, error: failure.error.message })) };
+    },
+  },
+
+  download: {
+    usage: "download <id> [destination] [-r] [--overwrite] [--concurrency <n>]",
+    description: "Download a file, or a folder with -r",
+    async run(context) {
+      const { brizo, args, flags, out, err, json } = context;
+      expectArgs(args, 1, COMMANDS.download.usage);
+      const [id, destination] = args;
+
+      if (flags.recursive) {
+        const folder = id === "root" ? null : await brizo.folders.get(id);
+        const target = destination || (folder ? folder.name : "brizo");
+        const bar = context.progressBar(target);
+        const results = await brizo.folders.download(id, target, { overwrite: Boolean(flags.overwrite), concurrency: Number(flags.concurrency) || 4, onProgress: (p) => bar.update(p) });
+        bar.done();
+
+        if (!json) {
+          out.write(`Downloaded ${results.successful.length} files (${formatBytes(results.bytes)}) to ${path.resolve(target)}\n`);
+          if (results.skipped.length > 0) out.write(`Skipped ${results.skipped.length} existing files (use --overwrite to replace them)\n`);
+          for (const failure of results.failed) err.write(`Failed ${failure.relativePath}: ${failure.error.message}\n`);
+        }
+        if (results.failed.length > 0) context.exitCode = 1;
+
+        const entry = ({ file, relativePath }) => ({ id: file.id, path: relativePath });
+        return { successful: results.successful.map(entry), failed: results.failed.map((failure) => ({ ...entry(failure), error: failure.error.message })), skipped: results.skipped.map(entry), bytes: results.bytes };
+      }
+
+      const file = await brizo.files.get(id);
+      // The remote name must not steer the download outside the destination
+      const localName = toLocalName(file.originalName);
+      let target = destination || localName;
+      if (destination && fs.existsSync(destination) && fs.statSync(destination).isDirectory()) {
+        target = path.join(destination, localName);
+      }
+
+      const bar = context.progressBar(file.originalName);
+      const result = await brizo.files.download(id, { destination: target, overwrite: Boolean(flags.overwrite), onProgress: (p) => bar.update(p) });
+      bar.done();
+
+      if (!json) out.write(`Downloaded ${file.originalName} to ${result.destination}\n`);
+      return { file: result.file, destination: result.destination, bytes: result.bytes };
+    },
+  },
+
+  mkdir: {
+    usage: "mkdir [-p] <name|path> [--parent <folderId>]",
+    description: "Create a folder (-p creates every folder along a path)",
+    async run({ brizo, args, flags, out, json }) {
+      expectArgs(args, 1, COMMANDS.mkdir.usage);
+
+      let folder;
+      if (flags.parents) {
+        if (flags.parent) throw new UsageError("--parent cannot be combined with -p (paths start at the root)");
+        folder = await brizo.folders.createPath(args[0]);
+      } else {
+        folder = await brizo.folders.create({ name: args[0], parentId: flags.parent || "" });
+      }
+
+      if (!json) out.write(`${folder.id}\n`);
+      return folder;
+    },
+  },
+
+  mv: {
+    usage: "mv <id> <targetFolderId|root>",
+    description: "Move a file or folder into another folder",
+    async run({ brizo, args, out, json }) {
+      expectArgs(args, 2, COMMANDS.mv.usage);
+      const [id, target] = args;
+      const { type } = await findItem(brizo, id);
+      const moved = type === "file" ? await brizo.files.move(id, target) : await brizo.folders.move(id, target);
+
+      if (!json) out.write(`Moved ${type} ${id} to ${target}\n`);
+      return moved;
+    },
+  },
+
+  rename: {
+    usage: "rename <id> <newName>",
+    description: "Rename a file or folder",
+    async run({ brizo, args, out, json }) {
+      expectArgs(args, 2, COMMANDS.rename.usage);
+      const [id, name] = args;
+      const { type } = await findItem(brizo, id);
+      const renamed = type === "file" ? await brizo.files.rename(id, name) : await brizo.folders.rename(id, name);
+
+      if (!json) out.write(`Renamed ${type} ${id} to ${name}\n`);
+      return renamed;
+    },
+  },
+
+  rm: {
+    usage: "rm [-r] [--dry-run] <id...>",
+    description: "Delete files, or folders with everything in them with -r",
+    async run({ brizo, args, flags, out, json }) {
+      expectArgs(args, 1, COMMANDS.rm.usage);
+      const dryRun = Boolean(flags["dry-run"]);
+      const deleted = [];
+
+      for (const id of args) {
+        const { type } = await findItem(brizo, id);
+        if (type === "folder") {
+          if (!flags.recursive) throw new UsageError(`${id} is a folder (use rm -r to delete it)`);
+          const results = await brizo.folders.deleteRecursive(id, { dryRun, concurrency: Number(flags.concurrency) || 4 });
+
+          if (!json && dryRun) {
+            for (const entry of results.plan) out.write(`Would delete ${entry.type} ${entry.relativePath || "."} (${entry.id})\n`);
+          }
+          deleted.push(...(dryRun ? results.plan : results.deleted).map((entry) => ({ id: entry.id, type: entry.type, path: entry.relativePath })));
+        } else if (!dryRun) {
+          await brizo.files.delete(id);
+          deleted.push({ id, type });
+        } else {
+          if (!json) out.write(`Would delete file ${id}\n`);
+          deleted.push({ id, type });
+        }
+
+        if (!json && !dryRun) out.write(`Deleted ${type} ${id}\n`);
+      }
+
+      return { dryRun, deleted };
+    },
+  },
+
+  "share-url": {
+    usage: "share-url <id>",
+    description: "Print the public share URL of a file or folder",
+    async run({ brizo, args, out, json }) {
+      expectArgs(args, 1, COMMANDS["share-url"].usage);
+      const { type, item } = await findItem(brizo, args[0]);
+      const url = type === "file" ? brizo.files.getShareUrl(item) : brizo.folders.getShareUrl(item);
+
+      if (!url) throw new BrizoError(`The ${type} is not shared`, null, "NOT_SHARED");
+      if (!json) out.write(`${url}\n`);
+      return { id: item.id, type, url };
+    },
+  },
+
+  usage: {
+    usage: "usage",
+    description: "Show storage and API request usage",
+    async run({ brizo, out, json }) {
+      const storage = await brizo.metrics.getStorageUsage();
+      const apiRequests = await brizo.metrics.getApiRequestsUsage();
+      const uploads = await brizo.metrics.getUploadStats();
+
+      if (!json) {
+        out.write(`Storage:      ${storage.usedFormatted} of ${storage.limitFormatted || "unlimited"} (${storage.percentage}%)\n`);
+        if (apiRequests.tracked !== false) {
+          out.write(`API requests: ${apiRequests.used} of ${apiRequests.limit} (${apiRequests.percentage}%)\n`);
+        }
+        out.write(`Files stored: ${uploads.filesStored}\n`);
+        out.write(`Uploads:      ${uploads.totalUploads}\n`);
+      }
+
+      return { storage, apiRequests, uploads };
+    },
+  },
+
+  health: {
+    usage: "health",
+    description: "Check the connection to the API",
+    async run({ brizo, out, json }) {
+      const health = await brizo.healthCheck();
+      if (!json) out.write(`${health.status}\n`);
+      return health;
+    },
+  },
+};
+
+/**
+ * Build the help text
+ * @private
+ */
+function helpText() {
+  const width = Math.max(...Object.values(COMMANDS).map((command) => command.usage.length));
+  const lines = Object.values(COMMANDS).map((command) => `  ${command.usage.padEnd(width)}  ${command.description}`);
+
+  return ["Usage: brizo <command> [options]", "", "Commands:", ...lines, "", "Options:", "  --json               Print machine-readable JSON", "  --no-progress        Do not draw progress bars", "  --profile <name>     Profile from the config file (or BRIZO_PROFILE)", "  --config <file>      Config file (or BRIZO_CONFIG_FILE; default ~/.brizo/config.json)", "  -h, --help           Show this help", "", "The API key is read from BRIZO_API_KEY or from the config file.", ""].join("\n");
+}
+
+/**
+ * Create the client from flags, environment variables and the config file
+ * @private
+ */
+function createClient(flags, env) {
+  // The environment is read here rather than by the client so an embedding caller's env is honored
+  const { configFile, profile, ...settings } = readEnv(env);
+  const config = { ...settings, useEnv: false };
+
+  if (flags.config || configFile) {
+    config.configFile = flags.config || configFile;
+  } else if (fs.existsSync(DEFAULT_CONFIG_FILE)) {
+    config.configFile = DEFAULT_CONFIG_FILE;
+  }
+  config.profile = flags.profile || profile;
+
+  return new Brizo(config);
+}
+
+/**
+ * Run the CLI
+ * @param {string[]} argv - Arguments without the node and script paths
+ * @param {Object} [io] - Streams and environment (for embedding and tests)
+ * @param {Object} [io.stdout=process.stdout]
+ * @param {Object} [io.stderr=process.stderr]
+ * @param {Object} [io.env=process.env]
+ * @param {Function} [io.createClient] - Builds the client from (flags, env)
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv, io = {}) {
+  const out = io.stdout || process.stdout;
+  const err = io.stderr || process.stderr;
+  const env = io.env || process.env;
+
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (error) {
+    err.write(`brizo: ${error.message}\n`);
+    return 2;
+  }
+
+  const { command, args, flags } = parsed;
+
+  if (flags.version || command === "version") {
+    out.write(`${require("../package.json").version}\n`);
+    return 0;
+  }
+
+  if (!command || command === "help" || flags.help) {
+    out.write(helpText());
+    return command || flags.help ? 0 : 2;
+  }
+
+  const definition = Object.prototype.hasOwnProperty.call(COMMANDS, command) ? COMMANDS[command] : null;
+  if (!definition) {
+    err.write(`brizo: unknown command "${command}" (run "brizo help" for a list)\n`);
+    return 2;
+  }
+
+  const json = Boolean(flags.json);
+  const bars = [];
+
+  try {
+    const brizo = (io.createClient || createClient)(flags, env);
+    const progressBar = (label) => {
+      const bar = new ProgressBar(err, label, !json && flags.progress !== false);
+      bars.push(bar);
+      return bar;
+    };
+    const context = { brizo, args, flags, out, err, json, exitCode: 0, progressBar };
+    const result = await definition.run(context);
+
+    if (json) {
+      out.write(`${JSON.stringify(result, null, 2)}\n`);
+    }
+    return context.exitCode;
+  } catch (error) {
+    // Finish any half-drawn bar so the message starts on its own line
+    bars.forEach((bar) => bar.done());
+
+    if (error instanceof UsageError) {
+      err.write(`brizo: ${error.message}\n`);
+      return 2;
+    }
+
+    if (json) {
+      err.write(`${JSON.stringify({ error: { name: error.name, message: error.message, code: error.code || null, statusCode: error.statusCode || null } }, null, 2)}\n`);
+    } else {
+      err.write(`brizo: ${error.message}\n`);
+    }
+    return 1;
+  }
+}
+
+module.exports = {
+  main,
+  parseArgs,
+  formatBytes,
+  ProgressBar,
+  COMMANDS,
+};
@@ -0,0 +1,199 @@
+/**
+ * Configuration module for Brizo SDK
+ * Resolves client settings from explicit options, environment variables and an optional config file
+ */
+
+const fs = require("node:fs");
+const path = require("node:path");
+const { ValidationError } = require("./errors");
+
+/**
+ * Brizo API base URL
+ */
+const API_BASE_URL = "https://api.brizo-cloud.com";
+
+/**
+ * Default request timeout in milliseconds
+ */
+const DEFAULT_TIMEOUT = 30000;
+
+/**
+ * Settings that may appear in a config file or profile
+ */
+const FILE_KEYS = new Set(["apiKey", "baseUrl", "timeout", "headers", "retry"]);
+
+/**
+ * Return the first value that is set (not undefined, null or an empty string)
+ * @private
+ */
+function firstSet(...values) {
+  return values.find((value) => value !== undefined && value !== null && value !== "");
+}
+
+/**
+ * Read settings from environment variables
+ * @param {Object} env - Environment (usually process.env)
+ * @returns {Object} Settings found in the environment
+ */
+function readEnv(env) {
+  return {
+    apiKey: env.BRIZO_API_KEY,
+    baseUrl: env.BRIZO_BASE_URL,
+    timeout: env.BRIZO_TIMEOUT,
+    configFile: env.BRIZO_CONFIG_FILE,
+    profile: env.BRIZO_PROFILE,
+  };
+}
+
+/**
+ * Load settings from a JSON config file, optionally selecting a profile
+ * A file may hold settings directly or a `profiles` map ({ "profiles": { "default": {...}, "staging": {...} } })
+ * @param {string} filePath - Path to the config file
+ * @param {string} [profile] - Profile name (defaults to "default" when the file has profiles)
+ * @returns {Object} Settings from the file
+ */
+function loadConfigFile(filePath, profile) {
+  const resolvedPath = path.resolve(filePath);
+
+  let contents;
+  try {
+    contents = fs.readFileSync(resolvedPath, "utf8");
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      throw new ValidationError(`Config file not found: ${resolvedPath}`);
+    }
+    throw new ValidationError(`Could not read config file ${resolvedPath}: ${err.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(contents);
+  } catch (err) {
+    throw new ValidationError(`Config file ${resolvedPath} is not valid JSON: ${err.message}`);
+  }
+
+  if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new ValidationError(`Config file ${resolvedPath} must contain a JSON object`);
+  }
+
+  let settings = parsed;
+  if (parsed.profiles) {
+    const name = profile || "default";
+    settings = parsed.profiles[name];
+    if (!settings) {
+      throw new ValidationError(`Profile "${name}" not found in config file ${resolvedPath}`, { available: Object.keys(parsed.profiles) });
+    }
+  } else if (profile) {
+    throw new ValidationError(`Config file ${resolvedPath} does not define profiles (requested "${profile}")`);
+  }
+
+  const unknown = Object.keys(settings).filter((key) => !FILE_KEYS.has(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown setting(s) in config file ${resolvedPath}: ${unknown.join(", ")}`);
+  }
+
+  return settings;
+}
+
+/**
+ * Validate and normalize a base URL
+ * @private
+ */
+function normalizeBaseUrl(value, source) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new ValidationError(`Invalid baseUrl from ${source}: "${value}"`);
+  }
+
+  if (url.protocol !== "https:" && url.protocol !== "http:") {
+    throw new ValidationError(`baseUrl from ${source} must use http or https (got "${url.protocol}")`);
+  }
+  if (url.search || url.hash) {
+    throw new ValidationError(`baseUrl from ${source} must not contain a query string or fragment`);
+  }
+
+  return url.toString().replace(/\/$/, "");
+}
+
+/**
+ * Validate and normalize a timeout
+ * @private
+ */
+function normalizeTimeout(value, source) {
+  const timeout = typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+
+  if (typeof timeout !== "number" || !Number.isInteger(timeout) || timeout <= 0) {
+    throw new ValidationError(`timeout from ${source} must be a positive integer number of milliseconds (got "${value}")`);
+  }
+
+  return timeout;
+}
+
+/**
+ * Resolve the client configuration
+ * Precedence: explicit options, then environment variables, then the config file
+ * @param {Object} [config] - Options passed to the Brizo constructor
+ * @param {Object} [env=process.env] - Environment to read BRIZO_* variables from
+ * @returns {Object} Resolved configuration ({ apiKey, baseUrl, timeout, headers, retry })
+ */
+function resolveConfig(config = {}, env = process.env) {
+  if (config === null || typeof config !== "object" || Array.isArray(config)) {
+    throw new ValidationError("Config must be an object");
+  }
+
+  const envConfig = config.useEnv === false ? {} : readEnv(env);
+  const configFile = firstSet(config.configFile, envConfig.configFile);
+  const profile = firstSet(config.profile, envConfig.profile);
+
+  if (profile && !configFile) {
+    throw new ValidationError(`Profile "${profile}" was requested but no config file was given (set configFile or BRIZO_CONFIG_FILE)`);
+  }
+
+  const fileConfig = configFile ? loadConfigFile(configFile, profile) : {};
+  const sourceOf = (key) => {
+    if (firstSet(config[key]) !== undefined) return "config";
+    if (firstSet(envConfig[key]) !== undefined) return `environment variable BRIZO_${key.replace(/[A-Z]/g, (c) => `_${c}`).toUpperCase()}`;
+    return `config file ${configFile}`;
+  };
+
+  const apiKey = firstSet(config.apiKey, envConfig.apiKey, fileConfig.apiKey);
+  if (!apiKey) {
+    throw new ValidationError("API key is required. Get your API key from https://brizo-cloud.com/settings/api-keys");
+  }
+  if (typeof apiKey !== "string") {
+    throw new ValidationError(`apiKey from ${sourceOf("apiKey")} must be a string`);
+  }
+
+  const rawBaseUrl = firstSet(config.baseUrl, envConfig.baseUrl, fileConfig.baseUrl);
+  const baseUrl = rawBaseUrl === undefined ? API_BASE_URL : normalizeBaseUrl(rawBaseUrl, sourceOf("baseUrl"));
+
+  const rawTimeout = firstSet(config.timeout, envConfig.timeout, fileConfig.timeout);
+  const timeout = rawTimeout === undefined ? DEFAULT_TIMEOUT : normalizeTimeout(rawTimeout, sourceOf("timeout"));
+
+  const headers = { ...fileConfig.headers, ...config.headers };
+  const headerKey = Object.keys(headers).find((name) => name.toLowerCase() === "x-api-key");
+  if (headerKey && headers[headerKey] !== apiKey) {
+    throw new ValidationError("Conflicting API keys: headers['X-API-Key'] does not match apiKey. Set the key with apiKey only.");
+  }
+  if (headerKey) {
+    delete headers[headerKey];
+  }
+
+  return {
+    baseUrl,
+    apiKey,
+    timeout,
+    headers,
+    retry: config.retry !== undefined ? config.retry : fileConfig.retry,
+  };
+}
+
+module.exports = {
+  API_BASE_URL,
+  DEFAULT_TIMEOUT,
+  resolveConfig,
+  loadConfigFile,
+  readEnv,
+};
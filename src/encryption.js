@@ -0,0 +1,369 @@
+/**
+ * Client-side encryption for Brizo SDK
+ * Content is encrypted with AES-256-GCM under a random per-file data key, wrapped by a caller-supplied key provider
+ *
+ * Encrypted layout: header, then the content in segments, each sealed with its own 16-byte authentication tag
+ *   header:  "BRZE" | version (1 byte) | metadata length (uint32 BE) | metadata (JSON)
+ *   segment: ciphertext (segmentSize bytes, the last one may be shorter) | tag
+ * Segment nonces are a random 7-byte prefix, the segment index (uint32 BE) and a final-segment flag; the header is
+ * authenticated with every segment, so tampering, reordering and truncation are all detected while streaming
+ */
+
+const crypto = require("node:crypto");
+const stream = require("node:stream");
+const { IntegrityError, ValidationError } = require("./errors");
+
+const MAGIC = Buffer.from("BRZE");
+const VERSION = 1;
+const ALGORITHM = "AES-256-GCM";
+const KEY_BYTES = 32;
+const NONCE_PREFIX_BYTES = 7;
+const TAG_BYTES = 16;
+const PREAMBLE_BYTES = MAGIC.length + 1 + 4;
+const MAX_METADATA_BYTES = 64 * 1024;
+const DEFAULT_SEGMENT_SIZE = 64 * 1024;
+const MIN_SEGMENT_SIZE = 1024;
+const MAX_SEGMENT_SIZE = 16 * 1024 * 1024;
+
+/**
+ * Validate an encryption option
+ * @param {Object} [option] - { keyProvider, segmentSize? }
+ * @returns {Object|null} Normalized options ({ keyProvider, segmentSize }), null when encryption is off
+ */
+function encryptionOptions(option) {
+  if (option === undefined || option === null || option === false) return null;
+
+  if (typeof option !== "object" || !option.keyProvider || typeof option.keyProvider.wrapKey !== "function" || typeof option.keyProvider.unwrapKey !== "function") {
+    throw new ValidationError("encryption.keyProvider must implement wrapKey(dataKey) and unwrapKey(wrappedKey, { keyId })");
+  }
+
+  const segmentSize = option.segmentSize !== undefined ? option.segmentSize : DEFAULT_SEGMENT_SIZE;
+  if (!Number.isInteger(segmentSize) || segmentSize < MIN_SEGMENT_SIZE || segmentSize > MAX_SEGMENT_SIZE) {
+    throw new ValidationError(`encryption.segmentSize must be an integer between ${MIN_SEGMENT_SIZE} and ${MAX_SEGMENT_SIZE}`);
+  }
+
+  return { keyProvider: option.keyProvider, segmentSize };
+}
+
+/**
+ * Generate and wrap the data key for one file
+ * @param {Object} encryption - Normalized encryption options
+ * @param {number} size - Plaintext size in bytes
+ * @returns {Promise<Object>} Envelope ({ dataKey, keyId, wrappedKey, segmentSize, size })
+ */
+async function createEnvelope(encryption, size) {
+  const dataKey = crypto.randomBytes(KEY_BYTES);
+  const wrapped = await encryption.keyProvider.wrapKey(dataKey);
+
+  if (!wrapped || !(wrapped.wrappedKey instanceof Uint8Array) || (wrapped.keyId !== undefined && wrapped.keyId !== null && typeof wrapped.keyId !== "string")) {
+    throw new ValidationError("keyProvider.wrapKey must resolve to { wrappedKey: Buffer, keyId?: string }");
+  }
+
+  return {
+    dataKey,
+    keyId: wrapped.keyId || null,
+    wrappedKey: Buffer.from(wrapped.wrappedKey),
+    segmentSize: encryption.segmentSize,
+    size,
+  };
+}
+
+/**
+ * Size of the encrypted content for an envelope
+ * @param {Object} envelope - Envelope from createEnvelope
+ * @returns {number} Bytes
+ */
+function encryptedSize(envelope) {
+  const segments = Math.max(1, Math.ceil(envelope.size / envelope.segmentSize));
+  return buildHeader(envelope, Buffer.alloc(NONCE_PREFIX_BYTES)).length + envelope.size + segments * TAG_BYTES;
+}
+
+/**
+ * Encrypt a Buffer in one go
+ * @param {Object} envelope - Envelope from createEnvelope
+ * @param {Buffer} buffer - Plaintext (envelope.size bytes)
+ * @returns {Buffer} Encrypted content
+ */
+function encryptBuffer(envelope, buffer) {
+  const prefix = crypto.randomBytes(NONCE_PREFIX_BYTES);
+  const header = buildHeader(envelope, prefix);
+  const parts = [header];
+
+  let index = 0;
+  let offset = 0;
+  do {
+    const end = Math.min(offset + envelope.segmentSize, buffer.length);
+    parts.push(sealSegment(envelope.dataKey, prefix, index++, end === buffer.length, header, buffer.subarray(offset, end)));
+    offset = end;
+  } while (offset < buffer.length);
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Transform stream that encrypts envelope.size bytes of plaintext
+ * Every stream gets a fresh nonce prefix, so a replayed source is never sealed twice under the same nonces
+ * @param {Object} envelope - Envelope from createEnvelope
+ * @returns {import('node:stream').Transform}
+ */
+function createEncryptStream(envelope) {
+  const prefix = crypto.randomBytes(NONCE_PREFIX_BYTES);
+  const header = buildHeader(envelope, prefix);
+  let pending = Buffer.alloc(0);
+  let received = 0;
+  let index = 0;
+
+  return new stream.Transform({
+    transform(chunk, encoding, callback) {
+      if (received === 0) this.push(header);
+      received += chunk.length;
+      pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+
+      // A full segment is only sealed once more data follows, since the last one is flagged as such
+      while (pending.length > envelope.segmentSize) {
+        this.push(sealSegment(envelope.dataKey, prefix, index++, false, header, pending.subarray(0, envelope.segmentSize)));
+        pending = pending.subarray(envelope.segmentSize);
+      }
+      callback();
+    },
+    flush(callback) {
+      if (received !== envelope.size) {
+        callback(new ValidationError(`Content changed while encrypting (expected ${envelope.size} bytes, got ${received})`));
+        return;
+      }
+      if (received === 0) this.push(header);
+      this.push(sealSegment(envelope.dataKey, prefix, index, true, header, pending));
+      callback();
+    },
+  });
+}
+
+/**
+ * Transform stream that decrypts content produced by createEncryptStream
+ * Segments are only passed on once authenticated; `bytes` counts the plaintext written so far
+ * @param {Object} keyProvider - Key provider used to unwrap the data key
+ * @returns {import('node:stream').Transform & { bytes: number }}
+ * @throws {IntegrityError} (as a stream error) If the content is not encrypted, was modified or is truncated
+ */
+function createDecryptStream(keyProvider) {
+  let pending = Buffer.alloc(0);
+  let header = null;
+  let dataKey = null;
+  let index = 0;
+
+  const readHeader = async () => {
+    if (header) return true;
+
+    const parsed = parseHeader(pending);
+    if (!parsed) return false;
+
+    dataKey = await keyProvider.unwrapKey(parsed.wrappedKey, { keyId: parsed.keyId });
+    if (!(dataKey instanceof Uint8Array) || dataKey.length !== KEY_BYTES) {
+      throw new ValidationError(`keyProvider.unwrapKey must resolve to a ${KEY_BYTES}-byte key`);
+    }
+
+    header = parsed;
+    pending = pending.subarray(parsed.raw.length);
+    return true;
+  };
+
+  const open = (frame, last) => {
+    const plaintext = openSegment(dataKey, header.prefix, index++, last, header.raw, frame);
+    decryptor.bytes += plaintext.length;
+    return plaintext;
+  };
+
+  const decryptor = new stream.Transform({
+    async transform(chunk, encoding, callback) {
+      try {
+        pending = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        if (await readHeader()) {
+          const frameSize = header.segmentSize + TAG_BYTES;
+          while (pending.length > frameSize) {
+            this.push(open(pending.subarray(0, frameSize), false));
+            pending = pending.subarray(frameSize);
+          }
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+    async flush(callback) {
+      try {
+        if (!(await readHeader())) {
+          throw new IntegrityError("Encrypted content is truncated (incomplete header)", { reason: "truncated" });
+        }
+        if (pending.length < TAG_BYTES) {
+          throw new IntegrityError("Encrypted content is truncated", { reason: "truncated" });
+        }
+        this.push(open(pending, true));
+        if (decryptor.bytes !== header.size) {
+          throw new IntegrityError(`Decrypted size mismatch (expected ${header.size} bytes, got ${decryptor.bytes})`, { reason: "size" });
+        }
+        callback();
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+
+  decryptor.bytes = 0;
+  return decryptor;
+}
+
+/**
+ * Key provider backed by a local 32-byte master key (data keys are wrapped with AES-256-GCM)
+ * @param {Buffer} masterKey - 32-byte master key
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.keyId='local'] - Identifier stored with each wrapped key
+ * @returns {Object} Key provider ({ keyId, wrapKey, unwrapKey })
+ */
+function localKeyProvider(masterKey, options = {}) {
+  if (!(masterKey instanceof Uint8Array) || masterKey.length !== KEY_BYTES) {
+    throw new ValidationError(`Master key must be a ${KEY_BYTES}-byte Buffer`);
+  }
+
+  const key = Buffer.from(masterKey);
+  const keyId = options.keyId !== undefined ? options.keyId : "local";
+  if (typeof keyId !== "string" || !keyId) {
+    throw new ValidationError("keyId must be a non-empty string");
+  }
+
+  return {
+    keyId,
+    async wrapKey(dataKey) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+      return { keyId, wrappedKey: Buffer.concat([iv, cipher.update(dataKey), cipher.final(), cipher.getAuthTag()]) };
+    },
+    async unwrapKey(wrappedKey, context = {}) {
+      if (context.keyId && context.keyId !== keyId) {
+        throw new ValidationError(`Data key was wrapped with key "${context.keyId}", not "${keyId}"`);
+      }
+      if (wrappedKey.length !== 12 + KEY_BYTES + TAG_BYTES) {
+        throw new IntegrityError("Wrapped data key is malformed", { reason: "key", keyId });
+      }
+
+      const decipher = crypto.createDecipheriv("aes-256-gcm", key, wrappedKey.subarray(0, 12));
+      decipher.setAuthTag(wrappedKey.subarray(12 + KEY_BYTES));
+      try {
+        return Buffer.concat([decipher.update(wrappedKey.subarray(12, 12 + KEY_BYTES)), decipher.final()]);
+      } catch {
+        throw new IntegrityError(`Data key could not be unwrapped with key "${keyId}"`, { reason: "key", keyId });
+      }
+    },
+  };
+}
+
+/**
+ * Serialize the header for an envelope and nonce prefix
+ * @private
+ */
+function buildHeader(envelope, prefix) {
+  const metadata = Buffer.from(
+    JSON.stringify({
+      alg: ALGORITHM,
+      keyId: envelope.keyId,
+      wrappedKey: envelope.wrappedKey.toString("base64"),
+      nonce: prefix.toString("base64"),
+      segmentSize: envelope.segmentSize,
+      size: envelope.size,
+    }),
+  );
+
+  const preamble = Buffer.alloc(PREAMBLE_BYTES);
+  MAGIC.copy(preamble, 0);
+  preamble.writeUInt8(VERSION, MAGIC.length);
+  preamble.writeUInt32BE(metadata.length, MAGIC.length + 1);
+  return Buffer.concat([preamble, metadata]);
+}
+
+/**
+ * Parse a header from the start of a buffer (null until enough bytes have arrived)
+ * @private
+ */
+function parseHeader(buffer) {
+  const invalid = (reason) => new IntegrityError(`Content is not Brizo-encrypted or its header is damaged (${reason})`, { reason: "header" });
+
+  if (buffer.length < PREAMBLE_BYTES) {
+    if (!MAGIC.subarray(0, buffer.length).equals(buffer.subarray(0, MAGIC.length))) throw invalid("bad magic");
+    return null;
+  }
+  if (!buffer.subarray(0, MAGIC.length).equals(MAGIC)) throw invalid("bad magic");
+
+  const version = buffer.readUInt8(MAGIC.length);
+  if (version !== VERSION) throw invalid(`unsupported version ${version}`);
+
+  const metadataLength = buffer.readUInt32BE(MAGIC.length + 1);
+  if (metadataLength > MAX_METADATA_BYTES) throw invalid("metadata too large");
+  if (buffer.length < PREAMBLE_BYTES + metadataLength) return null;
+
+  let metadata;
+  try {
+    metadata = JSON.parse(buffer.subarray(PREAMBLE_BYTES, PREAMBLE_BYTES + metadataLength).toString("utf8"));
+  } catch {
+    throw invalid("unreadable metadata");
+  }
+
+  const prefix = typeof metadata.nonce === "string" ? Buffer.from(metadata.nonce, "base64") : null;
+  if (metadata.alg !== ALGORITHM || !prefix || prefix.length !== NONCE_PREFIX_BYTES || typeof metadata.wrappedKey !== "string" || !Number.isInteger(metadata.segmentSize) || metadata.segmentSize < MIN_SEGMENT_SIZE || metadata.segmentSize > MAX_SEGMENT_SIZE || !Number.isInteger(metadata.size) || metadata.size < 0) {
+    throw invalid("unsupported metadata");
+  }
+
+  return {
+    raw: Buffer.from(buffer.subarray(0, PREAMBLE_BYTES + metadataLength)),
+    keyId: metadata.keyId || null,
+    wrappedKey: Buffer.from(metadata.wrappedKey, "base64"),
+    prefix,
+    segmentSize: metadata.segmentSize,
+    size: metadata.size,
+  };
+}
+
+/**
+ * Nonce of one segment
+ * @private
+ */
+function segmentNonce(prefix, index, last) {
+  const nonce = Buffer.alloc(12);
+  prefix.copy(nonce, 0);
+  nonce.writeUInt32BE(index, NONCE_PREFIX_BYTES);
+  nonce.writeUInt8(last ? 1 : 0, NONCE_PREFIX_BYTES + 4);
+  return nonce;
+}
+
+/**
+ * Encrypt one segment and append its tag
+ * @private
+ */
+function sealSegment(key, prefix, index, last, header, plaintext) {
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, segmentNonce(prefix, index, last));
+  cipher.setAAD(header);
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+/**
+ * Authenticate and decrypt one segment
+ * @private
+ */
+function openSegment(key, prefix, index, last, header, frame) {
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, segmentNonce(prefix, index, last));
+  decipher.setAAD(header);
+  decipher.setAuthTag(frame.subarray(frame.length - TAG_BYTES));
+  try {
+    return Buffer.concat([decipher.update(frame.subarray(0, frame.length - TAG_BYTES)), decipher.final()]);
+  } catch {
+    throw new IntegrityError(`Encrypted content failed authentication at segment ${index}`, { reason: "tag", segment: index });
+  }
+}
+
+module.exports = {
+  encryptionOptions,
+  createEnvelope,
+  encryptedSize,
+  encryptBuffer,
+  createEncryptStream,
+  createDecryptStream,
+  localKeyProvider,
+};
@@ -46,8 +46,8 @@ class AuthenticationError extends BrizoError {
  * Error thrown when a resource is not found
  */
 class NotFoundError extends BrizoError {
-  constructor(message = "Resource not found") {
-    super(message, 404, "NOT_FOUND");
+  constructor(message = "Resource not found", details = null) {
+    super(message, 404, "NOT_FOUND", details);
     this.name = "NotFoundError";
   }
 }
@@ -77,8 +77,8 @@ class RateLimitError extends BrizoError {
  * Error thrown when storage limits are exceeded
  */
 class LimitExceededError extends BrizoError {
-  constructor(message, limitType = null) {
-    super(message, 403, "LIMIT_EXCEEDED");
+  constructor(message, limitType = null, details = null) {
+    super(message, 403, "LIMIT_EXCEEDED", details);
     this.name = "LimitExceededError";
     this.limitType = limitType;
   }
@@ -94,6 +94,36 @@ class UploadError extends BrizoError {
   }
 }
 
+/**
+ * Error thrown when download fails
+ */
+class DownloadError extends BrizoError {
+  constructor(message, details = null) {
+    super(message, null, "DOWNLOAD_ERROR", details);
+    this.name = "DownloadError";
+  }
+}
+
+/**
+ * Error thrown when content does not match its checksum or fails decryption
+ */
+class IntegrityError extends BrizoError {
+  constructor(message, details = null) {
+    super(message, null, "INTEGRITY_ERROR", details);
+    this.name = "IntegrityError";
+  }
+}
+
+/**
+ * Error thrown when an operation is cancelled through an AbortSignal
+ */
+class AbortError extends BrizoError {
+  constructor(message = "The operation was aborted", details = null) {
+    super(message, null, "ABORTED", details);
+    this.name = "AbortError";
+  }
+}
+
 module.exports = {
   BrizoError,
   AuthenticationError,
@@ -102,4 +132,7 @@ module.exports = {
   RateLimitError,
   LimitExceededError,
   UploadError,
+  DownloadError,
+  IntegrityError,
+  AbortError,
 };
@@ -5,89 +5,76 @@
 
 const fs = require("node:fs");
 const fsPromises = require("node:fs/promises");
+const os = require("node:os");
 const path = require("node:path");
-const { UploadError, ValidationError } = require("./errors");
-
-const MIME_TYPES = Object.freeze({
-  jpg: "image/jpeg",
-  jpeg: "image/jpeg",
-  png: "image/png",
-  gif: "image/gif",
-  webp: "image/webp",
-  svg: "image/svg+xml",
-  ico: "image/x-icon",
-  bmp: "image/bmp",
-  tiff: "image/tiff",
-  tif: "image/tiff",
-  pdf: "application/pdf",
-  doc: "application/msword",
-  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
-  xls: "application/vnd.ms-excel",
-  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
-  ppt: "application/vnd.ms-powerpoint",
-  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
-  odt: "application/vnd.oasis.opendocument.text",
-  ods: "application/vnd.oasis.opendocument.spreadsheet",
-  txt: "text/plain",
-  html: "text/html",
-  htm: "text/html",
-  css: "text/css",
-  csv: "text/csv",
-  xml: "text/xml",
-  md: "text/markdown",
-  js: "application/javascript",
-  mjs: "application/javascript",
-  json: "application/json",
-  ts: "text/typescript",
-  py: "text/x-python",
-  rb: "text/x-ruby",
-  java: "text/x-java",
-  c: "text/x-c",
-  cpp: "text/x-c++",
-  h: "text/x-c",
-  hpp: "text/x-c++",
-  go: "text/x-go",
-  rs: "text/x-rust",
-  php: "application/x-php",
-  sh: "application/x-sh",
-  yaml: "text/yaml",
-  yml: "text/yaml",
-  mp3: "audio/mpeg",
-  wav: "audio/wav",
-  ogg: "audio/ogg",
-  m4a: "audio/mp4",
-  flac: "audio/flac",
-  aac: "audio/aac",
-  mp4: "video/mp4",
-  webm: "video/webm",
-  avi: "video/x-msvideo",
-  mov: "video/quicktime",
-  mkv: "video/x-matroska",
-  wmv: "video/x-ms-wmv",
-  zip: "application/zip",
-  rar: "application/x-rar-compressed",
-  "7z": "application/x-7z-compressed",
-  tar: "application/x-tar",
-  gz: "application/gzip",
-  bz2: "application/x-bzip2",
-  woff: "font/woff",
-  woff2: "font/woff2",
-  ttf: "font/ttf",
-  otf: "font/otf",
-  eot: "application/vnd.ms-fontobject",
-  exe: "application/x-msdownload",
-  dll: "application/x-msdownload",
-  dmg: "application/x-apple-diskimage",
-  iso: "application/x-iso9660-image",
-  apk: "application/vnd.android.package-archive",
-});
+const crypto = require("node:crypto");
+const stream = require("node:stream");
+const { promisify } = require("node:util");
+const { AbortError, AuthenticationError, BrizoError, DownloadError, IntegrityError, LimitExceededError, NotFoundError, UploadError, ValidationError } = require("./errors");
+const ProgressTracker = require("./progress");
+const MultipartUpload = require("./multipart");
+const MimeRegistry = require("./mime");
+const { checksumAlgorithms, createHashingStream, digestsMatch, hashBuffer, hashFile } = require("./checksum");
+const { createDecryptStream, createEncryptStream, createEnvelope, encryptBuffer, encryptedSize, encryptionOptions } = require("./encryption");
+const { isPath, matchByName, pickRequestOptions, paginate, runPool, shareBody, splitPath, throwIfAborted } = require("./utils");
+
+const pipelineAsync = promisify(stream.pipeline);
+
+/**
+ * Check whether a value is a readable stream
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isReadableStream(value) {
+  return value instanceof stream.Readable || (value !== null && typeof value === "object" && typeof value.pipe === "function" && typeof value.on === "function");
+}
+
+/**
+ * Check the checksums the server stored for an upload against the ones computed by the SDK, and fill in any it did not return
+ * @param {Object} file - File record returned by the server
+ * @param {Object|null} checksums - Computed { sha256, md5? } (null when checksums are disabled)
+ * @returns {Object} File record with sha256 (and md5)
+ * @throws {IntegrityError} If a stored checksum differs
+ */
+function withChecksums(file, checksums) {
+  if (!checksums) return file;
+
+  for (const [algorithm, digest] of Object.entries(checksums)) {
+    if (file[algorithm] && !digestsMatch(file[algorithm], digest)) {
+      throw new IntegrityError(`Stored ${algorithm === "sha256" ? "SHA-256" : "MD5"} checksum of "${file.originalName}" does not match the uploaded content`, { fileId: file.id, algorithm, expected: digest, actual: file[algorithm] });
+    }
+  }
+
+  return { ...file, ...checksums };
+}
+
+/**
+ * Name the file in a decryption failure
+ * @param {Error} error - Error raised while decrypting
+ * @param {string} fileId - File ID
+ * @returns {Error} IntegrityErrors with the file ID added to their message and details; other errors unchanged
+ */
+function decryptionError(error, fileId) {
+  if (!(error instanceof IntegrityError)) return error;
+  return new IntegrityError(`File ${fileId} could not be decrypted: ${error.message}`, { fileId, ...error.details });
+}
 
 class Files {
   /**
    * @param {import('./http')} httpClient - HTTP client instance
+   * @param {Object} [options] - Module options
+   * @param {boolean} [options.quotaGuard=false] - Check storage quota before every upload and batch
+   * @param {MimeRegistry} [options.mime] - MIME type registry (a private one is created if omitted)
+   * @param {boolean} [options.strictMimeType=false] - Reject uploads whose content does not match their declared type
    */
-  constructor(httpClient) {
+  constructor(httpClient, options = {}) {
     this.http = httpClient;
+    this.quotaGuard = Boolean(options.quotaGuard);
+    this.mime = options.mime || new MimeRegistry();
+    this.strictMimeType = Boolean(options.strictMimeType);
+    // Set by the client once the other modules exist (used to resolve folder paths and check the quota)
+    this.folders = null;
+    this.metrics = null;
   }
 
   /**
@@ -99,10 +86,14 @@ class Files {
    * @param {string} [options.type] - Filter by MIME type
    * @param {string} [options.sort='-created'] - Sort order (e.g., '-created', 'name', '-size')
    * @param {string} [options.folderId] - Filter by folder ID (use 'root' for root folder)
+   * @param {boolean} [options.favorite] - Only favorites (true) or only non-favorites (false)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Paginated list of files
    */
   async list(options = {}) {
     const response = await this.http.get("/v1/files", {
+      ...pickRequestOptions(options),
       query: {
         page: options.page || 1,
         perPage: options.perPage || 20,
@@ -110,54 +101,140 @@ class Files {
         type: options.type,
         sort: options.sort || "-created",
         folderId: options.folderId,
+        favorite: options.favorite,
       },
     });
 
     return response.data.data;
   }
 
+  /**
+   * Iterate over all matching files, fetching pages lazily
+   * @param {Object} [options] - Same filters as list, plus iteration options
+   * @param {number} [options.perPage=100] - Items per page request (max 100)
+   * @param {number|boolean} [options.prefetch=0] - Number of pages to fetch ahead (true = 1)
+   * @param {number} [options.maxItems] - Stop after this many files
+   * @returns {AsyncGenerator<Object>} Files across all pages
+   * @example
+   * for await (const file of brizo.files.iterate({ folderId: 'root' })) {
+   *   console.log(file.originalName);
+   * }
+   */
+  iterate(options = {}) {
+    const perPage = options.perPage || 100;
+    return paginate((page) => this.list({ ...options, page, perPage }), options);
+  }
+
+  /**
+   * List all matching files across every page
+   * @param {Object} [options] - Same options as iterate
+   * @param {number} [options.maxItems] - Maximum number of files to return
+   * @returns {Promise<Array>} Files
+   */
+  async listAll(options = {}) {
+    const files = [];
+    for await (const file of this.iterate(options)) {
+      files.push(file);
+    }
+    return files;
+  }
+
   /**
    * Get file information by ID
    * @param {string} fileId - File ID
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} File information
    */
-  async get(fileId) {
+  async get(fileId, options = {}) {
     if (!fileId) {
       throw new ValidationError("File ID is required");
     }
 
-    const response = await this.http.get(`/v1/files/${fileId}`);
+    const response = await this.http.get(`/v1/files/${fileId}`, pickRequestOptions(options));
     return response.data.data;
   }
 
+  /**
+   * Get a file by its path
+   * The last segment matches the file's original name exactly, or case-insensitively when there is no exact match
+   * @param {string} path - File path (e.g., 'invoices/2024/march.pdf')
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.cache=true] - Reuse folder IDs resolved in the last 30 seconds (and the folder cache when it is enabled)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests when aborted
+   * @returns {Promise<Object>} File information
+   * @throws {NotFoundError} If a segment is missing or matches several items (details: { path, segment, reason })
+   */
+  async getByPath(path, options = {}) {
+    if (!path) {
+      throw new ValidationError("Path is required");
+    }
+
+    const parts = splitPath(path);
+    if (parts.length === 0) {
+      throw new ValidationError("Path must name a file");
+    }
+
+    const name = parts[parts.length - 1];
+    const folderPath = parts.slice(0, -1).join("/");
+    const folderId = folderPath ? (await this._requireFolders().getByPath(folderPath, options)).id : "";
+    const candidates = await this.listAll({ ...pickRequestOptions(options), folderId: folderId || "root", search: name });
+    const matches = matchByName(candidates, name, (file) => file.originalName);
+    const where = folderPath ? `"${folderPath}"` : "the root folder";
+
+    if (matches.length > 1) {
+      throw new NotFoundError(`Path segment "${name}" is ambiguous: ${matches.length} files in ${where} match it`, { path: parts.join("/"), segment: name, reason: "ambiguous", matches: matches.map((file) => file.id) });
+    }
+    if (matches.length === 0) {
+      throw new NotFoundError(`File "${name}" not found in ${where}`, { path: parts.join("/"), segment: name, reason: "missing", parentId: folderId });
+    }
+
+    return matches[0];
+  }
+
   /**
    * Delete a file
    * @param {string} fileId - File ID
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Deletion result
    */
-  async delete(fileId) {
+  async delete(fileId, options = {}) {
     if (!fileId) {
       throw new ValidationError("File ID is required");
     }
 
-    const response = await this.http.delete(`/v1/files/${fileId}`);
+    const response = await this.http.delete(`/v1/files/${fileId}`, pickRequestOptions(options));
     return response.data;
   }
 
   /**
    * Move a file to a different folder
-   * @param {string} fileId - File ID
-   * @param {string} folderId - Target folder ID (use 'root' for root folder)
+   * @param {string} fileId - File ID or path
+   * @param {string} folderId - Target folder ID or path (use 'root' or '/' for root folder)
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Updated file
    */
-  async move(fileId, folderId) {
+  async move(fileId, folderId, options = {}) {
     if (!fileId) {
       throw new ValidationError("File ID is required");
     }
 
-    const response = await this.http.patch(`/v1/files/${fileId}/move`, {
-      folderId: folderId || "root",
-    });
+    const sourceId = isPath(fileId) ? (await this.getByPath(fileId, options)).id : fileId;
+    const targetId = await this._resolveFolderId(folderId, options);
+
+    const response = await this.http.patch(
+      `/v1/files/${sourceId}/move`,
+      {
+        folderId: targetId || "root",
+      },
+      pickRequestOptions(options),
+    );
 
     return response.data.data;
   }
@@ -166,9 +243,12 @@ class Files {
    * Rename a file
    * @param {string} fileId - File ID
    * @param {string} newName - New filename
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Updated file
    */
-  async rename(fileId, newName) {
+  async rename(fileId, newName, options = {}) {
     if (!fileId) {
       throw new ValidationError("File ID is required");
     }
@@ -176,9 +256,13 @@ class Files {
       throw new ValidationError("New filename is required");
     }
 
-    const response = await this.http.patch(`/v1/files/${fileId}`, {
-      name: newName.trim(),
-    });
+    const response = await this.http.patch(
+      `/v1/files/${fileId}`,
+      {
+        name: newName.trim(),
+      },
+      pickRequestOptions(options),
+    );
 
     return response.data.data;
   }
@@ -186,14 +270,18 @@ class Files {
   /**
    * Get a signed download URL for a file
    * @param {string} fileId - File ID
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<string>} Signed download URL
    */
-  async getDownloadUrl(fileId) {
+  async getDownloadUrl(fileId, options = {}) {
     if (!fileId) {
       throw new ValidationError("File ID is required");
     }
 
     const response = await this.http.request("GET", `/v1/files/${fileId}/download`, {
+      ...pickRequestOptions(options),
       followRedirect: false,
     });
 
@@ -207,14 +295,18 @@ class Files {
   /**
    * Get a signed streaming URL for a file (inline display)
    * @param {string} fileId - File ID
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<string>} Signed streaming URL
    */
-  async getStreamUrl(fileId) {
+  async getStreamUrl(fileId, options = {}) {
     if (!fileId) {
       throw new ValidationError("File ID is required");
     }
 
     const response = await this.http.request("GET", `/v1/files/${fileId}/stream`, {
+      ...pickRequestOptions(options),
       followRedirect: false,
     });
 
@@ -225,15 +317,291 @@ class Files {
     throw new ValidationError("Failed to get stream URL");
   }
 
+  /**
+   * Download a file to disk or into a writable stream
+   * Downloads to a file go through a temporary file that is renamed into place once complete;
+   * interrupted transfers are resumed with Range requests, also across calls
+   * @param {string} fileId - File ID
+   * @param {Object} options - Download options
+   * @param {string} [options.destination] - Local file path to save to
+   * @param {WritableStream} [options.stream] - Writable stream to write to (not ended by the SDK)
+   * @param {boolean} [options.overwrite=false] - Replace an existing destination file
+   * @param {boolean} [options.resume=true] - Continue from a partial download left by a previous call
+   * @param {boolean} [options.verify=false] - Check the content against the file's stored SHA-256
+   * @param {string} [options.sha256] - Check the content against this SHA-256 (hex) instead
+   * @param {Object} [options.encryption] - Decrypt content uploaded with client-side encryption
+   * @param {Object} options.encryption.keyProvider - Key provider that unwraps the file's data key
+   * @param {Function} [options.onProgress] - Progress callback ({ loaded, total, percent, bytesPerSecond, etaMs })
+   * @param {number} [options.progressInterval=100] - Minimum milliseconds between progress callbacks
+   * @param {Object|false} [options.retry] - Retry policy override (also limits resume attempts)
+   * @param {AbortSignal} [options.signal] - Cancels the download (the partial file is kept so a later call can resume)
+   * @returns {Promise<Object>} Download result ({ file, destination, bytes, sha256 }; bytes is the decrypted size when decrypting, sha256 is only set when verifying)
+   * @throws {IntegrityError} If the content does not match the checksum or fails decryption (the downloaded file is removed; data already written to a stream cannot be taken back)
+   */
+  async download(fileId, options = {}) {
+    if (!fileId) {
+      throw new ValidationError("File ID is required");
+    }
+    if (!options.destination === !options.stream) {
+      throw new ValidationError("Exactly one of destination or stream is required");
+    }
+
+    const encryption = encryptionOptions(options.encryption);
+    const destination = options.destination ? path.resolve(options.destination) : null;
+    const tempPath = destination ? `${destination}.${fileId}.brizo-download` : null;
+
+    if (destination && !options.overwrite) {
+      const exists = await fsPromises
+        .stat(destination)
+        .then(() => true)
+        .catch(() => false);
+      if (exists) {
+        throw new ValidationError(`Destination already exists: ${destination}`);
+      }
+    }
+
+    const requestOptions = pickRequestOptions(options);
+    const file = await this.get(fileId, requestOptions);
+    const expectedSize = typeof file.size === "number" ? file.size : null;
+
+    const expectedSha256 = options.sha256 || (options.verify ? file.sha256 : null);
+    if (options.verify && !expectedSha256) {
+      throw new ValidationError(`File ${fileId} has no stored checksum to verify against (pass sha256 instead)`);
+    }
+    // Stream downloads are hashed as they are written; downloads to disk are hashed once complete, which also covers resumed parts
+    const hash = expectedSha256 && !destination ? crypto.createHash("sha256") : null;
+    // Encrypted stream downloads are decrypted on the way through; downloads to disk are decrypted once complete
+    const decryptor = encryption && !destination ? createDecryptStream(encryption.keyProvider) : null;
+    if (decryptor) {
+      decryptor.pipe(options.stream, { end: false });
+    }
+
+    let received = 0;
+    if (destination) {
+      await fsPromises.mkdir(path.dirname(destination), { recursive: true });
+      if (options.resume === false) {
+        // Starting over must not append to whatever a previous call left behind
+        await fsPromises.rm(tempPath, { force: true });
+      } else {
+        received = await this._partialSize(tempPath, expectedSize);
+      }
+    }
+
+    const tracker = options.onProgress ? new ProgressTracker(options.onProgress, { total: expectedSize || 0, interval: options.progressInterval, initial: received }) : null;
+    if (tracker) {
+      tracker.update(received, true);
+    }
+
+    let url = null;
+
+    await this.http.withRetry(
+      "GET",
+      async (attempt) => {
+        // A failed attempt may have written part of the file; retries continue from there
+        if (destination && attempt > 1) {
+          received = await this._partialSize(tempPath, expectedSize);
+        }
+        if (!url || attempt > 1) {
+          url = new URL(await this.getDownloadUrl(fileId, requestOptions), this.http.baseUrl).toString();
+        }
+        if (expectedSize !== null && received === expectedSize && received > 0) {
+          return;
+        }
+
+        const response = await this.http.getRaw(url, {
+          headers: received > 0 ? { Range: `bytes=${received}-` } : {},
+          signal: options.signal,
+        });
+
+        if (response.status === 416) {
+          response.stream.resume();
+          if (received === expectedSize) return;
+          throw new DownloadError("Server rejected the resume range", { fileId, received, expectedSize });
+        }
+
+        if (received > 0 && response.status !== 206) {
+          if (!destination) {
+            response.stream.resume();
+            throw new DownloadError("Server does not support resuming downloads into a stream", { fileId, received });
+          }
+          received = 0;
+        }
+
+        const countBytes = (chunk) => {
+          received += chunk.length;
+          if (tracker) tracker.update(received);
+        };
+
+        try {
+          if (destination) {
+            response.stream.on("data", countBytes);
+            await pipelineAsync(response.stream, fs.createWriteStream(tempPath, { flags: received > 0 ? "a" : "w" }));
+          } else {
+            await this._pipeWithoutEnd(response.stream, decryptor || options.stream, (chunk) => {
+              if (hash) hash.update(chunk);
+              countBytes(chunk);
+            });
+          }
+        } catch (error) {
+          // Decryption failures are not transfer errors and must not be retried
+          if (decryptor && decryptor.errored) throw decryptionError(decryptor.errored, fileId);
+          throw new BrizoError(`Download interrupted: ${error.message}`, null, "NETWORK_ERROR");
+        }
+      },
+      requestOptions.retry,
+      options.signal,
+    );
+
+    if (expectedSize !== null && received !== expectedSize) {
+      if (destination) {
+        await fsPromises.unlink(tempPath).catch(() => {});
+      }
+      throw new DownloadError(`Downloaded size mismatch (expected ${expectedSize} bytes, got ${received})`, { fileId, received, expectedSize });
+    }
+
+    let sha256 = null;
+    if (expectedSha256) {
+      sha256 = destination ? (await hashFile(tempPath, ["sha256"])).sha256 : hash.digest("hex");
+      if (!digestsMatch(expectedSha256, sha256)) {
+        if (destination) {
+          // A corrupt partial file must not be resumed
+          await fsPromises.unlink(tempPath).catch(() => {});
+        }
+        throw new IntegrityError(`Downloaded content of file ${fileId} does not match its SHA-256 checksum`, { fileId, algorithm: "sha256", expected: expectedSha256, actual: sha256 });
+      }
+    }
+
+    let bytes = received;
+    if (decryptor) {
+      await new Promise((resolve, reject) => {
+        decryptor.on("error", (error) => reject(decryptionError(error, fileId)));
+        decryptor.on("end", resolve);
+        decryptor.end();
+      });
+      bytes = decryptor.bytes;
+    } else if (destination && encryption) {
+      bytes = await this._decryptFile(tempPath, destination, encryption, fileId);
+    } else if (destination) {
+      await fsPromises.rename(tempPath, destination);
+    }
+
+    if (tracker) {
+      tracker.complete();
+    }
+
+    return sha256 ? { file, destination, bytes, sha256 } : { file, destination, bytes };
+  }
+
+  /**
+   * Decrypt a completed download into place, removing the encrypted temporary file
+   * Content that fails authentication is removed as well; a data key that cannot be unwrapped (or any other error) keeps it for another attempt
+   * @private
+   */
+  async _decryptFile(tempPath, destination, encryption, fileId) {
+    const decryptPath = `${destination}.${fileId}.brizo-decrypt`;
+    const decryptor = createDecryptStream(encryption.keyProvider);
+
+    try {
+      await pipelineAsync(fs.createReadStream(tempPath), decryptor, fs.createWriteStream(decryptPath));
+    } catch (error) {
+      await fsPromises.unlink(decryptPath).catch(() => {});
+      if (error instanceof IntegrityError && (!error.details || error.details.reason !== "key")) {
+        await fsPromises.unlink(tempPath).catch(() => {});
+      }
+      throw decryptionError(error, fileId);
+    }
+
+    await fsPromises.rename(decryptPath, destination);
+    await fsPromises.unlink(tempPath).catch(() => {});
+    return decryptor.bytes;
+  }
+
+  /**
+   * Copy a file, streaming it from its signed download URL straight into a new upload (nothing is written to disk)
+   * The streamed transfer is not retried; the API requests around it follow the retry policy
+   * @param {string} fileId - File ID or path
+   * @param {Object} [options] - Copy options
+   * @param {string} [options.folderId] - Target folder ID or path (defaults to the source file's folder; 'root' for the root)
+   * @param {string} [options.newName] - Name of the copy (defaults to the source file's name)
+   * @param {Function} [options.onProgress] - Progress callback ({ loaded, total, percent, bytesPerSecond, etaMs })
+   * @param {number} [options.progressInterval=100] - Minimum milliseconds between progress callbacks
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the copy when aborted
+   * @returns {Promise<Object>} The new file record
+   */
+  async copy(fileId, options = {}) {
+    if (!fileId) {
+      throw new ValidationError("File ID is required");
+    }
+    if (options.newName !== undefined && (typeof options.newName !== "string" || !options.newName.trim())) {
+      throw new ValidationError("New filename cannot be empty");
+    }
+
+    const requestOptions = pickRequestOptions(options);
+    const file = isPath(fileId) ? await this.getByPath(fileId, options) : await this.get(fileId, requestOptions);
+    const folderId = options.folderId !== undefined ? await this._resolveFolderId(options.folderId, options) : file.folder || "";
+
+    return this._copyFile(file, folderId, options.newName ? options.newName.trim() : file.originalName, options);
+  }
+
+  /**
+   * Stream a file's content into a new upload
+   * @private
+   */
+  async _copyFile(file, folderId, filename, options) {
+    if (typeof file.size !== "number") {
+      throw new DownloadError("Cannot copy a file of unknown size", { fileId: file.id });
+    }
+
+    const requestOptions = pickRequestOptions(options);
+    const url = new URL(await this.getDownloadUrl(file.id, requestOptions), this.http.baseUrl).toString();
+    const response = await this.http.getRaw(url, { signal: options.signal });
+
+    try {
+      return await this.upload({
+        ...requestOptions,
+        file: response.stream,
+        size: file.size,
+        filename,
+        mimeType: file.mimeType,
+        folderId,
+        onProgress: options.onProgress,
+        progressInterval: options.progressInterval,
+      });
+    } catch (error) {
+      response.stream.destroy();
+      throw error;
+    }
+  }
+
   /**
    * Upload a file (simplified 3-step process in one call)
    * @param {Object} options - Upload options
-   * @param {string|Buffer} options.file - File path or Buffer
-   * @param {string} [options.filename] - Filename (required if file is a Buffer)
-   * @param {string} [options.mimeType] - MIME type (auto-detected if not provided)
-   * @param {string} [options.folderId] - Target folder ID
-   * @param {Function} [options.onProgress] - Progress callback (percentage: number)
-   * @returns {Promise<Object>} Uploaded file record
+   * @param {string|Buffer|ReadableStream} options.file - File path, Buffer or Readable stream (paths are streamed from disk)
+   * @param {string} [options.filename] - Filename (required if file is a Buffer or a stream without a path)
+   * @param {number} [options.size] - Size in bytes for streams (measured via a temporary file if omitted)
+   * @param {string} [options.mimeType] - MIME type (detected from the content and extension if not provided)
+   * @param {boolean} [options.strictMimeType] - Reject the upload if its content does not match the declared type or extension (defaults to the client's strictMimeType setting)
+   * @param {string} [options.folderId] - Target folder ID or path (e.g., 'invoices/2024'; the folder must exist)
+   * @param {Function} [options.onProgress] - Progress callback ({ loaded, total, percent, bytesPerSecond, etaMs })
+   * @param {number} [options.progressInterval=100] - Minimum milliseconds between progress callbacks
+   * @param {Object|false} [options.retry] - Retry policy override (applies to every request of the upload)
+   * @param {AbortSignal} [options.signal] - Cancels the upload (a chunked upload's AbortError carries details.resumeToken)
+   * @param {boolean|Object} [options.chunked] - Upload in parallel parts that can be retried and resumed individually
+   * @param {number} [options.chunked.partSize=8388608] - Part size in bytes (minimum 5 MB)
+   * @param {number} [options.chunked.concurrency=4] - Number of parts uploaded in parallel
+   * @param {number} [options.chunked.partRetries=3] - Retries per part before the upload fails
+   * @param {string} [options.chunked.resumeFile] - Path where the resume token is persisted after each part
+   * @param {Function} [options.chunked.onResumeToken] - Called with the resume token after each part
+   * @param {boolean} [options.quotaGuard] - Check the storage quota before presigning (defaults to the client's quotaGuard setting)
+   * @param {boolean|Object} [options.checksum=true] - Send a SHA-256 of the content with the upload (false disables it)
+   * @param {boolean} [options.checksum.md5=false] - Also send an MD5 (and a Content-MD5 header), which needs an extra read of streamed sources
+   * @param {Object} [options.encryption] - Encrypt the content before it leaves this process (AES-256-GCM with a per-file data key)
+   * @param {Object} options.encryption.keyProvider - Key provider that wraps the data key ({ wrapKey, unwrapKey })
+   * @param {number} [options.encryption.segmentSize=65536] - Plaintext bytes per authenticated segment
+   * @returns {Promise<Object>} Uploaded file record (with sha256, and md5 when requested; size and checksums describe the encrypted content)
+   * @throws {IntegrityError} If the checksum stored by the server differs from the one computed while uploading
+   * @throws {LimitExceededError} If the quota guard is on and the file does not fit (limitType 'storage', details: { required, available, shortfall })
    */
   async upload(options) {
     if (!options || options.file === undefined || options.file === null) {
@@ -244,67 +612,169 @@ class Files {
       throw new ValidationError("File path cannot be empty");
     }
 
-    let fileBuffer;
-    let filename;
-    let size;
-    let mimeType;
+    const encryption = encryptionOptions(options.encryption);
+    throwIfAborted(options.signal);
+    if (isPath(options.folderId)) {
+      options = { ...options, folderId: await this._resolveFolderId(options.folderId, options) };
+    }
+    let source = await this._resolveSource(options);
 
-    if (typeof options.file === "string") {
-      const filePath = options.file;
+    try {
+      if (encryption) {
+        source = await this._encryptSource(source, encryption, options);
+      }
+      if (this._shouldGuardQuota(options)) {
+        await this._checkQuota(source.size, options, `upload of "${source.filename}"`);
+      }
+      throwIfAborted(options.signal);
+      if (options.chunked) {
+        return await this._uploadChunked(source, options);
+      }
+      return await this._uploadSource(source, options);
+    } finally {
+      await source.cleanup();
+    }
+  }
 
-      try {
-        const stats = await fsPromises.stat(filePath);
-        size = stats.size;
-        filename = options.filename || path.basename(filePath);
-        mimeType = options.mimeType || this._getMimeType(filename);
-        fileBuffer = await fsPromises.readFile(filePath);
-      } catch (err) {
-        if (err.code === "ENOENT") {
-          throw new ValidationError(`File not found: ${filePath}`);
-        }
-        throw err;
+  /**
+   * Resume a chunked upload, sending only the parts that were not uploaded yet
+   * @param {Object|string} token - Resume token object, its JSON, or the path of a resume file
+   * @param {Object} [options] - Resume options
+   * @param {string|Buffer} [options.file] - Source file (required if the upload was started from a Buffer or stream)
+   * @param {Function} [options.onProgress] - Progress callback ({ loaded, total, percent, bytesPerSecond, etaMs })
+   * @param {number} [options.progressInterval=100] - Minimum milliseconds between progress callbacks
+   * @param {Object} [options.chunked] - Chunked upload options (concurrency, partRetries, resumeFile, onResumeToken)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the upload when aborted
+   * @returns {Promise<Object>} Uploaded file record
+   */
+  async resumeUpload(token, options = {}) {
+    if (!token) {
+      throw new ValidationError("Resume token is required");
+    }
+    if (options.encryption) {
+      throw new ValidationError("Encrypted uploads cannot be resumed; start a new upload instead");
+    }
+
+    const state = await MultipartUpload.readToken(token);
+    const file = options.file !== undefined && options.file !== null ? options.file : state.filePath;
+
+    if (!file) {
+      throw new ValidationError("The original file is required to resume this upload");
+    }
+
+    const source = await this._resolveSource({ ...options, file, filename: state.filename, mimeType: state.mimeType, size: state.size });
+
+    try {
+      if (source.size !== state.size) {
+        throw new ValidationError(`File size changed since the upload started (expected ${state.size} bytes, got ${source.size})`);
+      }
+      if (source.filePath === state.filePath && state.mtimeMs && source.mtimeMs !== state.mtimeMs) {
+        throw new ValidationError("File was modified since the upload started");
       }
-    } else if (Buffer.isBuffer(options.file)) {
-      fileBuffer = options.file;
-      size = fileBuffer.length;
-      filename = options.filename;
-      mimeType = options.mimeType;
 
-      if (!filename) {
-        throw new ValidationError("Filename is required when uploading a Buffer");
+      const chunked = { ...options.chunked };
+      if (!chunked.resumeFile && typeof token === "string" && !token.trim().startsWith("{")) {
+        chunked.resumeFile = token;
       }
 
-      if (!mimeType) {
-        mimeType = this._getMimeType(filename);
+      return await this._uploadChunked(source, { ...options, chunked }, state);
+    } finally {
+      await source.cleanup();
+    }
+  }
+
+  /**
+   * Upload a resolved source in parts
+   * @private
+   */
+  async _uploadChunked(source, options, state = null) {
+    if (!source.buffer && !source.filePath) {
+      throw new ValidationError("Chunked uploads require a file path, a Buffer or a stream without a size");
+    }
+
+    const upload = new MultipartUpload(this.http, source, options, state);
+    const file = await upload.run();
+    return withChecksums(file, upload.state.checksums);
+  }
+
+  /**
+   * Run the presign, transfer and complete steps for a resolved upload source
+   * @private
+   */
+  async _uploadSource(source, options) {
+    const { filename, size, mimeType } = source;
+    const requestOptions = pickRequestOptions(options);
+    const algorithms = checksumAlgorithms(options.checksum);
+
+    // Buffers are hashed up front; MD5 also has to be known before the transfer for the Content-MD5 header
+    let checksums = null;
+    if (algorithms.length > 0 && source.buffer) {
+      checksums = hashBuffer(source.buffer, algorithms);
+    } else if (algorithms.includes("md5")) {
+      if (!source.filePath) {
+        throw new ValidationError("MD5 checksums need a file path, a Buffer or a stream without a size");
       }
-    } else {
-      throw new ValidationError("File must be a file path (string) or Buffer");
+      checksums = await hashFile(source.filePath, algorithms);
     }
 
-    const presignResponse = await this.http.post("/v1/upload/presign", {
-      filename,
-      fileType: mimeType,
-      size,
-      folderId: options.folderId || "",
-    });
+    const presignResponse = await this.http.post(
+      "/v1/upload/presign",
+      {
+        filename,
+        fileType: mimeType,
+        size,
+        folderId: options.folderId || "",
+        ...checksums,
+      },
+      requestOptions,
+    );
 
     const { url, key, headers: uploadHeaders } = presignResponse.data.data;
+    const tracker = options.onProgress ? new ProgressTracker(options.onProgress, { total: size, interval: options.progressInterval }) : null;
+
+    // Otherwise the SHA-256 is computed while streaming; each attempt hashes its own copy of the body
+    let hasher = null;
+    let body = source.body;
+    if (algorithms.length > 0 && !checksums) {
+      const open = typeof source.body === "function" ? source.body : () => source.body;
+      body = () => {
+        hasher = createHashingStream(algorithms);
+        return stream.pipeline(open(), hasher, () => {});
+      };
+      if (typeof source.body !== "function") {
+        // A one-shot stream cannot be replayed, so keep it non-replayable for the retry logic
+        body = body();
+      }
+    }
 
     try {
-      if (options.onProgress) {
-        options.onProgress(0);
+      if (tracker) {
+        tracker.update(0, true);
       }
 
-      await this.http.putRaw(url, fileBuffer, {
-        "Content-Type": mimeType,
-        "Content-Length": size,
-        ...uploadHeaders,
-      });
+      await this.http.putRaw(
+        url,
+        body,
+        {
+          "Content-Type": mimeType,
+          "Content-Length": size,
+          ...(checksums && checksums.md5 ? { "Content-MD5": Buffer.from(checksums.md5, "hex").toString("base64") } : {}),
+          ...uploadHeaders,
+        },
+        {
+          ...requestOptions,
+          onProgress: tracker ? (loaded) => tracker.update(loaded) : undefined,
+        },
+      );
 
-      if (options.onProgress) {
-        options.onProgress(100);
+      if (tracker) {
+        tracker.complete();
       }
     } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
       throw new UploadError(`Failed to upload file: ${error.message}`, {
         filename,
         size,
@@ -312,78 +782,498 @@ class Files {
       });
     }
 
-    const completeResponse = await this.http.post("/v1/upload/complete", {
-      key,
-      filename,
-      size,
-      type: mimeType,
-      folderId: options.folderId || "",
-    });
+    if (hasher) {
+      checksums = hasher.digest();
+    }
+
+    const completeResponse = await this.http.post(
+      "/v1/upload/complete",
+      {
+        key,
+        filename,
+        size,
+        type: mimeType,
+        folderId: options.folderId || "",
+        ...checksums,
+      },
+      requestOptions,
+    );
+
+    return withChecksums(completeResponse.data.data.file, checksums);
+  }
+
+  /**
+   * Replace a resolved source with its encrypted form
+   * Buffers are encrypted in memory; chunked uploads and MD5 checksums need the ciphertext on disk, so it is written to
+   * a temporary file; anything else is encrypted while streaming, with each attempt sealing the content under fresh nonces
+   * @private
+   */
+  async _encryptSource(source, encryption, options) {
+    const envelope = await createEnvelope(encryption, source.size);
+    const encrypted = { filename: source.filename, size: encryptedSize(envelope), mimeType: source.mimeType, cleanup: source.cleanup };
+
+    if (source.buffer) {
+      const buffer = encryptBuffer(envelope, source.buffer);
+      return { ...encrypted, body: buffer, buffer };
+    }
+
+    const open = typeof source.body === "function" ? source.body : () => source.body;
+    const encrypt = () => stream.pipeline(open(), createEncryptStream(envelope), () => {});
+
+    if (options.chunked || checksumAlgorithms(options.checksum).includes("md5")) {
+      const tempPath = await this._spoolToTempFile(encrypt());
+      return {
+        ...encrypted,
+        body: () => fs.createReadStream(tempPath),
+        filePath: tempPath,
+        persistent: false,
+        cleanup: async () => {
+          await fsPromises.unlink(tempPath).catch(() => {});
+          await source.cleanup();
+        },
+      };
+    }
+
+    // A one-shot stream stays non-replayable for the retry logic
+    return { ...encrypted, body: typeof source.body === "function" ? encrypt : encrypt() };
+  }
+
+  /**
+   * Resolve the upload source into a streamable body with a known size
+   * File paths and measured streams are replayable (body is a stream factory) so failed transfers can be retried
+   * @private
+   */
+  async _resolveSource(options) {
+    const file = options.file;
+
+    if (typeof file === "string") {
+      let stats;
+      try {
+        stats = await fsPromises.stat(file);
+      } catch (err) {
+        if (err.code === "ENOENT") {
+          throw new ValidationError(`File not found: ${file}`);
+        }
+        throw err;
+      }
+
+      if (!stats.isFile()) {
+        throw new ValidationError(`Not a file: ${file}`);
+      }
+
+      const filename = options.filename || path.basename(file);
+
+      return {
+        filename,
+        size: stats.size,
+        mimeType: this._detectMimeType(filename, await this._readHead(file), options),
+        body: () => fs.createReadStream(file),
+        filePath: file,
+        mtimeMs: stats.mtimeMs,
+        persistent: true,
+        cleanup: async () => {},
+      };
+    }
+
+    if (Buffer.isBuffer(file)) {
+      if (!options.filename) {
+        throw new ValidationError("Filename is required when uploading a Buffer");
+      }
+
+      return {
+        filename: options.filename,
+        size: file.length,
+        mimeType: this._detectMimeType(options.filename, file.subarray(0, MimeRegistry.SNIFF_BYTES), options),
+        body: file,
+        buffer: file,
+        cleanup: async () => {},
+      };
+    }
+
+    if (isReadableStream(file)) {
+      const filename = options.filename || (typeof file.path === "string" ? path.basename(file.path) : null);
+      if (!filename) {
+        throw new ValidationError("Filename is required when uploading a stream");
+      }
+
+      if (options.size !== undefined && options.size !== null) {
+        if (!Number.isInteger(options.size) || options.size < 0) {
+          throw new ValidationError("Size must be a non-negative integer");
+        }
+
+        // The stream is sent as-is, so its content cannot be inspected
+        return { filename, size: options.size, mimeType: this._detectMimeType(filename, null, options), body: file, cleanup: async () => {} };
+      }
+
+      const tempPath = await this._spoolToTempFile(file);
+      let stats;
+      let mimeType;
+      try {
+        stats = await fsPromises.stat(tempPath);
+        mimeType = this._detectMimeType(filename, await this._readHead(tempPath), options);
+      } catch (error) {
+        await fsPromises.unlink(tempPath).catch(() => {});
+        throw error;
+      }
 
-    return completeResponse.data.data.file;
+      return {
+        filename,
+        size: stats.size,
+        mimeType,
+        body: () => fs.createReadStream(tempPath),
+        filePath: tempPath,
+        persistent: false,
+        cleanup: () => fsPromises.unlink(tempPath).catch(() => {}),
+      };
+    }
+
+    throw new ValidationError("File must be a file path (string), Buffer or Readable stream");
+  }
+
+  /**
+   * Write a stream of unknown length to a temporary file so its size can be measured without buffering it in memory
+   * @private
+   */
+  async _spoolToTempFile(stream) {
+    const tempPath = path.join(os.tmpdir(), `brizo-upload-${crypto.randomBytes(8).toString("hex")}`);
+
+    try {
+      await pipelineAsync(stream, fs.createWriteStream(tempPath));
+    } catch (error) {
+      await fsPromises.unlink(tempPath).catch(() => {});
+      throw new UploadError(`Failed to read upload stream: ${error.message}`);
+    }
+
+    return tempPath;
   }
 
   /**
-   * Upload multiple files
-   * @param {Array<Object>} files - Array of upload options (same as upload method)
+   * Upload multiple files, keeping up to `concurrency` uploads in flight at all times
+   * @param {Array<Object>} files - Array of upload options (same as upload method, plus an optional per-file `fileRetries`; per-file signals are replaced by the batch signal)
    * @param {Object} [options] - Batch options
    * @param {number} [options.concurrency=3] - Number of concurrent uploads
+   * @param {number} [options.fileRetries=0] - Times a failed file is uploaded again from scratch (on top of request-level retries)
+   * @param {boolean} [options.failFast=false] - Stop at the first failed file (same as maxFailures: 1)
+   * @param {number} [options.maxFailures] - Stop once this many files have failed
    * @param {Function} [options.onFileComplete] - Callback when each file completes
-   * @param {Function} [options.onProgress] - Overall progress callback
-   * @returns {Promise<Object>} Results with successful and failed uploads
+   * @param {Function} [options.onProgress] - Aggregate byte progress callback ({ loaded, total, percent, bytesPerSecond, etaMs, filesCompleted, filesTotal })
+   * @param {number} [options.progressInterval=100] - Minimum milliseconds between progress callbacks
+   * @param {Object|false} [options.retry] - Retry policy for every upload (per-file options take precedence)
+   * @param {AbortSignal} [options.signal] - Cancels in-flight uploads and stops starting new ones; rejects with an AbortError carrying the partial results
+   * @param {boolean} [options.quotaGuard] - Check once, before the first upload, that the whole batch fits in the storage quota (streams without a size count as 0 bytes)
+   * @param {Object} [options.encryption] - Encryption for every upload (per-file options take precedence)
+   * @returns {Promise<Object>} Results ({ successful, failed, skipped }); when the batch stops early, in-flight uploads are cancelled and reported as failed, and files never started are listed in skipped
+   * @throws {LimitExceededError} If the quota guard is on and the batch does not fit; nothing is uploaded
    */
   async uploadBatch(files, options = {}) {
+    if (!Array.isArray(files)) {
+      throw new ValidationError("Files must be an array of upload options");
+    }
+
     const concurrency = options.concurrency || 3;
+    const maxFailures = options.failFast ? 1 : options.maxFailures;
+    if (maxFailures !== undefined && maxFailures !== null && (!Number.isInteger(maxFailures) || maxFailures < 1)) {
+      throw new ValidationError("maxFailures must be a positive integer");
+    }
+
+    throwIfAborted(options.signal);
+
+    const guardQuota = this._shouldGuardQuota(options);
+    const fileTotals = options.onProgress || guardQuota ? await Promise.all(files.map((fileOptions) => this._estimateSize(fileOptions))) : [];
+    if (guardQuota) {
+      await this._checkQuota(
+        fileTotals.reduce((sum, size) => sum + size, 0),
+        options,
+        `batch of ${files.length} files`,
+      );
+    }
+
     const results = {
       successful: [],
       failed: [],
+      skipped: [],
     };
 
     let completed = 0;
     const total = files.length;
 
-    const uploadFile = async (fileOptions) => {
+    // Stopping the batch (failure threshold or the caller's signal) cancels every in-flight upload
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (options.signal) {
+      options.signal.addEventListener("abort", onAbort, { once: true });
+    }
+
+    const fileLoaded = files.map(() => 0);
+    let loadedBytes = 0;
+    const tracker = options.onProgress
+      ? new ProgressTracker((progress) => options.onProgress({ ...progress, filesCompleted: completed, filesTotal: total }), {
+          total: fileTotals.reduce((sum, size) => sum + size, 0),
+          interval: options.progressInterval,
+        })
+      : null;
+
+    const trackFile = (index, loaded, size) => {
+      if (size !== fileTotals[index]) {
+        tracker.total += size - fileTotals[index];
+        fileTotals[index] = size;
+      }
+      loadedBytes += loaded - fileLoaded[index];
+      fileLoaded[index] = loaded;
+    };
+
+    const uploadFile = async (fileOptions, index) => {
+      const { fileRetries = options.fileRetries || 0, ...uploadOptions } = fileOptions;
       let uploadResult = null;
       let uploadError = null;
+      let attempts;
 
-      try {
-        uploadResult = await this.upload(fileOptions);
+      const onProgress = tracker
+        ? (progress) => {
+            if (uploadOptions.onProgress) {
+              uploadOptions.onProgress(progress);
+            }
+            trackFile(index, progress.loaded, progress.total);
+            tracker.update(loadedBytes);
+          }
+        : uploadOptions.onProgress;
+
+      for (attempts = 1; ; attempts++) {
+        try {
+          // The whole batch has been checked against the quota already
+          uploadResult = await this.upload({ retry: options.retry, encryption: options.encryption, ...uploadOptions, quotaGuard: false, signal: controller.signal, onProgress });
+          uploadError = null;
+          break;
+        } catch (error) {
+          uploadError = error;
+          if (attempts > fileRetries || !this._canRetryFile(uploadOptions, error)) break;
+        }
+      }
+
+      completed++;
+
+      if (uploadError) {
+        results.failed.push({
+          filename: this._describeSource(uploadOptions),
+          error: uploadError,
+          attempts,
+          options: fileOptions,
+        });
+      } else {
         results.successful.push({
           ...uploadResult,
-          originalFilename: fileOptions.filename || fileOptions.file,
-        });
-      } catch (error) {
-        uploadError = error;
-        results.failed.push({
-          filename: fileOptions.filename || fileOptions.file,
-          error: error.message,
+          originalFilename: this._describeSource(uploadOptions),
         });
       }
 
-      completed++;
-      const currentCompleted = completed;
+      if (tracker) {
+        // Failed files no longer count towards the bytes that will be uploaded
+        trackFile(index, uploadError ? 0 : fileTotals[index], uploadError ? 0 : fileTotals[index]);
+        tracker.update(loadedBytes, true);
+      }
 
-      if (options.onFileComplete) {
-        options.onFileComplete(uploadResult, uploadError);
+      if (uploadError && maxFailures && results.failed.length >= maxFailures) {
+        controller.abort();
       }
 
-      if (options.onProgress) {
-        options.onProgress(Math.round((currentCompleted / total) * 100), currentCompleted, total);
+      if (options.onFileComplete) {
+        options.onFileComplete(uploadResult, uploadError);
       }
     };
 
-    const chunks = [];
-    for (let i = 0; i < files.length; i += concurrency) {
-      chunks.push(files.slice(i, i + concurrency));
+    const started = await runPool(files, concurrency, uploadFile, controller.signal);
+
+    if (options.signal) {
+      options.signal.removeEventListener("abort", onAbort);
     }
 
-    for (const chunk of chunks) {
-      await Promise.all(chunk.map(uploadFile));
+    results.skipped = files.slice(started);
+
+    if (options.signal && options.signal.aborted) {
+      throw new AbortError(`Batch upload aborted after ${completed} of ${total} files`, { results });
+    }
+
+    if (tracker) {
+      tracker.complete();
     }
 
     return results;
   }
 
+  /**
+   * Upload again the files of a previous batch that failed, together with its skipped files (never started because the batch stopped early)
+   * Stream sources cannot be re-read and must be replaced in the failed entries' options before retrying
+   * @param {Object} results - Results returned by uploadBatch
+   * @param {Object} [options] - Batch options (same as uploadBatch)
+   * @returns {Promise<Object>} Results of the new batch, plus retried ({ failed, skipped }: the file options taken from each list of the previous results)
+   */
+  async retryFailed(results, options = {}) {
+    if (!results || !Array.isArray(results.failed)) {
+      throw new ValidationError("Results of a previous uploadBatch call are required");
+    }
+
+    const retried = {
+      failed: results.failed.map((entry) => entry.options),
+      skipped: results.skipped || [],
+    };
+
+    const next = await this.uploadBatch([...retried.failed, ...retried.skipped], options);
+    return { ...next, retried };
+  }
+
+  /**
+   * Whether an upload call should check the quota first
+   * @private
+   */
+  _shouldGuardQuota(options) {
+    return options.quotaGuard !== undefined ? Boolean(options.quotaGuard) : this.quotaGuard;
+  }
+
+  /**
+   * Throw a LimitExceededError if the given number of bytes does not fit in the remaining storage
+   * Usage is read fresh (not from the metrics cache) because earlier uploads change it
+   * @private
+   */
+  async _checkQuota(bytes, options, what) {
+    if (!this.metrics) {
+      throw new ValidationError("The quota guard needs the metrics module (use the Brizo client)");
+    }
+
+    const usage = await this.metrics.getStorageUsage({ ...pickRequestOptions(options), useCache: false });
+    if (!usage.limit) return;
+
+    const available = Math.max(0, usage.limit - usage.used);
+    if (bytes > available) {
+      const shortfall = bytes - available;
+      throw new LimitExceededError(`Storage limit exceeded: ${what} needs ${bytes} bytes but only ${available} are available (${shortfall} bytes short)`, "storage", { required: bytes, available, shortfall, used: usage.used, limit: usage.limit });
+    }
+  }
+
+  /**
+   * Turn a folder ID or path into a folder ID ('' for the root)
+   * @private
+   */
+  async _resolveFolderId(folderId, options) {
+    if (isPath(folderId)) {
+      return this._requireFolders().resolveId(folderId, options);
+    }
+    return folderId === "root" ? "" : folderId || "";
+  }
+
+  /**
+   * Folders module, needed for path lookups
+   * @private
+   */
+  _requireFolders() {
+    if (!this.folders) {
+      throw new ValidationError("Folder paths need the folders module (use the Brizo client)");
+    }
+    return this.folders;
+  }
+
+  /**
+   * Mark a file as favorite
+   * @param {string} fileId - File ID or path
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object>} Updated file
+   */
+  async favorite(fileId, options = {}) {
+    return this._setFavorite(fileId, true, options);
+  }
+
+  /**
+   * Remove a file from favorites
+   * @param {string} fileId - File ID or path
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object>} Updated file
+   */
+  async unfavorite(fileId, options = {}) {
+    return this._setFavorite(fileId, false, options);
+  }
+
+  /**
+   * Flip the favorite flag of a file
+   * The current flag is read first (from the file object when one is passed), so this is two requests for an ID
+   * @param {string|Object} file - File ID, path or file object
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the requests when aborted
+   * @returns {Promise<Object>} Updated file
+   */
+  async toggleFavorite(file, options = {}) {
+    if (!file) {
+      throw new ValidationError("File ID is required");
+    }
+
+    let current = file;
+    if (typeof file === "string") {
+      current = isPath(file) ? await this.getByPath(file, options) : await this.get(file, options);
+    }
+
+    return this._setFavorite(current.id, !current.isFavorite, options);
+  }
+
+  /**
+   * @private
+   */
+  async _setFavorite(fileId, isFavorite, options) {
+    if (!fileId) {
+      throw new ValidationError("File ID is required");
+    }
+
+    const id = isPath(fileId) ? (await this.getByPath(fileId, options)).id : fileId;
+    const response = await this.http.patch(`/v1/files/${id}`, { isFavorite }, pickRequestOptions(options));
+
+    return response.data.data;
+  }
+
+  /**
+   * Create (or update) the public share link of a file
+   * Sharing an already shared file keeps its link and replaces its expiry and password
+   * @param {string} fileId - File ID or path
+   * @param {Object} [options] - Share options
+   * @param {Date|string|number} [options.expiresAt] - When the link stops working (Date, ISO string or epoch milliseconds)
+   * @param {number} [options.expiresIn] - Milliseconds until the link stops working (instead of expiresAt)
+   * @param {string} [options.password] - Password visitors must enter
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object>} Updated file (with isShared, publicId, shareUrl, shareExpiresAt and sharePasswordProtected)
+   */
+  async share(fileId, options = {}) {
+    if (!fileId) {
+      throw new ValidationError("File ID is required");
+    }
+
+    const body = shareBody(options);
+    const id = isPath(fileId) ? (await this.getByPath(fileId, options)).id : fileId;
+    const response = await this.http.post(`/v1/files/${id}/share`, body, pickRequestOptions(options));
+
+    return response.data.data;
+  }
+
+  /**
+   * Remove the public share link of a file
+   * @param {string} fileId - File ID or path
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object>} Updated file
+   */
+  async unshare(fileId, options = {}) {
+    if (!fileId) {
+      throw new ValidationError("File ID is required");
+    }
+
+    const id = isPath(fileId) ? (await this.getByPath(fileId, options)).id : fileId;
+    const response = await this.http.delete(`/v1/files/${id}/share`, pickRequestOptions(options));
+
+    return response.data.data;
+  }
+
   /**
    * Get public share URL for a file
    * @param {Object} file - File object with publicId
@@ -397,12 +1287,111 @@ class Files {
   }
 
   /**
-   * Get MIME type from filename
+   * Size of a partial download left by a previous attempt (0 if missing or unusable)
+   * @private
+   */
+  async _partialSize(tempPath, expectedSize) {
+    try {
+      const { size } = await fsPromises.stat(tempPath);
+      return expectedSize !== null && size > expectedSize ? 0 : size;
+    } catch {
+      return 0;
+    }
+  }
+
+  /**
+   * Pipe a readable into a writable stream without ending the writable
+   * @private
+   */
+  _pipeWithoutEnd(source, destination, onData) {
+    return new Promise((resolve, reject) => {
+      const fail = (error) => {
+        source.destroy();
+        reject(error);
+      };
+
+      source.on("data", onData);
+      source.on("end", resolve);
+      source.on("aborted", () => fail(new Error("Connection aborted")));
+      source.on("error", fail);
+      destination.on("error", fail);
+      source.pipe(destination, { end: false });
+    });
+  }
+
+  /**
+   * Estimate the size of an upload source without reading it (0 if unknown)
    * @private
    */
-  _getMimeType(filename) {
-    const ext = path.extname(filename).toLowerCase().slice(1);
-    return MIME_TYPES[ext] || "application/octet-stream";
+  async _estimateSize(fileOptions) {
+    const file = fileOptions && fileOptions.file;
+
+    if (Buffer.isBuffer(file)) return file.length;
+    if (Number.isInteger(fileOptions.size)) return fileOptions.size;
+    if (typeof file === "string") {
+      try {
+        return (await fsPromises.stat(file)).size;
+      } catch {
+        return 0;
+      }
+    }
+
+    return 0;
+  }
+
+  /**
+   * Whether a failed batch upload may be attempted again from scratch
+   * Consumed streams cannot be replayed, and cancellations and client-side errors would fail again
+   * @private
+   */
+  _canRetryFile(fileOptions, error) {
+    if (isReadableStream(fileOptions.file)) return false;
+    return !(error instanceof AbortError || error instanceof ValidationError || error instanceof AuthenticationError || error instanceof NotFoundError || error instanceof LimitExceededError);
+  }
+
+  /**
+   * Get a human-readable name for an upload source
+   * @private
+   */
+  _describeSource(fileOptions) {
+    if (fileOptions.filename) return fileOptions.filename;
+    if (typeof fileOptions.file === "string") return fileOptions.file;
+    if (fileOptions.file && typeof fileOptions.file.path === "string") return fileOptions.file.path;
+    return null;
+  }
+
+  /**
+   * Pick the MIME type of an upload from its name and leading bytes, enforcing strict mode
+   * @private
+   */
+  _detectMimeType(filename, sample, options) {
+    const result = this.mime.detect(filename, sample, options.mimeType);
+    const strict = options.strictMimeType !== undefined ? Boolean(options.strictMimeType) : this.strictMimeType;
+
+    if (strict && result.mismatch) {
+      throw new ValidationError(`Content of "${filename}" looks like ${result.detectedType}, not ${result.declaredType}`, {
+        filename,
+        declaredType: result.declaredType,
+        detectedType: result.detectedType,
+      });
+    }
+
+    return result.mimeType;
+  }
+
+  /**
+   * Read the leading bytes of a file for content sniffing
+   * @private
+   */
+  async _readHead(filePath) {
+    const handle = await fsPromises.open(filePath, "r");
+    try {
+      const buffer = Buffer.alloc(MimeRegistry.SNIFF_BYTES);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+      return buffer.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
   }
 }
 
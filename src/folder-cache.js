@@ -0,0 +1,147 @@
+/**
+ * Folder metadata cache for Brizo SDK
+ * Remembers folder records and complete child listings so repeated lookups skip the API
+ */
+
+const { ValidationError } = require("./errors");
+
+const DEFAULT_TTL = 5 * 60 * 1000;
+
+class FolderCache {
+  /**
+   * @param {Object} [options] - Cache options
+   * @param {number} [options.ttl=300000] - Milliseconds a folder record or listing stays valid
+   */
+  constructor(options = {}) {
+    this.ttl = options.ttl !== undefined ? options.ttl : DEFAULT_TTL;
+    if (typeof this.ttl !== "number" || !(this.ttl > 0)) {
+      throw new ValidationError("folderCache.ttl must be a positive number of milliseconds");
+    }
+    // Folder ID -> { folder, expires }
+    this._folders = new Map();
+    // Parent ID ('' for the root) -> { ids, expires } for parents whose full listing is known
+    this._children = new Map();
+  }
+
+  /**
+   * Cached folder record, if it has not expired
+   * @param {string} folderId - Folder ID
+   * @returns {Object|null}
+   */
+  get(folderId) {
+    const entry = this._folders.get(folderId);
+    if (!entry) return null;
+
+    if (entry.expires <= Date.now()) {
+      this._folders.delete(folderId);
+      return null;
+    }
+
+    return { ...entry.folder };
+  }
+
+  /**
+   * Cached folders of a parent, if its full listing is known and has not expired
+   * @param {string} parentId - Parent folder ID ('' for the root)
+   * @returns {Array|null}
+   */
+  getChildren(parentId) {
+    const listing = this._children.get(parentId);
+    if (!listing) return null;
+
+    if (listing.expires <= Date.now()) {
+      this._children.delete(parentId);
+      return null;
+    }
+
+    const folders = [];
+    for (const id of listing.ids) {
+      const folder = this.get(id);
+      if (!folder) {
+        this._children.delete(parentId);
+        return null;
+      }
+      folders.push(folder);
+    }
+
+    return folders;
+  }
+
+  /**
+   * Record the complete listing of a parent folder
+   * @param {string} parentId - Parent folder ID ('' for the root)
+   * @param {Array} folders - Every folder in the parent
+   */
+  setChildren(parentId, folders) {
+    const expires = Date.now() + this.ttl;
+
+    for (const folder of folders) {
+      this._folders.set(folder.id, { folder: { ...folder, parent: parentId }, expires });
+    }
+    this._children.set(parentId, { ids: new Set(folders.map((folder) => folder.id)), expires });
+  }
+
+  /**
+   * Record a folder that was fetched, created, renamed or moved
+   * The folder is added to its parent's listing and removed from the listing of a previous parent
+   * @param {Object} folder - Folder record (its parent field names the parent, '' for the root; if missing, the cached parent is kept)
+   */
+  set(folder) {
+    const previous = this._folders.get(folder.id);
+    const previousParent = previous ? previous.folder.parent : undefined;
+    const parentId = folder.parent !== undefined && folder.parent !== null ? folder.parent : previousParent;
+
+    if (parentId === undefined) {
+      // Unknown parent: keep the record but leave every listing alone
+      this._folders.set(folder.id, { folder: { ...folder }, expires: Date.now() + this.ttl });
+      return;
+    }
+
+    if (previousParent !== undefined && previousParent !== parentId) {
+      const oldListing = this._children.get(previousParent);
+      if (oldListing) oldListing.ids.delete(folder.id);
+    }
+
+    this._folders.set(folder.id, { folder: { ...(previous && previous.folder), ...folder, parent: parentId }, expires: Date.now() + this.ttl });
+
+    const listing = this._children.get(parentId);
+    if (listing) listing.ids.add(folder.id);
+  }
+
+  /**
+   * Forget a deleted folder and everything cached below it
+   * @param {string} folderId - Folder ID
+   */
+  remove(folderId) {
+    const entry = this._folders.get(folderId);
+    if (entry) {
+      const listing = this._children.get(entry.folder.parent);
+      if (listing) listing.ids.delete(folderId);
+    }
+
+    const listing = this._children.get(folderId);
+    if (listing) {
+      for (const childId of [...listing.ids]) {
+        this.remove(childId);
+      }
+    } else {
+      // Without a listing the children are unknown, so drop any records that still point here
+      for (const [id, child] of this._folders) {
+        if (child.folder.parent === folderId) this.remove(id);
+      }
+    }
+
+    this._folders.delete(folderId);
+    this._children.delete(folderId);
+  }
+
+  /**
+   * Forget everything
+   */
+  clear() {
+    this._folders.clear();
+    this._children.clear();
+  }
+}
+
+module.exports = FolderCache;
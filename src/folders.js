@@ -1,59 +1,146 @@
 /**
  * Folders module for Brizo SDK
- * Handles folder operations including create, list, and delete
+ * Handles folder operations including create, list, download, and delete
  */
 
-const { ValidationError } = require("./errors");
+const fsPromises = require("node:fs/promises");
+const nodePath = require("node:path");
+const { AbortError, BrizoError, NotFoundError, ValidationError } = require("./errors");
+const FolderCache = require("./folder-cache");
+const ProgressTracker = require("./progress");
+const { encryptionOptions } = require("./encryption");
+const { isPath, matchByName, pickRequestOptions, paginate, runPool, shareBody, splitPath, throwIfAborted, toLocalName } = require("./utils");
+
+/**
+ * How long resolved folder paths are remembered, in milliseconds
+ */
+const PATH_CACHE_TTL = 30 * 1000;
 
 class Folders {
   /**
    * @param {import('./http')} httpClient - HTTP client instance
+   * @param {import('./files')} [files] - Files module (used to download folder contents)
+   * @param {Object} [options] - Module options
+   * @param {boolean|Object} [options.cache=false] - Cache folder metadata (true, or { ttl } in milliseconds; default TTL 5 minutes)
    */
-  constructor(httpClient) {
+  constructor(httpClient, files = null, options = {}) {
     this.http = httpClient;
+    this.files = files;
+    this._pathCache = new Map();
+    this._cache = options.cache ? new FolderCache(options.cache === true ? {} : options.cache) : null;
   }
 
   /**
    * List folders
+   * With the folder cache enabled, complete listings (no page or perPage) are served from the cache while fresh
    * @param {Object} [options] - List options
    * @param {string} [options.parentId] - Parent folder ID (empty for root folders)
+   * @param {number} [options.page] - Page number (omit to get every folder)
+   * @param {number} [options.perPage] - Items per page
+   * @param {boolean} [options.cache=true] - Read from the folder cache (false always asks the API, refreshing the cache)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} List of folders
    */
   async list(options = {}) {
+    const parentId = options.parentId || "";
+    const complete = options.page === undefined && options.perPage === undefined;
+
+    if (this._cache && complete && options.cache !== false) {
+      const cached = this._cache.getChildren(parentId);
+      if (cached) {
+        return { items: cached, totalItems: cached.length };
+      }
+    }
+
     const response = await this.http.get("/v1/folders", {
+      ...pickRequestOptions(options),
       query: {
-        parentId: options.parentId || "",
+        parentId,
+        page: options.page,
+        perPage: options.perPage,
       },
     });
 
-    return response.data.data;
+    const result = response.data.data;
+    if (this._cache && complete) {
+      this._cache.setChildren(parentId, result.items || []);
+    }
+
+    return result;
+  }
+
+  /**
+   * Iterate over the folders in a parent folder, fetching pages lazily
+   * @param {Object} [options] - Same options as list, plus iteration options
+   * @param {number} [options.perPage=100] - Items per page request
+   * @param {number|boolean} [options.prefetch=0] - Number of pages to fetch ahead (true = 1)
+   * @param {number} [options.maxItems] - Stop after this many folders
+   * @returns {AsyncGenerator<Object>} Folders across all pages
+   */
+  iterate(options = {}) {
+    const perPage = options.perPage || 100;
+
+    return paginate(async (page) => {
+      const result = await this.list({ ...options, page, perPage });
+      const items = result.items || [];
+
+      let totalPages = result.totalPages;
+      if (totalPages === undefined) {
+        // The server returned everything at once if it ignored paging
+        if (items.length > perPage || items.length < perPage) {
+          totalPages = page;
+        } else {
+          totalPages = typeof result.totalItems === "number" ? Math.ceil(result.totalItems / perPage) : Infinity;
+        }
+      }
+
+      return { items, totalPages };
+    }, options);
   }
 
   /**
    * Get folder information by ID
    * @param {string} folderId - Folder ID
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.cache=true] - Read from the folder cache when it is enabled
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Folder information
    */
-  async get(folderId) {
+  async get(folderId, options = {}) {
     if (!folderId) {
       throw new ValidationError("Folder ID is required");
     }
 
-    const response = await this.http.get(`/v1/folders/${folderId}`);
-    return response.data.data;
+    if (this._cache && options.cache !== false) {
+      const cached = this._cache.get(folderId);
+      if (cached) return cached;
+    }
+
+    const response = await this.http.get(`/v1/folders/${folderId}`, pickRequestOptions(options));
+    const folder = response.data.data;
+
+    if (this._cache) {
+      this._cache.set(folder);
+    }
+    return folder;
   }
 
   /**
    * Get folder path (breadcrumb)
    * @param {string} folderId - Folder ID
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Array>} Array of folder path segments
    */
-  async getPath(folderId) {
+  async getPath(folderId, options = {}) {
     if (!folderId) {
       throw new ValidationError("Folder ID is required");
     }
 
-    const response = await this.http.get(`/v1/folders/${folderId}/path`);
+    const response = await this.http.get(`/v1/folders/${folderId}/path`, pickRequestOptions(options));
     return response.data.data;
   }
 
@@ -62,6 +149,8 @@ class Folders {
    * @param {Object} options - Create options
    * @param {string} options.name - Folder name
    * @param {string} [options.parentId] - Parent folder ID (empty for root)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Created folder
    */
   async create(options) {
@@ -69,21 +158,32 @@ class Folders {
       throw new ValidationError("Folder name is required");
     }
 
-    const response = await this.http.post("/v1/folders", {
-      name: options.name,
-      parentId: options.parentId || "",
-    });
+    const response = await this.http.post(
+      "/v1/folders",
+      {
+        name: options.name,
+        parentId: options.parentId || "",
+      },
+      pickRequestOptions(options),
+    );
 
-    return response.data.data;
+    const folder = response.data.data;
+    if (this._cache) {
+      this._cache.set({ parent: options.parentId || "", ...folder });
+    }
+    return folder;
   }
 
   /**
    * Rename a folder
    * @param {string} folderId - Folder ID
    * @param {string} newName - New folder name
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Updated folder
    */
-  async rename(folderId, newName) {
+  async rename(folderId, newName, options = {}) {
     if (!folderId) {
       throw new ValidationError("Folder ID is required");
     }
@@ -91,28 +191,47 @@ class Folders {
       throw new ValidationError("New folder name is required");
     }
 
-    const response = await this.http.patch(`/v1/folders/${folderId}`, {
-      name: newName,
-    });
+    const response = await this.http.patch(
+      `/v1/folders/${folderId}`,
+      {
+        name: newName,
+      },
+      pickRequestOptions(options),
+    );
 
+    this._recordChange(response.data.data);
     return response.data.data;
   }
 
   /**
    * Move a folder to a different parent folder
-   * @param {string} folderId - Folder ID
-   * @param {string} [parentId] - New parent folder ID (empty string or 'root' for root)
+   * @param {string} folderId - Folder ID or path
+   * @param {string} [parentId] - New parent folder ID or path (empty string, 'root' or '/' for root)
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Updated folder
    */
-  async move(folderId, parentId = "") {
+  async move(folderId, parentId = "", options = {}) {
     if (!folderId) {
       throw new ValidationError("Folder ID is required");
     }
 
-    const response = await this.http.patch(`/v1/folders/${folderId}`, {
-      parentId: parentId === "root" ? "" : parentId,
-    });
+    const sourceId = await this.resolveId(folderId, options);
+    if (!sourceId) {
+      throw new ValidationError("The root folder cannot be moved");
+    }
+    const targetId = await this.resolveId(parentId, options);
+
+    const response = await this.http.patch(
+      `/v1/folders/${sourceId}`,
+      {
+        parentId: targetId,
+      },
+      pickRequestOptions(options),
+    );
 
+    this._recordChange({ parent: targetId, ...response.data.data });
     return response.data.data;
   }
 
@@ -121,6 +240,8 @@ class Folders {
    * @param {string} folderId - Folder ID
    * @param {Object} [options] - Delete options
    * @param {boolean} [options.deleteContents=false] - Delete folder contents (files moved to root)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Deletion result
    */
   async delete(folderId, options = {}) {
@@ -129,11 +250,16 @@ class Folders {
     }
 
     const response = await this.http.delete(`/v1/folders/${folderId}`, {
+      ...pickRequestOptions(options),
       query: {
         deleteContents: options.deleteContents ? "true" : undefined,
       },
     });
 
+    this._pathCache.clear();
+    if (this._cache) {
+      this._cache.remove(folderId);
+    }
     return response.data;
   }
 
@@ -143,6 +269,9 @@ class Folders {
    * @param {Object} [options] - Options
    * @param {number} [options.maxConcurrency=5] - Max concurrent requests
    * @param {number} [options.maxDepth=20] - Max recursion depth
+   * @param {boolean} [options.cache=true] - Read from the folder cache when it is enabled
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels pending requests and stops descending into subfolders
    * @returns {Promise<Array>} Flat array of all folders with their paths
    */
   async listAll(parentId = "", options = {}) {
@@ -155,7 +284,7 @@ class Folders {
       if (depth >= maxDepth) return;
 
       try {
-        const result = await this.list({ parentId: parent });
+        const result = await this.list({ ...pickRequestOptions(options), parentId: parent, cache: options.cache });
         const folders = result.items || [];
 
         const foldersWithPaths = folders.map((folder) => ({
@@ -172,9 +301,11 @@ class Folders {
         }
 
         for (const chunk of chunks) {
+          throwIfAborted(options.signal);
           await Promise.all(chunk.map((f) => fetchRecursive(f.id, f.path, depth + 1)));
         }
       } catch (error) {
+        if (error instanceof AbortError) throw error;
         errors.push({ parentId: parent, error: error.message });
       }
     };
@@ -188,39 +319,604 @@ class Folders {
     return allFolders;
   }
 
+  /**
+   * Download a folder and everything below it into a local directory
+   * The folder's contents are written directly into localDir, recreating its subfolders (including empty ones)
+   * @param {string} folderId - Folder ID ('root' for the root folder)
+   * @param {string} localDir - Local directory to download into (created if needed)
+   * @param {Object} [options] - Download options
+   * @param {number} [options.concurrency=4] - Number of files downloaded in parallel
+   * @param {boolean} [options.overwrite=false] - Replace existing local files (otherwise they are skipped)
+   * @param {Function} [options.filter] - Called with (relativePath, file); return false to skip a file
+   * @param {Function} [options.onProgress] - Aggregate byte progress callback ({ loaded, total, percent, bytesPerSecond, etaMs, filesCompleted, filesTotal })
+   * @param {number} [options.progressInterval=100] - Minimum milliseconds between progress callbacks
+   * @param {Function} [options.onFileComplete] - Called after each file with (entry, error)
+   * @param {number} [options.maxDepth=20] - Max recursion depth
+   * @param {Object} [options.encryption] - Decrypt every file with this key provider ({ keyProvider }; see Files#download)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels in-flight downloads and stops starting new ones; rejects with an AbortError carrying the partial results
+   * @returns {Promise<Object>} Results ({ successful, failed, skipped, folders, bytes }); entries are { file, path, relativePath }
+   */
+  async download(folderId, localDir, options = {}) {
+    if (!folderId) {
+      throw new ValidationError("Folder ID is required");
+    }
+    if (!localDir) {
+      throw new ValidationError("Local directory is required");
+    }
+    if (!this.files) {
+      throw new ValidationError("Folder downloads need the files module");
+    }
+    if (options.filter !== undefined && typeof options.filter !== "function") {
+      throw new ValidationError("filter must be a function");
+    }
+    // Checked once up front rather than failing every file
+    encryptionOptions(options.encryption);
+
+    const requestOptions = pickRequestOptions(options);
+    const rootId = folderId === "root" ? "" : folderId;
+    const root = nodePath.resolve(localDir);
+
+    if (rootId) {
+      await this.get(rootId, requestOptions);
+    }
+
+    const folders = await this.listAll(rootId, { ...requestOptions, maxDepth: options.maxDepth });
+    if (folders._errors) {
+      throw new BrizoError("Failed to list folders", null, "LIST_ERROR", { errors: folders._errors });
+    }
+
+    const concurrency = options.concurrency || 4;
+    const directories = [{ id: rootId, localPath: root }, ...folders.map((folder) => ({ id: folder.id, localPath: nodePath.join(root, ...folder.path.map(toLocalName)) }))];
+    const entries = [];
+    // A file named like a sibling folder cannot take the folder's path either
+    const takenPaths = new Set(directories.slice(1).map((directory) => directory.localPath));
+
+    await runPool(
+      directories,
+      concurrency,
+      async (directory) => {
+        await fsPromises.mkdir(directory.localPath, { recursive: true });
+
+        for await (const file of this.files.iterate({ ...requestOptions, folderId: directory.id || "root" })) {
+          const name = toLocalName(file.originalName);
+          let localPath = nodePath.join(directory.localPath, name);
+          // Two remote files (or a file and a folder) may share a name; keep both as "name (2).ext"
+          for (let n = 2; takenPaths.has(localPath); n++) {
+            const parsed = nodePath.parse(name);
+            localPath = nodePath.join(directory.localPath, `${parsed.name} (${n})${parsed.ext}`);
+          }
+
+          const relativePath = nodePath.relative(root, localPath).split(nodePath.sep).join("/");
+          if (options.filter && !options.filter(relativePath, file)) continue;
+
+          takenPaths.add(localPath);
+          entries.push({ file, path: localPath, relativePath });
+        }
+      },
+      options.signal,
+    );
+    throwIfAborted(options.signal);
+
+    const results = {
+      successful: [],
+      failed: [],
+      skipped: [],
+      folders: directories.length,
+      bytes: 0,
+    };
+
+    let completed = 0;
+    const total = entries.length;
+    const fileLoaded = entries.map(() => 0);
+    let loadedBytes = 0;
+    const tracker = options.onProgress
+      ? new ProgressTracker((progress) => options.onProgress({ ...progress, filesCompleted: completed, filesTotal: total }), {
+          total: entries.reduce((sum, entry) => sum + (entry.file.size || 0), 0),
+          interval: options.progressInterval,
+        })
+      : null;
+
+    const trackFile = (index, loaded) => {
+      loadedBytes += loaded - fileLoaded[index];
+      fileLoaded[index] = loaded;
+    };
+
+    const downloadFile = async (entry, index) => {
+      let downloadError = null;
+
+      if (!options.overwrite) {
+        const exists = await fsPromises
+          .stat(entry.path)
+          .then(() => true)
+          .catch(() => false);
+        if (exists) {
+          completed++;
+          results.skipped.push(entry);
+          if (tracker) {
+            tracker.total -= entry.file.size || 0;
+            tracker.update(loadedBytes, true);
+          }
+          return;
+        }
+      }
+
+      try {
+        const { bytes } = await this.files.download(entry.file.id, {
+          ...requestOptions,
+          destination: entry.path,
+          overwrite: true,
+          encryption: options.encryption,
+          onProgress: tracker
+            ? (progress) => {
+                trackFile(index, progress.loaded);
+                tracker.update(loadedBytes);
+              }
+            : undefined,
+        });
+        results.successful.push(entry);
+        results.bytes += bytes;
+      } catch (error) {
+        downloadError = error;
+        results.failed.push({ ...entry, error });
+      }
+
+      completed++;
+
+      if (tracker) {
+        // Failed files no longer count towards the bytes that will be downloaded
+        if (downloadError) {
+          tracker.total -= entry.file.size || 0;
+          trackFile(index, 0);
+        }
+        tracker.update(loadedBytes, true);
+      }
+
+      if (options.onFileComplete) {
+        options.onFileComplete(entry, downloadError);
+      }
+    };
+
+    await runPool(entries, concurrency, downloadFile, options.signal);
+
+    if (options.signal && options.signal.aborted) {
+      throw new AbortError(`Folder download aborted after ${completed} of ${total} files`, { results });
+    }
+
+    if (tracker) {
+      tracker.complete();
+    }
+
+    return results;
+  }
+
+  /**
+   * Delete a folder with every subfolder and file below it
+   * Files are deleted first, then folders from the deepest level up; a folder whose contents could not all be deleted
+   * is kept (and so are its ancestors), so a partial failure never removes a parent out from under what is left
+   * @param {string} folderId - Folder ID or path
+   * @param {Object} [options] - Delete options
+   * @param {boolean} [options.dryRun=false] - Only list what would be deleted
+   * @param {number} [options.concurrency=4] - Number of deletions in flight
+   * @param {Function} [options.onDelete] - Called after each deletion attempt with (entry, error)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Stops starting new deletions; rejects with an AbortError carrying the partial results
+   * @returns {Promise<Object>} Results ({ dryRun, plan, deleted, failed, skipped }); entries are { type, id, relativePath, item }
+   * @throws {BrizoError} With code DELETE_INCOMPLETE and details.results if any deletion failed
+   */
+  async deleteRecursive(folderId, options = {}) {
+    if (!folderId) {
+      throw new ValidationError("Folder ID is required");
+    }
+    if (!this.files) {
+      throw new ValidationError("Recursive deletes need the files module");
+    }
+
+    const requestOptions = pickRequestOptions(options);
+    const rootId = await this.resolveId(folderId, requestOptions);
+    if (!rootId) {
+      throw new ValidationError("The root folder cannot be deleted");
+    }
+
+    const root = await this.get(rootId, { ...requestOptions, cache: false });
+    const folders = await this.listAll(rootId, { ...requestOptions, maxDepth: Infinity, cache: false });
+    if (folders._errors) {
+      throw new BrizoError("Failed to list folders", null, "LIST_ERROR", { errors: folders._errors });
+    }
+
+    const folderEntries = [{ type: "folder", id: rootId, relativePath: "", item: root, depth: 0, parentId: null }, ...folders.map((folder) => ({ type: "folder", id: folder.id, relativePath: folder.pathString, item: folder, depth: folder.path.length, parentId: folder.parent || rootId }))];
+    const fileEntries = [];
+
+    await runPool(
+      folderEntries,
+      options.concurrency || 4,
+      async (directory) => {
+        for await (const file of this.files.iterate({ ...requestOptions, folderId: directory.id })) {
+          const relativePath = directory.relativePath ? `${directory.relativePath}/${file.originalName}` : file.originalName;
+          fileEntries.push({ type: "file", id: file.id, relativePath, item: file, parentId: directory.id });
+        }
+      },
+      options.signal,
+    );
+    throwIfAborted(options.signal);
+
+    const publicEntry = ({ type, id, relativePath, item }) => ({ type, id, relativePath, item });
+    const plan = [...fileEntries, ...[...folderEntries].sort((a, b) => b.depth - a.depth)].map(publicEntry);
+    const results = { dryRun: Boolean(options.dryRun), plan, deleted: [], failed: [], skipped: [] };
+
+    if (options.dryRun) {
+      return results;
+    }
+
+    // Folders that must stay because something below them could not be deleted
+    const blocked = new Set();
+    const parentOf = new Map(folderEntries.map((entry) => [entry.id, entry.parentId]));
+    const block = (id) => {
+      for (let current = id; current && !blocked.has(current); current = parentOf.get(current)) {
+        blocked.add(current);
+      }
+    };
+
+    const run = (remove) => async (entry) => {
+      let error = null;
+
+      if (entry.type === "folder" && blocked.has(entry.id)) {
+        results.skipped.push({ ...publicEntry(entry), reason: "contents-failed" });
+        return;
+      }
+
+      try {
+        await remove(entry);
+        results.deleted.push(publicEntry(entry));
+      } catch (err) {
+        if (err instanceof AbortError) return;
+        error = err;
+        results.failed.push({ ...publicEntry(entry), error });
+        block(entry.type === "file" ? entry.parentId : entry.id);
+      }
+
+      if (options.onDelete) {
+        options.onDelete(publicEntry(entry), error);
+      }
+    };
+
+    const concurrency = options.concurrency || 4;
+    await runPool(
+      fileEntries,
+      concurrency,
+      run((entry) => this.files.delete(entry.id, requestOptions)),
+      options.signal,
+    );
+
+    const depths = [...new Set(folderEntries.map((entry) => entry.depth))].sort((a, b) => b - a);
+    for (const depth of depths) {
+      if (options.signal && options.signal.aborted) break;
+      const level = folderEntries.filter((entry) => entry.depth === depth);
+      await runPool(
+        level,
+        concurrency,
+        run((entry) => this.delete(entry.id, requestOptions)),
+        options.signal,
+      );
+    }
+
+    if (options.signal && options.signal.aborted) {
+      throw new AbortError(`Recursive delete aborted after ${results.deleted.length} of ${plan.length} items`, { results });
+    }
+
+    if (results.failed.length > 0) {
+      throw new BrizoError(`Recursive delete incomplete: ${results.failed.length} of ${plan.length} items could not be deleted (${results.skipped.length} folders kept)`, null, "DELETE_INCOMPLETE", { results });
+    }
+
+    return results;
+  }
+
+  /**
+   * Copy a folder with its subfolders and files into another folder
+   * The subfolder structure is recreated first; each file is then streamed from its download URL into a new upload
+   * @param {string} folderId - Folder ID or path to copy
+   * @param {string} [targetParentId] - Folder ID or path to copy into (empty string, 'root' or '/' for root)
+   * @param {Object} [options] - Copy options
+   * @param {string} [options.newName] - Name of the copied folder (defaults to the source folder's name)
+   * @param {number} [options.concurrency=4] - Number of files copied in parallel
+   * @param {Function} [options.onFileComplete] - Called after each file with ({ file, relativePath, copy }, error)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Stops starting new copies; rejects with an AbortError carrying the partial results
+   * @returns {Promise<Object>} Results ({ folder, ids, folders, files, bytes, failed }); ids maps every source folder and file ID to its copy
+   */
+  async copy(folderId, targetParentId = "", options = {}) {
+    if (!folderId) {
+      throw new ValidationError("Folder ID is required");
+    }
+    if (!this.files) {
+      throw new ValidationError("Folder copies need the files module");
+    }
+
+    const requestOptions = pickRequestOptions(options);
+    const sourceId = await this.resolveId(folderId, requestOptions);
+    if (!sourceId) {
+      throw new ValidationError("The root folder cannot be copied");
+    }
+    const targetId = await this.resolveId(targetParentId, requestOptions);
+
+    const source = await this.get(sourceId, requestOptions);
+    const folders = await this.listAll(sourceId, { ...requestOptions, maxDepth: Infinity, cache: false });
+    if (folders._errors) {
+      throw new BrizoError("Failed to list folders", null, "LIST_ERROR", { errors: folders._errors });
+    }
+    if (targetId === sourceId || folders.some((folder) => folder.id === targetId)) {
+      throw new ValidationError("A folder cannot be copied into itself");
+    }
+
+    const results = { folder: null, ids: {}, folders: 0, files: 0, bytes: 0, failed: [] };
+
+    results.folder = await this.create({ ...requestOptions, name: options.newName || source.name, parentId: targetId });
+    results.ids[sourceId] = results.folder.id;
+    results.folders++;
+
+    // Shallower folders first, so every parent copy exists before its children are created
+    const directories = [{ id: sourceId, pathString: "" }];
+    for (const folder of [...folders].sort((a, b) => a.path.length - b.path.length)) {
+      throwIfAborted(options.signal);
+      const copy = await this.create({ ...requestOptions, name: folder.name, parentId: results.ids[folder.parent || sourceId] });
+      results.ids[folder.id] = copy.id;
+      results.folders++;
+      directories.push(folder);
+    }
+
+    const entries = [];
+    for (const directory of directories) {
+      throwIfAborted(options.signal);
+      for await (const file of this.files.iterate({ ...requestOptions, folderId: directory.id })) {
+        const relativePath = directory.pathString ? `${directory.pathString}/${file.originalName}` : file.originalName;
+        entries.push({ file, relativePath, folderId: results.ids[directory.id] });
+      }
+    }
+
+    await runPool(
+      entries,
+      options.concurrency || 4,
+      async ({ file, relativePath, folderId: copyFolderId }) => {
+        let copy = null;
+        let copyError = null;
+
+        try {
+          copy = await this.files._copyFile(file, copyFolderId, file.originalName, requestOptions);
+          results.ids[file.id] = copy.id;
+          results.files++;
+          results.bytes += file.size || 0;
+        } catch (error) {
+          if (error instanceof AbortError) return;
+          copyError = error;
+          results.failed.push({ file, relativePath, error });
+        }
+
+        if (options.onFileComplete) {
+          options.onFileComplete({ file, relativePath, copy }, copyError);
+        }
+      },
+      options.signal,
+    );
+
+    if (options.signal && options.signal.aborted) {
+      throw new AbortError(`Folder copy aborted after ${results.files} of ${entries.length} files`, { results });
+    }
+
+    return results;
+  }
+
   /**
    * Create folder path (creates all parent folders if needed)
    * @param {string} path - Folder path (e.g., 'photos/2024/vacation')
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests when aborted
    * @returns {Promise<Object>} The deepest folder created
    */
-  async createPath(path) {
+  async createPath(path, options = {}) {
     if (!path) {
       throw new ValidationError("Path is required");
     }
 
-    const parts = path.split("/").filter((p) => p.trim());
+    const parts = splitPath(path);
 
     if (parts.length === 0) {
       throw new ValidationError("Invalid path");
     }
 
-    let parentId = "";
-    let lastFolder = null;
+    return this._walk(parts, options, true);
+  }
 
-    for (const part of parts) {
-      const existing = await this.list({ parentId });
-      const existingFolder = existing.items?.find((f) => f.name.toLowerCase() === part.toLowerCase());
+  /**
+   * Get a folder by its path
+   * Segments match folder names exactly, or case-insensitively when there is no exact match
+   * @param {string} path - Folder path (e.g., 'invoices/2024')
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.cache=true] - Reuse folder IDs resolved in the last 30 seconds (and the folder cache when it is enabled)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests when aborted
+   * @returns {Promise<Object>} Folder
+   * @throws {NotFoundError} If a segment is missing or matches several folders (details: { path, segment, reason })
+   */
+  async getByPath(path, options = {}) {
+    if (!path) {
+      throw new ValidationError("Path is required");
+    }
+
+    const parts = splitPath(path);
+
+    if (parts.length === 0) {
+      throw new ValidationError("Path must name a folder (the root has no folder record)");
+    }
+
+    return this._walk(parts, options);
+  }
+
+  /**
+   * Turn a folder ID or path into a folder ID
+   * Strings containing a slash are resolved as paths; the root ('', 'root' or '/') resolves to ''
+   * @param {string} folderIdOrPath - Folder ID or path
+   * @param {Object} [options] - Same options as getByPath
+   * @returns {Promise<string>} Folder ID ('' for the root)
+   */
+  async resolveId(folderIdOrPath, options = {}) {
+    if (!folderIdOrPath || folderIdOrPath === "root") {
+      return "";
+    }
+    if (!isPath(folderIdOrPath)) {
+      return folderIdOrPath;
+    }
+
+    const parts = splitPath(folderIdOrPath);
+    return parts.length === 0 ? "" : (await this._walk(parts, options)).id;
+  }
 
-      if (existingFolder) {
-        lastFolder = existingFolder;
-        parentId = existingFolder.id;
+  /**
+   * Walk a path from the root one segment at a time, starting below the deepest cached prefix
+   * Missing segments are created when create is set, otherwise they throw
+   * @private
+   */
+  async _walk(parts, options, create = false) {
+    const requestOptions = pickRequestOptions(options);
+    const useCache = options.cache !== false;
+    let start = 0;
+    let folder = null;
+
+    if (useCache) {
+      for (let i = parts.length; i > 0; i--) {
+        const cached = this._cachedPath(parts.slice(0, i));
+        if (cached) {
+          folder = cached;
+          start = i;
+          break;
+        }
+      }
+    }
+
+    for (let i = start; i < parts.length; i++) {
+      const part = parts[i];
+      const parentId = folder ? folder.id : "";
+      const existing = await this.list({ ...requestOptions, parentId, cache: options.cache });
+      const matches = matchByName(existing.items || [], part, (item) => item.name);
+      const where = i === 0 ? "the root folder" : `"${parts.slice(0, i).join("/")}"`;
+
+      if (matches.length > 1) {
+        throw new NotFoundError(`Path segment "${part}" is ambiguous: ${matches.length} folders in ${where} match it`, { path: parts.join("/"), segment: part, reason: "ambiguous", matches: matches.map((match) => match.id) });
+      }
+
+      if (matches.length === 1) {
+        folder = matches[0];
+      } else if (create) {
+        folder = await this.create({ ...requestOptions, name: part, parentId });
       } else {
-        lastFolder = await this.create({ name: part, parentId });
-        parentId = lastFolder.id;
+        throw new NotFoundError(`Folder "${part}" not found in ${where}`, { path: parts.join("/"), segment: part, reason: "missing", parentId });
       }
+
+      this._pathCache.set(parts.slice(0, i + 1).join("/"), { folder, expires: Date.now() + PATH_CACHE_TTL });
+    }
+
+    return folder;
+  }
+
+  /**
+   * Drop cached folder data so the next calls ask the API again
+   * @param {Object} [options] - Refresh options
+   * @param {boolean} [options.preload=false] - Reload the whole folder tree into the cache right away (one request per folder)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the preload when aborted
+   * @returns {Promise<void>}
+   */
+  async refresh(options = {}) {
+    this._pathCache.clear();
+
+    if (this._cache) {
+      this._cache.clear();
+      if (options.preload) {
+        await this.listAll("", pickRequestOptions(options));
+      }
+    }
+  }
+
+  /**
+   * Drop resolved paths and update the folder cache after a folder was renamed or moved
+   * @private
+   */
+  _recordChange(folder) {
+    this._pathCache.clear();
+    if (this._cache) {
+      this._cache.set(folder);
+    }
+  }
+
+  /**
+   * Folder remembered for a path, if it has not expired
+   * @private
+   */
+  _cachedPath(parts) {
+    const key = parts.join("/");
+    const entry = this._pathCache.get(key);
+
+    if (entry && entry.expires <= Date.now()) {
+      this._pathCache.delete(key);
+      return null;
+    }
+
+    return entry ? entry.folder : null;
+  }
+
+  /**
+   * Create (or update) the public share link of a folder
+   * Sharing an already shared folder keeps its link and replaces its expiry and password
+   * @param {string} folderId - Folder ID or path
+   * @param {Object} [options] - Share options
+   * @param {Date|string|number} [options.expiresAt] - When the link stops working (Date, ISO string or epoch milliseconds)
+   * @param {number} [options.expiresIn] - Milliseconds until the link stops working (instead of expiresAt)
+   * @param {string} [options.password] - Password visitors must enter
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object>} Updated folder (with isShared, publicId, shareUrl, shareExpiresAt and sharePasswordProtected)
+   */
+  async share(folderId, options = {}) {
+    const body = shareBody(options);
+    const response = await this.http.post(`/v1/folders/${await this._requireFolderId(folderId, options)}/share`, body, pickRequestOptions(options));
+
+    if (this._cache) {
+      this._cache.set(response.data.data);
     }
+    return response.data.data;
+  }
 
-    return lastFolder;
+  /**
+   * Remove the public share link of a folder
+   * @param {string} folderId - Folder ID or path
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object>} Updated folder
+   */
+  async unshare(folderId, options = {}) {
+    const response = await this.http.delete(`/v1/folders/${await this._requireFolderId(folderId, options)}/share`, pickRequestOptions(options));
+
+    if (this._cache) {
+      this._cache.set(response.data.data);
+    }
+    return response.data.data;
+  }
+
+  /**
+   * Resolve a folder ID or path that must name an actual folder (not the root)
+   * @private
+   */
+  async _requireFolderId(folderId, options) {
+    if (!folderId) {
+      throw new ValidationError("Folder ID is required");
+    }
+
+    const id = await this.resolveId(folderId, options);
+    if (!id) {
+      throw new ValidationError("The root folder cannot be shared");
+    }
+    return id;
   }
 
   /**
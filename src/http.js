@@ -2,7 +2,9 @@ const https = require("node:https");
 const http = require("node:http");
 const zlib = require("node:zlib");
 const { URL } = require("node:url");
-const { BrizoError, AuthenticationError, NotFoundError, ValidationError, RateLimitError, LimitExceededError } = require("./errors");
+const { Readable } = require("node:stream");
+const { BrizoError, AuthenticationError, NotFoundError, ValidationError, RateLimitError, LimitExceededError, AbortError } = require("./errors");
+const { sleep, throwIfAborted } = require("./utils");
 
 const httpsAgent = new https.Agent({
   keepAlive: true,
@@ -19,6 +21,112 @@ const httpAgent = new http.Agent({
   maxFreeSockets: 10,
 });
 
+/**
+ * Chunk size used when streaming in-memory bodies so progress can be reported
+ */
+const PROGRESS_CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Default retry policy applied to every request
+ */
+const DEFAULT_RETRY = Object.freeze({
+  maxAttempts: 3,
+  baseDelay: 500,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  maxRetryAfter: 60000,
+  retryOnStatus: Object.freeze([408, 429, 500, 502, 503, 504]),
+  retryOnCodes: Object.freeze(["NETWORK_ERROR", "TIMEOUT"]),
+  retryNonIdempotent: false,
+  onRetry: null,
+});
+
+/**
+ * Status codes that redirect to the URL in the Location header
+ */
+const REDIRECT_STATUSES = new Set([301, 302, 303, 307, 308]);
+
+/**
+ * HTTP methods that are safe to repeat without side effects
+ */
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "OPTIONS", "PUT", "DELETE"]);
+
+/**
+ * Turn a Buffer into a stream of fixed-size chunks
+ * @param {Buffer} buffer
+ * @returns {Readable}
+ */
+function chunkedStream(buffer) {
+  return Readable.from(
+    (function* () {
+      for (let offset = 0; offset < buffer.length; offset += PROGRESS_CHUNK_SIZE) {
+        yield buffer.subarray(offset, offset + PROGRESS_CHUNK_SIZE);
+      }
+    })(),
+  );
+}
+
+/**
+ * Destroy a request and reject with an AbortError when the signal aborts
+ * @param {AbortSignal} [signal]
+ * @param {http.ClientRequest} req
+ * @param {Function} reject
+ * @returns {Function} Removes the abort listener
+ */
+function abortOnSignal(signal, req, reject) {
+  if (!signal) return () => {};
+
+  const onAbort = () => {
+    req.destroy();
+    reject(new AbortError("Request aborted"));
+  };
+
+  signal.addEventListener("abort", onAbort, { once: true });
+  return () => signal.removeEventListener("abort", onAbort);
+}
+
+/**
+ * Compose middleware into a single function that runs them in order around a core handler
+ * Each middleware is called as `middleware(ctx, next)`; `next()` runs the rest of the chain
+ * @param {Function[]} middleware
+ * @param {Function} core - Performs the actual request and resolves with the response
+ * @returns {Function} Function taking the context
+ */
+function compose(middleware, core) {
+  return (ctx) => {
+    let index = -1;
+
+    const dispatch = (i) => {
+      if (i <= index) {
+        return Promise.reject(new BrizoError("next() called multiple times", null, "MIDDLEWARE_ERROR"));
+      }
+      index = i;
+
+      if (i === middleware.length) {
+        return core(ctx).then(
+          (response) => {
+            ctx.response = response;
+            ctx.error = null;
+          },
+          (error) => {
+            ctx.error = error;
+            throw error;
+          },
+        );
+      }
+
+      try {
+        return Promise.resolve(middleware[i](ctx, () => dispatch(i + 1)));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    };
+
+    return dispatch(0);
+  };
+}
+
 /**
  * HTTP client for making API requests
  * Uses native Node.js http/https modules - no external dependencies
@@ -30,17 +138,62 @@ class HttpClient {
    * @param {string} config.apiKey - API key for authentication
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
    * @param {Object} [config.headers] - Additional headers to include
+   * @param {Object|false} [config.retry] - Retry policy (false disables retries)
+   * @param {Function[]} [config.middleware] - Middleware run around every API request and upload (shared, not copied)
    */
   constructor(config) {
     this.baseUrl = config.baseUrl.replace(/\/$/, "");
     this.apiKey = config.apiKey;
     this.timeout = config.timeout || 30000;
+    this.retry = this._normalizeRetry(DEFAULT_RETRY, config.retry);
     this.defaultHeaders = {
       "Content-Type": "application/json",
       "Accept-Encoding": "gzip, deflate",
       "X-API-Key": config.apiKey,
       ...config.headers,
     };
+    this.middleware = config.middleware || [];
+  }
+
+  /**
+   * Add a middleware to the end of the chain
+   * Middleware is called as `async (ctx, next) => {}` once per attempt, around both API requests and raw uploads.
+   * It may change the outgoing request on `ctx`, await `next()` and then read or replace `ctx.response`,
+   * catch errors thrown by `next()`, or skip `next()` entirely and set `ctx.response` itself.
+   * @param {Function} middleware
+   * @returns {HttpClient} This client, for chaining
+   */
+  use(middleware) {
+    if (typeof middleware !== "function") {
+      throw new ValidationError("Middleware must be a function");
+    }
+    this.middleware.push(middleware);
+    return this;
+  }
+
+  /**
+   * Run a request context through the middleware chain
+   * @private
+   */
+  async _dispatch(ctx, core) {
+    if (this.middleware.length === 0) {
+      return core(ctx);
+    }
+
+    let called = false;
+    await compose(this.middleware, (current) => {
+      called = true;
+      return core(current);
+    })(ctx);
+
+    if (!called && ctx.body && typeof ctx.body.destroy === "function" && !ctx.body.destroyed) {
+      ctx.body.destroy();
+    }
+    if (!ctx.response) {
+      throw new BrizoError(`Middleware did not produce a response for ${ctx.method} ${ctx.path || ctx.url}`, null, "MIDDLEWARE_ERROR");
+    }
+
+    return ctx.response;
   }
 
   /**
@@ -52,40 +205,71 @@ class HttpClient {
    * @param {Object} [options.query] - Query parameters
    * @param {Object} [options.headers] - Additional headers
    * @param {number} [options.timeout] - Request timeout override
+   * @param {Object|false} [options.retry] - Retry policy override for this call
+   * @param {AbortSignal} [options.signal] - Cancels the request (and pending retries) when aborted
    * @returns {Promise<Object>} Response data
    */
   async request(method, path, options = {}) {
-    const url = new URL(path, this.baseUrl);
+    const policy = this._normalizeRetry(this.retry, options.retry);
+    const operation = (attempt) =>
+      this._dispatch(
+        {
+          type: "api",
+          method,
+          path,
+          query: { ...options.query },
+          headers: { ...this.defaultHeaders, ...options.headers },
+          body: options.body === undefined ? null : options.body,
+          timeout: options.timeout || this.timeout,
+          signal: options.signal || null,
+          attempt,
+          state: {},
+          response: null,
+          error: null,
+        },
+        (ctx) => this._send(ctx),
+      );
+
+    return this._withRetry(method, policy, operation, options.signal);
+  }
 
-    if (options.query) {
-      for (const [key, value] of Object.entries(options.query)) {
+  /**
+   * Perform a single HTTP request attempt
+   * @private
+   */
+  async _send(ctx) {
+    throwIfAborted(ctx.signal);
+
+    const url = new URL(`${this.baseUrl}${ctx.path}`);
+
+    if (ctx.query) {
+      for (const [key, value] of Object.entries(ctx.query)) {
         if (value !== undefined && value !== null && value !== "") {
           url.searchParams.append(key, String(value));
         }
       }
     }
 
-    const headers = {
-      ...this.defaultHeaders,
-      ...options.headers,
-    };
+    const headers = { ...ctx.headers };
 
     let body = null;
-    if (options.body) {
-      body = JSON.stringify(options.body);
+    if (ctx.body) {
+      body = JSON.stringify(ctx.body);
       headers["Content-Length"] = Buffer.byteLength(body);
     }
 
     const requestOptions = {
-      method,
+      method: ctx.method,
       hostname: url.hostname,
       port: url.port || (url.protocol === "https:" ? 443 : 80),
       path: url.pathname + url.search,
       headers,
-      timeout: options.timeout || this.timeout,
+      timeout: ctx.timeout,
       agent: url.protocol === "https:" ? httpsAgent : httpAgent,
     };
 
+    let releaseSignal = () => {};
+
     return new Promise((resolve, reject) => {
       const client = url.protocol === "https:" ? https : http;
 
@@ -140,12 +324,126 @@ class HttpClient {
         reject(new BrizoError("Request timeout", null, "TIMEOUT"));
       });
 
+      releaseSignal = abortOnSignal(ctx.signal, req, reject);
+
       if (body) {
         req.write(body);
       }
 
       req.end();
-    });
+    }).finally(() => releaseSignal());
+  }
+
+  /**
+   * Run an operation with the client's retry policy
+   * @param {string} method - HTTP method the operation performs (decides whether it is idempotent)
+   * @param {Function} operation - Async function called once per attempt with the attempt number
+   * @param {Object|false} [retry] - Retry policy override
+   * @param {AbortSignal} [signal] - Stops retrying when aborted
+   * @returns {Promise<*>} Result of the operation
+   */
+  withRetry(method, operation, retry, signal) {
+    return this._withRetry(method, this._normalizeRetry(this.retry, retry), operation, signal);
+  }
+
+  /**
+   * Run an operation, retrying it according to the given policy
+   * @private
+   */
+  async _withRetry(method, policy, operation, signal) {
+    for (let attempt = 1; ; attempt++) {
+      throwIfAborted(signal);
+
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        // Aborting often surfaces as a socket or stream error first
+        if (signal && signal.aborted && !(error instanceof AbortError)) {
+          throw new AbortError();
+        }
+
+        const delay = this._getRetryDelay(error, method, attempt, policy);
+        if (delay === null) {
+          throw error;
+        }
+
+        if (policy.onRetry) {
+          policy.onRetry(error, attempt, delay);
+        }
+
+        await sleep(delay, signal);
+      }
+    }
+  }
+
+  /**
+   * Get the delay before the next attempt, or null if the error should not be retried
+   * @private
+   */
+  _getRetryDelay(error, method, attempt, policy) {
+    if (attempt >= policy.maxAttempts) return null;
+    if (!policy.retryNonIdempotent && !IDEMPOTENT_METHODS.has(method)) return null;
+    if (!(error instanceof BrizoError)) return null;
+
+    const retryable = policy.retryOnCodes.includes(error.code) || (error.statusCode !== null && policy.retryOnStatus.includes(error.statusCode));
+    if (!retryable) return null;
+
+    if (error instanceof RateLimitError && error.retryAfter !== null) {
+      const retryAfterMs = error.retryAfter * 1000;
+      return retryAfterMs > policy.maxRetryAfter ? null : retryAfterMs;
+    }
+
+    let delay = Math.min(policy.maxDelay, policy.baseDelay * policy.factor ** (attempt - 1));
+    if (policy.jitter) {
+      delay = Math.random() * delay;
+    }
+
+    return Math.round(delay);
+  }
+
+  /**
+   * Merge a retry policy override into a base policy
+   * @private
+   */
+  _normalizeRetry(base, override) {
+    if (override === false) {
+      return { ...base, maxAttempts: 1 };
+    }
+    if (override === undefined || override === null || override === true) {
+      return base;
+    }
+    if (typeof override !== "object") {
+      throw new ValidationError("Retry policy must be an object or false");
+    }
+
+    const policy = { ...base, ...override };
+
+    if (!Number.isInteger(policy.maxAttempts) || policy.maxAttempts < 1) {
+      throw new ValidationError("retry.maxAttempts must be a positive integer");
+    }
+    if (!Array.isArray(policy.retryOnStatus) || !Array.isArray(policy.retryOnCodes)) {
+      throw new ValidationError("retry.retryOnStatus and retry.retryOnCodes must be arrays");
+    }
+
+    return policy;
+  }
+
+  /**
+   * Parse a Retry-After header (delta-seconds or HTTP-date) into seconds
+   * @private
+   */
+  _parseRetryAfter(value) {
+    if (!value) return null;
+
+    const seconds = Number.parseInt(value, 10);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds);
+    }
+
+    const date = Date.parse(value);
+    if (Number.isNaN(date)) return null;
+
+    return Math.max(0, Math.ceil((date - Date.now()) / 1000));
   }
 
   /**
@@ -163,7 +461,7 @@ class HttpClient {
       case 400:
         return new ValidationError(message, body?.details);
       case 429: {
-        const retryAfter = headers["retry-after"] ? Number.parseInt(headers["retry-after"], 10) : null;
+        const retryAfter = this._parseRetryAfter(headers["retry-after"]);
         return new RateLimitError(message, retryAfter);
       }
       case 403:
@@ -207,24 +505,60 @@ class HttpClient {
   /**
    * Make a raw PUT request (for file uploads)
    * @param {string} url - Full URL to upload to
-   * @param {Buffer|string|ReadableStream} data - Data to upload
+   * @param {Buffer|string|ReadableStream|Function} data - Data to upload, or a function returning a fresh stream for each attempt
    * @param {Object} headers - Request headers
-   * @param {number} [timeout] - Request timeout
+   * @param {Object} [options] - Request options
+   * @param {number} [options.timeout] - Request timeout
+   * @param {Object|false} [options.retry] - Retry policy override (single-use streams are never retried)
+   * @param {Function} [options.onProgress] - Called with the number of bytes written so far
+   * @param {AbortSignal} [options.signal] - Cancels the upload when aborted
    * @returns {Promise<Object>}
    */
-  async putRaw(fullUrl, data, headers = {}, timeout = null) {
-    const url = new URL(fullUrl);
+  async putRaw(fullUrl, data, headers = {}, options = {}) {
+    const replayable = !data || Buffer.isBuffer(data) || typeof data === "string" || typeof data === "function";
+    const policy = replayable ? this._normalizeRetry(this.retry, options.retry) : this._normalizeRetry(this.retry, false);
+    const operation = (attempt) =>
+      this._dispatch(
+        {
+          type: "upload",
+          method: "PUT",
+          url: fullUrl,
+          headers: { ...headers },
+          body: typeof data === "function" ? data() : data,
+          timeout: options.timeout || this.timeout,
+          signal: options.signal || null,
+          attempt,
+          state: {},
+          response: null,
+          error: null,
+        },
+        (ctx) => this._sendRaw(ctx, options.onProgress),
+      );
+
+    return this._withRetry("PUT", policy, operation, options.signal);
+  }
+
+  /**
+   * Perform a single raw PUT attempt
+   * @private
+   */
+  async _sendRaw(ctx, onProgress) {
+    const url = new URL(ctx.url);
+    const data = ctx.body;
+    const body = onProgress && (Buffer.isBuffer(data) || typeof data === "string") ? chunkedStream(Buffer.from(data)) : data;
 
     const requestOptions = {
-      method: "PUT",
+      method: ctx.method,
       hostname: url.hostname,
       port: url.port || (url.protocol === "https:" ? 443 : 80),
       path: url.pathname + url.search,
-      headers,
-      timeout: timeout || this.timeout,
+      headers: ctx.headers,
+      timeout: ctx.timeout,
       agent: url.protocol === "https:" ? httpsAgent : httpAgent,
     };
 
+    let releaseSignal = () => {};
+
     return new Promise((resolve, reject) => {
       const client = url.protocol === "https:" ? https : http;
 
@@ -250,30 +584,148 @@ class HttpClient {
         });
       });
 
+      const releaseStream = () => {
+        if (body && typeof body.destroy === "function" && !body.destroyed) {
+          body.destroy();
+        }
+      };
+
       req.on("error", (error) => {
+        releaseStream();
         reject(new BrizoError(`Upload failed: ${error.message}`, null, "NETWORK_ERROR"));
       });
 
       req.on("timeout", () => {
         req.destroy();
+        releaseStream();
         reject(new BrizoError("Upload timeout", null, "TIMEOUT"));
       });
 
-      if (Buffer.isBuffer(data)) {
-        req.write(data);
+      if (ctx.signal && ctx.signal.aborted) {
+        req.destroy();
+        releaseStream();
+        reject(new AbortError("Request aborted"));
+        return;
+      }
+
+      releaseSignal = abortOnSignal(ctx.signal, req, (error) => {
+        releaseStream();
+        reject(error);
+      });
+
+      if (Buffer.isBuffer(body)) {
+        req.write(body);
         req.end();
-      } else if (typeof data === "string") {
-        req.write(data);
+      } else if (typeof body === "string") {
+        req.write(body);
         req.end();
-      } else if (data && typeof data.pipe === "function") {
-        data.on("error", (error) => {
+      } else if (body && typeof body.pipe === "function") {
+        body.on("error", (error) => {
           req.destroy();
           reject(new BrizoError(`Stream error: ${error.message}`, null, "STREAM_ERROR"));
         });
-        data.pipe(req);
+
+        if (onProgress) {
+          let loaded = 0;
+          body.on("data", (chunk) => {
+            loaded += chunk.length;
+            onProgress(loaded);
+          });
+        }
+
+        body.pipe(req);
       } else {
         req.end();
       }
+    }).finally(() => releaseSignal());
+  }
+
+  /**
+   * Make a raw streaming GET request to a full URL (for file downloads), following redirects
+   * The response body is not buffered or decompressed; the caller must consume or destroy the stream
+   * @param {string} fullUrl - Full URL to download from
+   * @param {Object} [options] - Request options
+   * @param {Object} [options.headers] - Request headers (e.g., Range)
+   * @param {number} [options.timeout] - Socket inactivity timeout
+   * @param {number} [options.maxRedirects=5] - Maximum number of redirects to follow
+   * @param {AbortSignal} [options.signal] - Cancels the request, or destroys the body stream once it has started
+   * @returns {Promise<Object>} Response status, headers, final URL and body stream
+   */
+  async getRaw(fullUrl, options = {}) {
+    const maxRedirects = options.maxRedirects !== undefined ? options.maxRedirects : 5;
+    let currentUrl = fullUrl;
+
+    for (let redirects = 0; ; redirects++) {
+      const response = await this._sendGetRaw(currentUrl, options);
+
+      if (REDIRECT_STATUSES.has(response.status) && response.headers.location) {
+        response.stream.resume();
+
+        if (redirects >= maxRedirects) {
+          throw new BrizoError(`Too many redirects (max ${maxRedirects})`, response.status, "TOO_MANY_REDIRECTS");
+        }
+
+        currentUrl = new URL(response.headers.location, currentUrl).toString();
+        continue;
+      }
+
+      if (response.status >= 400 && response.status !== 416) {
+        response.stream.resume();
+        if (response.status === 429) {
+          throw new RateLimitError("Download rate limit exceeded", this._parseRetryAfter(response.headers["retry-after"]));
+        }
+        throw new BrizoError(`Download failed with status ${response.status}`, response.status, "DOWNLOAD_ERROR");
+      }
+
+      return { ...response, url: currentUrl };
+    }
+  }
+
+  /**
+   * Perform a single raw GET without following redirects
+   * @private
+   */
+  async _sendGetRaw(fullUrl, options) {
+    throwIfAborted(options.signal);
+
+    const url = new URL(fullUrl);
+
+    const requestOptions = {
+      method: "GET",
+      hostname: url.hostname,
+      port: url.port || (url.protocol === "https:" ? 443 : 80),
+      path: url.pathname + url.search,
+      headers: options.headers || {},
+      timeout: options.timeout || this.timeout,
+      agent: url.protocol === "https:" ? httpsAgent : httpAgent,
+    };
+
+    return new Promise((resolve, reject) => {
+      const client = url.protocol === "https:" ? https : http;
+
+      const req = client.request(requestOptions, (res) => {
+        // The signal keeps watching the body until the caller has consumed or destroyed it
+        res.on("close", releaseSignal);
+        resolve({
+          status: res.statusCode,
+          headers: res.headers,
+          stream: res,
+        });
+      });
+
+      req.on("error", (error) => {
+        releaseSignal();
+        reject(new BrizoError(`Download failed: ${error.message}`, null, "NETWORK_ERROR"));
+      });
+
+      req.on("timeout", () => {
+        req.destroy(new Error("Download timeout"));
+        reject(new BrizoError("Download timeout", null, "TIMEOUT"));
+      });
+
+      const releaseSignal = abortOnSignal(options.signal, req, reject);
+
+      req.end();
     });
   }
 }
@@ -2,6 +2,8 @@
 // Project: https://github.com/devAlphaSystem/Alpha-System-Brizo-SDK
 // Definitions by: Brizo
 
+import { EventEmitter } from "node:events";
+
 export = Brizo;
 export as namespace Brizo;
 
@@ -11,9 +13,11 @@ export as namespace Brizo;
 declare class Brizo {
   /**
    * Create a new Brizo client
+   * Settings not given explicitly fall back to BRIZO_API_KEY, BRIZO_BASE_URL and BRIZO_TIMEOUT,
+   * then to the config file (configFile or BRIZO_CONFIG_FILE)
    * @param config - Configuration options
    */
-  constructor(config: Brizo.BrizoConfig);
+  constructor(config?: Brizo.BrizoConfig);
 
   /**
    * Files module for file operations
@@ -30,6 +34,29 @@ declare class Brizo {
    */
   readonly metrics: Brizo.Metrics;
 
+  /**
+   * Extension mappings and content signatures used to type uploads
+   */
+  readonly mime: Brizo.MimeRegistry;
+
+  /**
+   * Resolved configuration
+   */
+  readonly config: {
+    baseUrl: string;
+    apiKey: string;
+    timeout: number;
+    headers: Record<string, string>;
+    retry?: Brizo.RetryOptions | false;
+  };
+
+  /**
+   * Add a request/response middleware, run in order around every API request and upload attempt
+   * @param middleware - async (ctx, next) => {}
+   * @returns This client, for chaining
+   */
+  use(middleware: Brizo.Middleware): this;
+
   /**
    * Get the current API key (masked)
    */
@@ -44,15 +71,15 @@ declare class Brizo {
   /**
    * Test the API connection
    */
-  healthCheck(): Promise<Brizo.HealthCheckResponse>;
+  healthCheck(options?: Brizo.RequestOptions): Promise<Brizo.HealthCheckResponse>;
 
   /**
    * Quick upload helper
-   * @param file - File path or Buffer
-   * @param filename - Filename (required for Buffer)
-   * @param folderId - Target folder ID
+   * @param file - File path, Buffer or Readable stream
+   * @param filename - Filename (required for Buffer and streams without a path)
+   * @param folderId - Target folder ID or path
    */
-  upload(file: string | Buffer, filename?: string | null, folderId?: string | null): Promise<Brizo.File>;
+  upload(file: string | Buffer | NodeJS.ReadableStream, filename?: string | null, folderId?: string | null): Promise<Brizo.File>;
 
   /**
    * Quick list helper for files
@@ -63,6 +90,24 @@ declare class Brizo {
    * Quick list helper for folders
    */
   listFolders(options?: Brizo.ListFoldersOptions): Promise<Brizo.FolderList>;
+
+  /**
+   * Sync a local directory with a Brizo folder, transferring or deleting only what differs
+   * @param options - Sync options
+   */
+  sync(options: Brizo.SyncOptions): Promise<Brizo.SyncReport>;
+
+  /**
+   * Resolve a path to the file or folder it names
+   * A trailing slash only matches folders; '' or '/' is the root folder
+   * @param path - Path such as 'invoices/2024/march.pdf'
+   */
+  resolve(path: string, options?: Brizo.PathOptions): Promise<Brizo.ResolvedPath>;
+
+  /**
+   * Find every file and folder that currently has a public share link
+   */
+  listShared(options?: Brizo.ListSharedOptions): Promise<Brizo.SharedItems>;
 }
 
 declare namespace Brizo {
@@ -72,12 +117,18 @@ declare namespace Brizo {
 
   interface BrizoConfig {
     /**
-     * Your Brizo API key
+     * Your Brizo API key (falls back to BRIZO_API_KEY)
      */
-    apiKey: string;
+    apiKey?: string;
+
+    /**
+     * API base URL (falls back to BRIZO_BASE_URL)
+     * @default 'https://api.brizo-cloud.com'
+     */
+    baseUrl?: string;
 
     /**
-     * Request timeout in milliseconds
+     * Request timeout in milliseconds (falls back to BRIZO_TIMEOUT)
      * @default 30000
      */
     timeout?: number;
@@ -86,6 +137,204 @@ declare namespace Brizo {
      * Additional headers for all requests
      */
     headers?: Record<string, string>;
+
+    /**
+     * Retry policy for failed requests (false disables retries)
+     */
+    retry?: RetryOptions | false;
+
+    /**
+     * Path to a JSON config file (falls back to BRIZO_CONFIG_FILE)
+     */
+    configFile?: string;
+
+    /**
+     * Profile to use from the config file (falls back to BRIZO_PROFILE)
+     * @default 'default'
+     */
+    profile?: string;
+
+    /**
+     * Read BRIZO_* environment variables
+     * @default true
+     */
+    useEnv?: boolean;
+
+    /**
+     * Middleware to install, in order (see Brizo#use)
+     */
+    middleware?: Middleware[];
+
+    /**
+     * Cache folder metadata so listings and path lookups skip the API (true, or options)
+     * @default false
+     */
+    folderCache?: boolean | FolderCacheOptions;
+
+    /**
+     * Check the storage quota before uploads so files that cannot fit are never transferred
+     * @default false
+     */
+    quotaGuard?: boolean;
+
+    /**
+     * Milliseconds a metrics response is reused by brizo.metrics (0 disables the cache)
+     * @default 5000
+     */
+    metricsCacheTTL?: number;
+
+    /**
+     * Reject uploads whose content does not match their declared type or extension
+     * @default false
+     */
+    strictMimeType?: boolean;
+  }
+
+  interface FolderCacheOptions {
+    /**
+     * Milliseconds a cached folder record or listing stays valid
+     * @default 300000
+     */
+    ttl?: number;
+  }
+
+  interface MiddlewareResponse {
+    status: number;
+    headers: Record<string, string | string[] | undefined>;
+
+    /**
+     * Parsed JSON body for API requests, raw text for uploads
+     */
+    data: any;
+  }
+
+  interface MiddlewareContext {
+    /**
+     * 'api' for JSON API requests, 'upload' for raw PUTs to presigned URLs
+     */
+    type: "api" | "upload";
+    method: string;
+
+    /**
+     * API path relative to the base URL (API requests only)
+     */
+    path?: string;
+
+    /**
+     * Query parameters (API requests only)
+     */
+    query?: Record<string, any>;
+
+    /**
+     * Full URL (uploads only)
+     */
+    url?: string;
+    headers: Record<string, any>;
+    body: any;
+    timeout: number;
+
+    /**
+     * Abort signal of the call, if any
+     */
+    signal: AbortSignal | null;
+
+    /**
+     * Attempt number (1-based); middleware runs again for every retry
+     */
+    attempt: number;
+
+    /**
+     * Free-form storage shared by middleware for this attempt
+     */
+    state: Record<string, any>;
+
+    /**
+     * Response, set once next() resolves or by a middleware that answers the request itself
+     */
+    response: MiddlewareResponse | null;
+
+    /**
+     * Error thrown by the request, if it failed
+     */
+    error: Error | null;
+  }
+
+  type Middleware = (ctx: MiddlewareContext, next: () => Promise<void>) => Promise<void> | void;
+
+  interface RetryOptions {
+    /**
+     * Total attempts per request, including the first
+     * @default 3
+     */
+    maxAttempts?: number;
+
+    /**
+     * Initial backoff delay in milliseconds
+     * @default 500
+     */
+    baseDelay?: number;
+
+    /**
+     * Maximum backoff delay in milliseconds
+     * @default 30000
+     */
+    maxDelay?: number;
+
+    /**
+     * Exponential backoff factor
+     * @default 2
+     */
+    factor?: number;
+
+    /**
+     * Randomize delays between 0 and the computed backoff (full jitter)
+     * @default true
+     */
+    jitter?: boolean;
+
+    /**
+     * Give up instead of waiting when Retry-After exceeds this many milliseconds
+     * @default 60000
+     */
+    maxRetryAfter?: number;
+
+    /**
+     * HTTP status codes to retry
+     * @default [408, 429, 500, 502, 503, 504]
+     */
+    retryOnStatus?: number[];
+
+    /**
+     * Error codes to retry
+     * @default ['NETWORK_ERROR', 'TIMEOUT']
+     */
+    retryOnCodes?: string[];
+
+    /**
+     * Also retry non-idempotent requests (POST, PATCH)
+     * @default false
+     */
+    retryNonIdempotent?: boolean;
+
+    /**
+     * Called before each retry
+     * @param error - Error that triggered the retry
+     * @param attempt - Attempt number that failed (1-based)
+     * @param delay - Milliseconds until the next attempt
+     */
+    onRetry?: (error: BrizoError, attempt: number, delay: number) => void;
+  }
+
+  interface RequestOptions {
+    /**
+     * Retry policy override for this call (false disables retries)
+     */
+    retry?: RetryOptions | false;
+
+    /**
+     * Cancels the call when aborted; the promise rejects with an AbortError
+     */
+    signal?: AbortSignal;
   }
 
   // ============================================================================
@@ -158,11 +407,31 @@ declare namespace Brizo {
      */
     isShared: boolean;
 
+    /**
+     * When the share link stops working (null if it never expires)
+     */
+    shareExpiresAt?: string | null;
+
+    /**
+     * Whether visitors must enter a password
+     */
+    sharePasswordProtected?: boolean;
+
     /**
      * Whether the file is marked as favorite
      */
     isFavorite: boolean;
 
+    /**
+     * SHA-256 of the content (hex)
+     */
+    sha256?: string | null;
+
+    /**
+     * MD5 of the content (hex)
+     */
+    md5?: string | null;
+
     /**
      * Creation timestamp
      */
@@ -201,7 +470,7 @@ declare namespace Brizo {
     items: File[];
   }
 
-  interface ListFilesOptions {
+  interface ListFilesOptions extends RequestOptions {
     /**
      * Page number
      * @default 1
@@ -234,297 +503,1434 @@ declare namespace Brizo {
      * Filter by folder ID (use 'root' for root folder)
      */
     folderId?: string;
+
+    /**
+     * Only favorites (true) or only non-favorites (false)
+     */
+    favorite?: boolean;
+  }
+
+  interface IterateOptions {
+    /**
+     * Number of pages to fetch ahead of the consumer (true = 1)
+     * @default 0
+     */
+    prefetch?: number | boolean;
+
+    /**
+     * Stop after this many items
+     */
+    maxItems?: number;
   }
 
-  interface UploadOptions {
+  interface IterateFilesOptions extends ListFilesOptions, IterateOptions {}
+
+  interface UploadOptions extends RequestOptions {
     /**
-     * File path (string) or file content (Buffer)
+     * File path (string, streamed from disk), file content (Buffer) or a Readable stream
      */
-    file: string | Buffer;
+    file: string | Buffer | NodeJS.ReadableStream;
 
     /**
-     * Filename (required when file is a Buffer)
+     * Filename (required when file is a Buffer or a stream without a path)
      */
     filename?: string;
 
     /**
-     * MIME type (auto-detected if not provided)
+     * Size in bytes when file is a stream (measured via a temporary file if omitted)
+     */
+    size?: number;
+
+    /**
+     * MIME type (detected from the content and extension if not provided)
      */
     mimeType?: string;
 
     /**
-     * Target folder ID
+     * Reject the upload if its content does not match the declared type or extension
+     * (defaults to the client's strictMimeType setting)
+     */
+    strictMimeType?: boolean;
+
+    /**
+     * Target folder ID or path (e.g., 'invoices/2024'; the folder must exist)
+     */
+    folderId?: string;
+
+    /**
+     * Progress callback, called as bytes are written
+     * @param progress - Byte-level upload progress
+     */
+    onProgress?: (progress: TransferProgress) => void;
+
+    /**
+     * Minimum milliseconds between progress callbacks
+     * @default 100
+     */
+    progressInterval?: number;
+
+    /**
+     * Upload in parallel parts that can be retried and resumed individually
+     */
+    chunked?: boolean | ChunkedUploadOptions;
+
+    /**
+     * Check the storage quota before presigning (defaults to the client's quotaGuard setting)
+     */
+    quotaGuard?: boolean;
+
+    /**
+     * Send a SHA-256 of the content with the upload (false disables it)
+     * md5 also sends an MD5 and a Content-MD5 header, which needs an extra read of streamed sources
+     * @default true
+     */
+    checksum?: boolean | { md5?: boolean };
+
+    /**
+     * Encrypt the content before it leaves this process (AES-256-GCM with a per-file data key)
+     * The stored size and checksums describe the encrypted content
+     */
+    encryption?: EncryptionOptions;
+  }
+
+  interface CopyFileOptions extends RequestOptions {
+    /**
+     * Target folder ID or path (defaults to the source file's folder; 'root' for the root folder)
+     */
+    folderId?: string;
+
+    /**
+     * Name of the copy (defaults to the source file's name)
+     */
+    newName?: string;
+
+    /**
+     * Progress callback
+     */
+    onProgress?: (progress: TransferProgress) => void;
+
+    /**
+     * Minimum milliseconds between progress callbacks
+     * @default 100
+     */
+    progressInterval?: number;
+  }
+
+  interface ChunkedUploadOptions {
+    /**
+     * Part size in bytes (minimum 5 MB, raised automatically to stay under 10,000 parts)
+     * @default 8388608
+     */
+    partSize?: number;
+
+    /**
+     * Number of parts uploaded in parallel
+     * @default 4
+     */
+    concurrency?: number;
+
+    /**
+     * Retries per part before the upload fails
+     * @default 3
+     */
+    partRetries?: number;
+
+    /**
+     * Path where the resume token is persisted after each part (removed on success)
+     */
+    resumeFile?: string;
+
+    /**
+     * Called with the resume token after each part
+     */
+    onResumeToken?: (token: ResumeToken) => void;
+  }
+
+  interface ResumeToken {
+    version: number;
+    key: string;
+    uploadId: string;
+    filename: string;
+    mimeType: string;
+    size: number;
+    folderId: string;
+    partSize: number;
+
+    /**
+     * Source file path (null when the upload was started from a Buffer or stream)
+     */
+    filePath: string | null;
+
+    mtimeMs: number | null;
+
+    /**
+     * Parts already stored by the server
+     */
+    completedParts: Array<{ partNumber: number; etag: string | null }>;
+  }
+
+  interface ResumeUploadOptions extends RequestOptions {
+    /**
+     * Source file (required when the upload was started from a Buffer or stream)
+     */
+    file?: string | Buffer;
+
+    /**
+     * Progress callback
+     */
+    onProgress?: (progress: TransferProgress) => void;
+
+    /**
+     * Minimum milliseconds between progress callbacks
+     * @default 100
+     */
+    progressInterval?: number;
+
+    /**
+     * Chunked upload options (part size is taken from the token)
+     */
+    chunked?: Omit<ChunkedUploadOptions, "partSize">;
+  }
+
+  interface TransferProgress {
+    /**
+     * Bytes transferred so far
+     */
+    loaded: number;
+
+    /**
+     * Total bytes to transfer
+     */
+    total: number;
+
+    /**
+     * Progress percentage (0-100)
+     */
+    percent: number;
+
+    /**
+     * Average transfer speed in bytes per second
+     */
+    bytesPerSecond: number;
+
+    /**
+     * Estimated milliseconds remaining (null if unknown)
+     */
+    etaMs: number | null;
+  }
+
+  interface BatchProgress extends TransferProgress {
+    /**
+     * Number of files finished (successfully or not)
+     */
+    filesCompleted: number;
+
+    /**
+     * Total number of files in the batch
+     */
+    filesTotal: number;
+  }
+
+  interface DownloadOptions extends RequestOptions {
+    /**
+     * Local file path to save to (exclusive with stream)
+     */
+    destination?: string;
+
+    /**
+     * Writable stream to write to (exclusive with destination, not ended by the SDK)
+     */
+    stream?: NodeJS.WritableStream;
+
+    /**
+     * Replace an existing destination file
+     * @default false
+     */
+    overwrite?: boolean;
+
+    /**
+     * Continue from a partial download left by a previous call
+     * @default true
+     */
+    resume?: boolean;
+
+    /**
+     * Check the content against the file's stored SHA-256
+     * @default false
+     */
+    verify?: boolean;
+
+    /**
+     * Check the content against this SHA-256 (hex) instead
+     */
+    sha256?: string;
+
+    /**
+     * Decrypt content uploaded with client-side encryption
+     */
+    encryption?: DecryptionOptions;
+
+    /**
+     * Progress callback
+     */
+    onProgress?: (progress: TransferProgress) => void;
+
+    /**
+     * Minimum milliseconds between progress callbacks
+     * @default 100
+     */
+    progressInterval?: number;
+  }
+
+  interface DownloadResult {
+    /**
+     * Downloaded file record
+     */
+    file: File;
+
+    /**
+     * Absolute destination path (null when downloading into a stream)
+     */
+    destination: string | null;
+
+    /**
+     * Number of bytes in the downloaded file (the decrypted size when decrypting)
+     */
+    bytes: number;
+
+    /**
+     * SHA-256 of the downloaded content (only when verifying)
+     */
+    sha256?: string;
+  }
+
+  interface BatchUploadOptions extends RequestOptions {
+    /**
+     * Number of uploads kept in flight
+     * @default 3
+     */
+    concurrency?: number;
+
+    /**
+     * Times a failed file is uploaded again from scratch (on top of request-level retries)
+     * Streams, cancellations and client-side errors are never re-attempted
+     * @default 0
+     */
+    fileRetries?: number;
+
+    /**
+     * Stop at the first failed file (same as maxFailures: 1)
+     * @default false
+     */
+    failFast?: boolean;
+
+    /**
+     * Stop once this many files have failed; in-flight uploads are cancelled and the rest are skipped
+     */
+    maxFailures?: number;
+
+    /**
+     * Callback when each file completes
+     * @param file - Uploaded file (null on error)
+     * @param error - Error (null on success)
+     */
+    onFileComplete?: (file: File | null, error: Error | null) => void;
+
+    /**
+     * Aggregate byte progress callback across all files
+     * @param progress - Combined progress (failed files are removed from the total)
+     */
+    onProgress?: (progress: BatchProgress) => void;
+
+    /**
+     * Minimum milliseconds between progress callbacks
+     * @default 100
+     */
+    progressInterval?: number;
+
+    /**
+     * Check once, before the first upload, that the whole batch fits in the storage quota
+     * (defaults to the client's quotaGuard setting; streams without a size count as 0 bytes)
+     */
+    quotaGuard?: boolean;
+
+    /**
+     * Encryption for every upload (per-file options take precedence)
+     */
+    encryption?: EncryptionOptions;
+  }
+
+  /**
+   * Details of a LimitExceededError raised by the quota guard
+   */
+  interface QuotaShortfallDetails {
+    /**
+     * Bytes the upload or batch needs
+     */
+    required: number;
+
+    /**
+     * Bytes left in the quota
+     */
+    available: number;
+
+    /**
+     * Bytes missing (required - available)
+     */
+    shortfall: number;
+
+    /**
+     * Bytes used
+     */
+    used: number;
+
+    /**
+     * Storage limit in bytes
+     */
+    limit: number;
+  }
+
+  interface BatchUploadResult {
+    /**
+     * Successfully uploaded files
+     */
+    successful: Array<File & { originalFilename: string | null }>;
+
+    /**
+     * Failed uploads
+     */
+    failed: BatchUploadFailure[];
+
+    /**
+     * Files that were never started because the batch stopped early
+     */
+    skipped: BatchFileOptions[];
+  }
+
+  interface BatchFileOptions extends UploadOptions {
+    /**
+     * Per-file override of BatchUploadOptions.fileRetries
+     */
+    fileRetries?: number;
+  }
+
+  interface BatchUploadFailure {
+    filename: string | null;
+
+    /**
+     * Error thrown by the last attempt
+     */
+    error: Error;
+
+    /**
+     * Number of times the file was attempted
+     */
+    attempts: number;
+
+    /**
+     * Upload options of the file, for uploading it again
+     */
+    options: BatchFileOptions;
+  }
+
+  interface BatchRetryResult extends BatchUploadResult {
+    /**
+     * Files re-run by retryFailed, by the list they came from in the previous results
+     */
+    retried: {
+      failed: BatchFileOptions[];
+      skipped: BatchFileOptions[];
+    };
+  }
+
+  // ============================================================================
+  // Folder Types
+  // ============================================================================
+
+  interface Folder {
+    /**
+     * Unique folder ID
+     */
+    id: string;
+
+    /**
+     * Folder name
+     */
+    name: string;
+
+    /**
+     * Parent folder ID (empty for root)
+     */
+    parent: string;
+
+    /**
+     * Public share ID (if available)
+     */
+    publicId?: string | null;
+
+    /**
+     * Public share URL (if available)
+     */
+    shareUrl?: string | null;
+
+    /**
+     * Whether the folder is shared publicly
+     */
+    isShared: boolean;
+
+    /**
+     * When the share link stops working (null if it never expires)
+     */
+    shareExpiresAt?: string | null;
+
+    /**
+     * Whether visitors must enter a password
+     */
+    sharePasswordProtected?: boolean;
+
+    /**
+     * Creation timestamp
+     */
+    created: string;
+
+    /**
+     * Last update timestamp
+     */
+    updated: string;
+  }
+
+  interface FolderWithPath extends Folder {
+    /**
+     * Array of folder names in path
+     */
+    path: string[];
+
+    /**
+     * Path as string (e.g., 'photos/2024/vacation')
+     */
+    pathString: string;
+  }
+
+  interface FolderList {
+    /**
+     * Array of folders
+     */
+    items: Folder[];
+
+    /**
+     * Total number of items
+     */
+    totalItems: number;
+  }
+
+  interface ListFoldersOptions extends RequestOptions {
+    /**
+     * Parent folder ID (empty for root folders)
+     */
+    parentId?: string;
+
+    /**
+     * Page number (omit to get every folder)
+     */
+    page?: number;
+
+    /**
+     * Items per page
+     */
+    perPage?: number;
+
+    /**
+     * Serve complete listings (no page or perPage) from the folder cache when it is enabled; false always asks the API
+     * @default true
+     */
+    cache?: boolean;
+  }
+
+  interface IterateFoldersOptions extends ListFoldersOptions, IterateOptions {}
+
+  interface CreateFolderOptions extends RequestOptions {
+    /**
+     * Folder name
+     */
+    name: string;
+
+    /**
+     * Parent folder ID (empty for root)
+     */
+    parentId?: string;
+  }
+
+  interface DeleteFolderOptions extends RequestOptions {
+    /**
+     * Delete folder contents (files moved to root)
+     * @default false
+     */
+    deleteContents?: boolean;
+  }
+
+  interface FolderRefreshOptions extends RequestOptions {
+    /**
+     * Reload the whole folder tree into the cache right away (one request per folder)
+     * @default false
+     */
+    preload?: boolean;
+  }
+
+  interface ListAllFoldersOptions extends RequestOptions {
+    /**
+     * Max concurrent requests
+     * @default 5
+     */
+    maxConcurrency?: number;
+
+    /**
+     * Max recursion depth
+     * @default 20
+     */
+    maxDepth?: number;
+
+    /**
+     * Read from the folder cache when it is enabled
+     * @default true
+     */
+    cache?: boolean;
+  }
+
+  interface FolderDownloadOptions extends RequestOptions {
+    /**
+     * Number of files downloaded in parallel
+     * @default 4
+     */
+    concurrency?: number;
+
+    /**
+     * Replace existing local files (otherwise they are skipped)
+     * @default false
+     */
+    overwrite?: boolean;
+
+    /**
+     * Return false to skip a file
+     * @param relativePath - Local path relative to the target directory ('photos/a.jpg')
+     * @param file - Remote file
+     */
+    filter?: (relativePath: string, file: File) => boolean;
+
+    /**
+     * Aggregate byte progress across all files
+     */
+    onProgress?: (progress: BatchProgress) => void;
+
+    /**
+     * Minimum milliseconds between progress callbacks
+     * @default 100
+     */
+    progressInterval?: number;
+
+    /**
+     * Called after each file (not for skipped files)
+     */
+    onFileComplete?: (entry: FolderDownloadEntry, error: Error | null) => void;
+
+    /**
+     * Max recursion depth
+     * @default 20
+     */
+    maxDepth?: number;
+
+    /**
+     * Decrypt every file with this key provider (see Files#download)
+     */
+    encryption?: DecryptionOptions;
+  }
+
+  interface FolderDownloadEntry {
+    file: File;
+
+    /**
+     * Absolute local path
+     */
+    path: string;
+
+    /**
+     * Local path relative to the target directory
+     */
+    relativePath: string;
+  }
+
+  interface FolderDownloadResult {
+    successful: FolderDownloadEntry[];
+    failed: Array<FolderDownloadEntry & { error: Error }>;
+
+    /**
+     * Files left alone because they already existed locally
+     */
+    skipped: FolderDownloadEntry[];
+
+    /**
+     * Number of folders recreated, including the downloaded folder itself
+     */
+    folders: number;
+
+    /**
+     * Bytes downloaded
+     */
+    bytes: number;
+  }
+
+  interface FolderCopyOptions extends RequestOptions {
+    /**
+     * Name of the copied folder (defaults to the source folder's name)
+     */
+    newName?: string;
+
+    /**
+     * Number of files copied in parallel
+     * @default 4
+     */
+    concurrency?: number;
+
+    /**
+     * Called after each file
+     */
+    onFileComplete?: (entry: { file: File; relativePath: string; copy: File | null }, error: Error | null) => void;
+  }
+
+  interface FolderCopyResult {
+    /**
+     * The new top-level folder
+     */
+    folder: Folder;
+
+    /**
+     * Map from every copied source folder and file ID to the ID of its copy
+     */
+    ids: Record<string, string>;
+
+    /**
+     * Number of folders created
+     */
+    folders: number;
+
+    /**
+     * Number of files copied
+     */
+    files: number;
+
+    /**
+     * Bytes copied
+     */
+    bytes: number;
+
+    /**
+     * Files that could not be copied
+     */
+    failed: Array<{ file: File; relativePath: string; error: Error }>;
+  }
+
+  interface DeleteRecursiveOptions extends RequestOptions {
+    /**
+     * Only list what would be deleted
+     * @default false
+     */
+    dryRun?: boolean;
+
+    /**
+     * Number of deletions in flight
+     * @default 4
+     */
+    concurrency?: number;
+
+    /**
+     * Called after each deletion attempt
+     */
+    onDelete?: (entry: DeleteEntry, error: Error | null) => void;
+  }
+
+  interface DeleteEntry {
+    /**
+     * What the entry is
+     */
+    type: "file" | "folder";
+
+    /**
+     * File or folder ID
+     */
+    id: string;
+
+    /**
+     * Path relative to the deleted folder ('' for the folder itself)
+     */
+    relativePath: string;
+
+    /**
+     * File or folder record
+     */
+    item: File | Folder;
+  }
+
+  interface DeleteRecursiveResult {
+    /**
+     * Whether this was a dry run
+     */
+    dryRun: boolean;
+
+    /**
+     * Everything below the folder, in deletion order (files, then folders from the deepest level up, then the folder itself)
+     */
+    plan: DeleteEntry[];
+
+    /**
+     * Entries that were deleted
+     */
+    deleted: DeleteEntry[];
+
+    /**
+     * Entries whose deletion failed
+     */
+    failed: Array<DeleteEntry & { error: Error }>;
+
+    /**
+     * Folders kept because something below them could not be deleted
+     */
+    skipped: Array<DeleteEntry & { reason: "contents-failed" }>;
+  }
+
+  interface FolderPathSegment {
+    /**
+     * Folder ID
+     */
+    id: string;
+
+    /**
+     * Folder name
+     */
+    name: string;
+  }
+
+  interface ShareOptions extends RequestOptions {
+    /**
+     * When the link stops working (Date, ISO 8601 string or epoch milliseconds)
+     */
+    expiresAt?: Date | string | number;
+
+    /**
+     * Milliseconds until the link stops working (instead of expiresAt)
+     */
+    expiresIn?: number;
+
+    /**
+     * Password visitors must enter
+     */
+    password?: string;
+  }
+
+  interface ListSharedOptions extends RequestOptions {
+    /**
+     * Also return links whose expiry has passed
+     * @default false
+     */
+    includeExpired?: boolean;
+  }
+
+  interface SharedItems {
+    /**
+     * Shared files
+     */
+    files: File[];
+
+    /**
+     * Shared folders with their paths
+     */
+    folders: FolderWithPath[];
+  }
+
+  interface PathOptions extends RequestOptions {
+    /**
+     * Reuse folder IDs resolved in the last 30 seconds (and the folder cache when it is enabled)
+     * @default true
+     */
+    cache?: boolean;
+  }
+
+  interface ResolvedPath {
+    /**
+     * What the path names
+     */
+    type: "file" | "folder";
+
+    /**
+     * File or folder ID ('' for the root folder)
+     */
+    id: string;
+
+    /**
+     * File or folder record (null for the root folder)
+     */
+    item: File | Folder | null;
+  }
+
+  /**
+   * Details of a NotFoundError raised while resolving a path
+   */
+  interface PathNotFoundDetails {
+    /**
+     * Path that was being resolved
+     */
+    path: string;
+
+    /**
+     * Segment that could not be resolved
+     */
+    segment: string;
+
+    /**
+     * 'missing' if nothing matched, 'ambiguous' if several items did
+     */
+    reason: "missing" | "ambiguous";
+
+    /**
+     * IDs of the matching items (ambiguous segments only)
+     */
+    matches?: string[];
+
+    /**
+     * Folder searched for the segment (missing segments only)
+     */
+    parentId?: string;
+  }
+
+  // ============================================================================
+  // Sync Types
+  // ============================================================================
+
+  interface SyncOptions extends RequestOptions {
+    /**
+     * Local directory
+     */
+    local: string;
+
+    /**
+     * Remote folder path (e.g., 'backups/site'; '' for the root), created when needed
+     * @default ''
+     */
+    remote?: string;
+
+    /**
+     * Remote folder ID (instead of remote)
+     */
+    remoteFolderId?: string;
+
+    /**
+     * 'upload' mirrors local to remote, 'download' mirrors remote to local, 'both' copies each way (newer side wins)
+     * @default 'upload'
+     */
+    direction?: "upload" | "download" | "both";
+
+    /**
+     * Delete files on the target side that are missing on the source side (one-way syncs only; folders are kept)
+     * @default false
+     */
+    deleteExtraneous?: boolean;
+
+    /**
+     * Only build the plan, without changing anything
+     * @default false
+     */
+    dryRun?: boolean;
+
+    /**
+     * 'timestamp' compares size and modification time; 'hash' compares the SHA-256 of files with equal sizes
+     * @default 'timestamp'
+     */
+    compare?: "timestamp" | "hash";
+
+    /**
+     * Ignore timestamp differences up to this many milliseconds
+     * @default 2000
+     */
+    timeTolerance?: number;
+
+    /**
+     * Return false to leave a file out of the sync
+     * @param relativePath - Path relative to the synced folders ('photos/a.jpg')
+     */
+    filter?: (relativePath: string) => boolean;
+
+    /**
+     * Number of transfers (and hash comparisons) in flight
+     * @default 4
+     */
+    concurrency?: number;
+
+    /**
+     * Called after each applied action
+     */
+    onAction?: (entry: SyncAction, error: Error | null) => void;
+  }
+
+  interface SyncLocalFile {
+    path: string;
+    size: number;
+    mtimeMs: number;
+  }
+
+  interface SyncAction {
+    action: "upload" | "download" | "delete-remote" | "delete-local";
+
+    /**
+     * Path relative to the synced folders
+     */
+    path: string;
+    reason: "missing-remote" | "missing-local" | "size" | "modified" | "content" | "extraneous";
+
+    /**
+     * Bytes transferred (or the size of the deleted file)
+     */
+    size: number;
+    local: SyncLocalFile | null;
+    remote: File | null;
+  }
+
+  interface SyncReport {
+    direction: "upload" | "download" | "both";
+    compare: "timestamp" | "hash";
+    dryRun: boolean;
+
+    /**
+     * Absolute local directory
+     */
+    local: string;
+
+    /**
+     * Remote folder path (null when given by ID) and ID ('' for the root)
+     */
+    remote: { path: string | null; folderId: string | null };
+
+    /**
+     * Actions that were (or, in a dry run, would be) applied
+     */
+    plan: SyncAction[];
+
+    /**
+     * Paths that are the same on both sides
+     */
+    unchanged: string[];
+
+    /**
+     * Paths that only exist on the target side and were kept
+     */
+    extraneous: string[];
+
+    /**
+     * Two-way paths that differ but where neither side is newer
+     */
+    conflicts: Array<{ path: string; reason: string }>;
+
+    /**
+     * Applied actions (uploads include the new file)
+     */
+    completed: Array<SyncAction & { file?: File }>;
+
+    /**
+     * Actions that failed
+     */
+    failed: Array<SyncAction & { error: Error }>;
+    summary: {
+      uploads: number;
+      downloads: number;
+      deletes: number;
+      bytes: number;
+      unchanged: number;
+      conflicts: number;
+      failed: number;
+    };
+  }
+
+  // ============================================================================
+  // Module Classes
+  // ============================================================================
+
+  /**
+   * Files module for file operations
+   */
+  class Files {
+    /**
+     * List files with pagination and filtering
+     */
+    list(options?: ListFilesOptions): Promise<PaginatedFiles>;
+
+    /**
+     * Iterate over all matching files, fetching pages lazily
+     */
+    iterate(options?: IterateFilesOptions): AsyncIterableIterator<File>;
+
+    /**
+     * List all matching files across every page
+     */
+    listAll(options?: IterateFilesOptions): Promise<File[]>;
+
+    /**
+     * Get file information by ID
+     */
+    get(fileId: string, options?: RequestOptions): Promise<File>;
+
+    /**
+     * Get a file by its path (e.g., 'invoices/2024/march.pdf')
+     */
+    getByPath(path: string, options?: PathOptions): Promise<File>;
+
+    /**
+     * Delete a file
+     */
+    delete(fileId: string, options?: RequestOptions): Promise<{ status: string; message: string }>;
+
+    /**
+     * Move a file to a different folder
+     * @param fileId - File ID or path
+     * @param folderId - Target folder ID or path ('root' or '/' for the root folder)
+     */
+    move(fileId: string, folderId: string, options?: PathOptions): Promise<File>;
+
+    /**
+     * Copy a file by streaming it into a new upload (no temporary files)
+     * @param fileId - File ID or path
+     */
+    copy(fileId: string, options?: CopyFileOptions): Promise<File>;
+
+    /**
+     * Get a download URL for a file
+     */
+    getDownloadUrl(fileId: string, options?: RequestOptions): Promise<string>;
+
+    /**
+     * Download a file to disk or into a writable stream
+     */
+    download(fileId: string, options: DownloadOptions): Promise<DownloadResult>;
+
+    /**
+     * Upload a file (simplified 3-step process in one call)
+     */
+    upload(options: UploadOptions): Promise<File>;
+
+    /**
+     * Resume a chunked upload, sending only the missing parts
+     * @param token - Resume token, its JSON, or the path of a resume file
+     */
+    resumeUpload(token: ResumeToken | string, options?: ResumeUploadOptions): Promise<File>;
+
+    /**
+     * Upload multiple files
+     */
+    uploadBatch(files: BatchFileOptions[], options?: BatchUploadOptions): Promise<BatchUploadResult>;
+
+    /**
+     * Upload again the files of a previous batch that failed, together with its skipped files
+     * @param results - Results returned by uploadBatch
+     * @param options - Batch options
+     */
+    retryFailed(results: BatchUploadResult, options?: BatchUploadOptions): Promise<BatchRetryResult>;
+
+    /**
+     * Get public share URL for a file
+     */
+    getShareUrl(file: File): string | null;
+
+    /**
+     * Mark a file as favorite
+     * @param fileId - File ID or path
      */
-    folderId?: string;
+    favorite(fileId: string, options?: RequestOptions): Promise<File>;
 
     /**
-     * Progress callback
-     * @param percentage - Upload progress (0-100)
+     * Remove a file from favorites
+     * @param fileId - File ID or path
      */
-    onProgress?: (percentage: number) => void;
-  }
+    unfavorite(fileId: string, options?: RequestOptions): Promise<File>;
 
-  interface BatchUploadOptions {
     /**
-     * Number of concurrent uploads
-     * @default 3
+     * Flip the favorite flag of a file
+     * @param file - File ID, path or file object (a file object saves the lookup request)
      */
-    concurrency?: number;
+    toggleFavorite(file: string | File, options?: RequestOptions): Promise<File>;
 
     /**
-     * Callback when each file completes
-     * @param file - Uploaded file (null on error)
-     * @param error - Error (null on success)
+     * Create (or update) the public share link of a file
+     * @param fileId - File ID or path
      */
-    onFileComplete?: (file: File | null, error: Error | null) => void;
+    share(fileId: string, options?: ShareOptions): Promise<File>;
 
     /**
-     * Overall progress callback
-     * @param percentage - Overall progress (0-100)
-     * @param completed - Number of completed files
-     * @param total - Total number of files
+     * Remove the public share link of a file
+     * @param fileId - File ID or path
      */
-    onProgress?: (percentage: number, completed: number, total: number) => void;
-  }
+    unshare(fileId: string, options?: RequestOptions): Promise<File>;
 
-  interface BatchUploadResult {
     /**
-     * Successfully uploaded files
+     * Rename a file
      */
-    successful: Array<File & { originalFilename: string }>;
+    rename(fileId: string, newName: string, options?: RequestOptions): Promise<File>;
 
     /**
-     * Failed uploads
+     * Get a streaming URL for a file (inline display)
      */
-    failed: Array<{
-      filename: string;
-      error: string;
-    }>;
+    getStreamUrl(fileId: string, options?: RequestOptions): Promise<string>;
   }
 
-  // ============================================================================
-  // Folder Types
-  // ============================================================================
+  /**
+   * Folders module for folder operations
+   */
+  class Folders {
+    /**
+     * List folders
+     */
+    list(options?: ListFoldersOptions): Promise<FolderList>;
 
-  interface Folder {
     /**
-     * Unique folder ID
+     * Iterate over the folders in a parent folder, fetching pages lazily
      */
-    id: string;
+    iterate(options?: IterateFoldersOptions): AsyncIterableIterator<Folder>;
 
     /**
-     * Folder name
+     * Get folder information by ID (from the folder cache when it is enabled)
      */
-    name: string;
+    get(folderId: string, options?: PathOptions): Promise<Folder>;
 
     /**
-     * Parent folder ID (empty for root)
+     * Get a folder by its path (e.g., 'invoices/2024')
      */
-    parent: string;
+    getByPath(path: string, options?: PathOptions): Promise<Folder>;
 
     /**
-     * Public share ID (if available)
+     * Turn a folder ID or path into a folder ID ('' for the root)
+     * Strings containing a slash are resolved as paths
      */
-    publicId?: string | null;
+    resolveId(folderIdOrPath: string, options?: PathOptions): Promise<string>;
 
     /**
-     * Public share URL (if available)
+     * Get folder path (breadcrumb)
      */
-    shareUrl?: string | null;
+    getPath(folderId: string, options?: RequestOptions): Promise<FolderPathSegment[]>;
 
     /**
-     * Whether the folder is shared publicly
+     * Create a new folder
      */
-    isShared: boolean;
+    create(options: CreateFolderOptions): Promise<Folder>;
 
     /**
-     * Creation timestamp
+     * Rename a folder
      */
-    created: string;
+    rename(folderId: string, newName: string, options?: RequestOptions): Promise<Folder>;
 
     /**
-     * Last update timestamp
+     * Move a folder to a different parent folder
+     * @param folderId - Folder ID or path
+     * @param parentId - New parent folder ID or path ('', 'root' or '/' for the root folder)
      */
-    updated: string;
-  }
+    move(folderId: string, parentId?: string, options?: PathOptions): Promise<Folder>;
 
-  interface FolderWithPath extends Folder {
     /**
-     * Array of folder names in path
+     * Delete a folder
      */
-    path: string[];
+    delete(folderId: string, options?: DeleteFolderOptions): Promise<{ status: string; message: string }>;
 
     /**
-     * Path as string (e.g., 'photos/2024/vacation')
+     * Copy a folder with its subfolders and files into another folder
+     * @param folderId - Folder ID or path
+     * @param targetParentId - Folder ID or path to copy into ('', 'root' or '/' for the root folder)
      */
-    pathString: string;
-  }
+    copy(folderId: string, targetParentId?: string, options?: FolderCopyOptions): Promise<FolderCopyResult>;
 
-  interface FolderList {
     /**
-     * Array of folders
+     * Delete a folder with every subfolder and file below it, deepest level first
+     * Throws a BrizoError with code DELETE_INCOMPLETE (details.results) if any deletion failed
+     * @param folderId - Folder ID or path
      */
-    items: Folder[];
+    deleteRecursive(folderId: string, options?: DeleteRecursiveOptions): Promise<DeleteRecursiveResult>;
 
     /**
-     * Total number of items
+     * List all folders recursively
      */
-    totalItems: number;
-  }
+    listAll(parentId?: string, options?: ListAllFoldersOptions): Promise<FolderWithPath[]>;
 
-  interface ListFoldersOptions {
     /**
-     * Parent folder ID (empty for root folders)
+     * Create folder path (creates all parent folders if needed)
      */
-    parentId?: string;
-  }
+    createPath(path: string, options?: RequestOptions): Promise<Folder>;
 
-  interface CreateFolderOptions {
     /**
-     * Folder name
+     * Download a folder and everything below it into a local directory
+     * @param folderId - Folder ID ('root' for the root folder)
+     * @param localDir - Local directory (created if needed)
+     * @param options - Download options
      */
-    name: string;
+    download(folderId: string, localDir: string, options?: FolderDownloadOptions): Promise<FolderDownloadResult>;
 
     /**
-     * Parent folder ID (empty for root)
+     * Get public share URL for a folder
      */
-    parentId?: string;
-  }
+    getShareUrl(folder: Folder): string | null;
 
-  interface DeleteFolderOptions {
     /**
-     * Delete folder contents (files moved to root)
-     * @default false
+     * Create (or update) the public share link of a folder
+     * @param folderId - Folder ID or path
      */
-    deleteContents?: boolean;
-  }
+    share(folderId: string, options?: ShareOptions): Promise<Folder>;
 
-  interface FolderPathSegment {
     /**
-     * Folder ID
+     * Remove the public share link of a folder
+     * @param folderId - Folder ID or path
      */
-    id: string;
+    unshare(folderId: string, options?: RequestOptions): Promise<Folder>;
 
     /**
-     * Folder name
+     * Drop cached folder data so the next calls ask the API again
      */
-    name: string;
+    refresh(options?: FolderRefreshOptions): Promise<void>;
   }
 
   // ============================================================================
-  // Module Classes
+  // MIME Types
   // ============================================================================
 
   /**
-   * Files module for file operations
+   * Content signature: bytes expected at an offset (a string is read as latin1)
    */
-  class Files {
-    /**
-     * List files with pagination and filtering
-     */
-    list(options?: ListFilesOptions): Promise<PaginatedFiles>;
+  interface MimeSignature {
+    bytes: Buffer | number[] | string;
 
     /**
-     * Get file information by ID
+     * @default 0
      */
-    get(fileId: string): Promise<File>;
+    offset?: number;
+  }
 
+  interface MimeDetection {
     /**
-     * Delete a file
+     * Type the upload gets
      */
-    delete(fileId: string): Promise<{ status: string; message: string }>;
+    mimeType: string;
 
     /**
-     * Move a file to a different folder
+     * Type given by the caller, or registered for the extension
      */
-    move(fileId: string, folderId: string): Promise<File>;
+    declaredType: string | null;
 
     /**
-     * Get a download URL for a file
+     * Type detected from the content
      */
-    getDownloadUrl(fileId: string): Promise<string>;
+    detectedType: string | null;
 
     /**
-     * Upload a file (simplified 3-step process in one call)
+     * Whether the content does not match the declared type
      */
-    upload(options: UploadOptions): Promise<File>;
+    mismatch: boolean;
+  }
 
+  /**
+   * Extension mappings and content signatures used to type uploads
+   */
+  class MimeRegistry {
     /**
-     * Upload multiple files
+     * Register or override extension mappings
+     * @param extension - Extension (with or without the dot)
      */
-    uploadBatch(files: UploadOptions[], options?: BatchUploadOptions): Promise<BatchUploadResult>;
+    register(extension: string, mimeType: string): this;
+    register(mappings: Record<string, string>): this;
 
     /**
-     * Get public share URL for a file
+     * Teach the sniffer a new content signature (checked before the built-in ones)
      */
-    getShareUrl(file: File): string | null;
+    registerSignature(mimeType: string, signature: MimeSignature | ((sample: Buffer) => boolean)): this;
 
     /**
-     * Rename a file
+     * MIME type registered for a filename's extension (null if unknown)
      */
-    rename(fileId: string, newName: string): Promise<File>;
+    lookup(filename: string): string | null;
 
     /**
-     * Get a streaming URL for a file (inline display)
+     * Detect the MIME type of content from its first bytes (null if not recognized)
      */
-    getStreamUrl(fileId: string): Promise<string>;
-  }
+    sniff(sample: Buffer): string | null;
 
-  /**
-   * Folders module for folder operations
-   */
-  class Folders {
     /**
-     * List folders
+     * Whether content detected as one type may be labelled with another
      */
-    list(options?: ListFoldersOptions): Promise<FolderList>;
+    isCompatible(declared: string, detected: string): boolean;
 
     /**
-     * Get folder information by ID
+     * Work out the MIME type of an upload from its name, content and an optional declared type
      */
-    get(folderId: string): Promise<Folder>;
+    detect(filename: string, sample: Buffer | null, declared?: string | null): MimeDetection;
+  }
 
-    /**
-     * Get folder path (breadcrumb)
-     */
-    getPath(folderId: string): Promise<FolderPathSegment[]>;
+  // ============================================================================
+  // Encryption Types
+  // ============================================================================
 
+  /**
+   * Wraps and unwraps per-file data keys (e.g., with a KMS or HSM); methods may be async
+   */
+  interface KeyProvider {
     /**
-     * Create a new folder
+     * Encrypt a 32-byte data key
+     * @param dataKey - Data key generated for one file
      */
-    create(options: CreateFolderOptions): Promise<Folder>;
+    wrapKey(dataKey: Buffer): WrappedKey | Promise<WrappedKey>;
 
     /**
-     * Rename a folder
+     * Decrypt a data key wrapped by wrapKey
+     * @param wrappedKey - Wrapped key read from the file's header
+     * @param context - keyId stored with the wrapped key (null if none)
      */
-    rename(folderId: string, newName: string): Promise<Folder>;
+    unwrapKey(wrappedKey: Buffer, context: { keyId: string | null }): Buffer | Promise<Buffer>;
+  }
 
+  interface WrappedKey {
     /**
-     * Move a folder to a different parent folder
+     * Wrapped data key, stored in the file's header
      */
-    move(folderId: string, parentId?: string): Promise<Folder>;
+    wrappedKey: Uint8Array;
 
     /**
-     * Delete a folder
+     * Identifier of the wrapping key, stored in the file's header and passed back to unwrapKey
      */
-    delete(folderId: string, options?: DeleteFolderOptions): Promise<{ status: string; message: string }>;
+    keyId?: string;
+  }
 
+  interface DecryptionOptions {
     /**
-     * List all folders recursively
+     * Key provider that unwraps the file's data key
      */
-    listAll(parentId?: string): Promise<FolderWithPath[]>;
+    keyProvider: KeyProvider;
+  }
 
+  interface EncryptionOptions extends DecryptionOptions {
     /**
-     * Create folder path (creates all parent folders if needed)
+     * Plaintext bytes per authenticated segment (1 KB to 16 MB)
+     * @default 65536
      */
-    createPath(path: string): Promise<Folder>;
+    segmentSize?: number;
+  }
 
+  interface LocalKeyProviderOptions {
     /**
-     * Get public share URL for a folder
+     * Identifier stored with each wrapped key
+     * @default 'local'
      */
-    getShareUrl(folder: Folder): string | null;
+    keyId?: string;
   }
 
+  interface LocalKeyProvider extends KeyProvider {
+    readonly keyId: string;
+  }
+
+  /**
+   * Key provider backed by a local 32-byte master key (data keys are wrapped with AES-256-GCM)
+   * @param masterKey - 32-byte master key
+   */
+  function localKeyProvider(masterKey: Buffer, options?: LocalKeyProviderOptions): LocalKeyProvider;
+
   // ============================================================================
   // Metrics Types
   // ============================================================================
@@ -595,6 +2001,14 @@ declare namespace Brizo {
     chartLabels: string[];
   }
 
+  interface MetricsOptions extends RequestOptions {
+    /**
+     * Whether to use cached data
+     * @default true
+     */
+    useCache?: boolean;
+  }
+
   interface UsageInfo {
     /**
      * Amount used
@@ -644,6 +2058,179 @@ declare namespace Brizo {
     tracked: boolean;
   }
 
+  interface WatchUsageOptions {
+    /**
+     * Milliseconds between checks
+     * @default 60000
+     */
+    interval?: number;
+
+    /**
+     * Percentages of each limit that trigger an event (false disables one)
+     * @default { storage: [80, 90, 100], apiRequests: [80, 90, 100] }
+     */
+    thresholds?: {
+      storage?: number | number[] | false;
+      apiRequests?: number | number[] | false;
+    };
+
+    /**
+     * Retry policy for each check
+     */
+    retry?: RetryOptions | false;
+
+    /**
+     * Stops the watcher when aborted
+     */
+    signal?: AbortSignal;
+  }
+
+  interface ThresholdEvent {
+    /**
+     * Which limit was crossed
+     */
+    type: "storage" | "apiRequests";
+
+    /**
+     * Threshold percentage that was reached
+     */
+    threshold: number;
+
+    /**
+     * Current usage percentage (not rounded)
+     */
+    percentage: number;
+
+    /**
+     * Percentage at the previous check (null on the first check)
+     */
+    previousPercentage: number | null;
+
+    /**
+     * Amount used (bytes or requests)
+     */
+    used: number;
+
+    /**
+     * Limit (bytes or requests)
+     */
+    limit: number;
+  }
+
+  interface UsageSnapshot {
+    storage: { used: number; limit: number | null; percentage: number | null };
+    apiRequests: { used: number; limit: number | null; percentage: number | null };
+
+    /**
+     * When the check ran (ISO 8601)
+     */
+    checkedAt: string;
+  }
+
+  /**
+   * Polls usage and emits threshold events (returned by metrics.watch)
+   */
+  class UsageWatcher extends EventEmitter {
+    /**
+     * Whether the watcher is polling
+     */
+    readonly running: boolean;
+
+    /**
+     * Result of the most recent check
+     */
+    readonly last: UsageSnapshot | null;
+
+    /**
+     * Fetch fresh metrics now and emit events for any crossed thresholds
+     */
+    check(): Promise<UsageSnapshot>;
+
+    /**
+     * Stop polling
+     */
+    stop(): void;
+
+    on(event: "storage:threshold" | "apiRequests:threshold", listener: (event: ThresholdEvent) => void): this;
+    on(event: "usage", listener: (snapshot: UsageSnapshot) => void): this;
+    on(event: "error", listener: (error: Error) => void): this;
+    on(event: "stop", listener: () => void): this;
+    once(event: "storage:threshold" | "apiRequests:threshold", listener: (event: ThresholdEvent) => void): this;
+    once(event: "usage", listener: (snapshot: UsageSnapshot) => void): this;
+    once(event: "error", listener: (error: Error) => void): this;
+    once(event: "stop", listener: () => void): this;
+  }
+
+  interface ForecastOptions extends MetricsOptions {
+    /**
+     * Only use the most recent days of chart data (defaults to all of it)
+     */
+    days?: number;
+  }
+
+  interface LimitRunway {
+    /**
+     * Amount used
+     */
+    used: number;
+
+    /**
+     * Limit (null if unlimited)
+     */
+    limit: number | null;
+
+    /**
+     * Amount left before the limit (null if unlimited)
+     */
+    remaining: number | null;
+
+    /**
+     * Days until the limit is reached at the current pace (null if unlimited or not growing)
+     */
+    daysRemaining: number | null;
+
+    /**
+     * When the limit is reached at the current pace (ISO 8601; null if unlimited or not growing)
+     */
+    exhaustedAt: string | null;
+  }
+
+  interface UsageForecast {
+    storage: LimitRunway & {
+      /**
+       * Estimated bytes added per day
+       */
+      dailyGrowth: number;
+
+      /**
+       * Data the estimate is based on
+       */
+      basis: { days: number; uploads: number; averageFileSize: number };
+    };
+
+    apiRequests: LimitRunway & {
+      /**
+       * Requests per day so far this month
+       */
+      dailyRate: number;
+
+      /**
+       * When the monthly counter resets (ISO 8601)
+       */
+      resetsAt: string;
+
+      /**
+       * Whether the limit is reached before the counter resets
+       */
+      beforeReset: boolean;
+    };
+
+    /**
+     * When the forecast was made (ISO 8601)
+     */
+    generatedAt: string;
+  }
+
   /**
    * Metrics module for usage statistics
    */
@@ -651,22 +2238,37 @@ declare namespace Brizo {
     /**
      * Get all usage metrics and statistics
      */
-    get(): Promise<MetricsData>;
+    get(options?: MetricsOptions): Promise<MetricsData>;
 
     /**
      * Get storage usage information
      */
-    getStorageUsage(): Promise<UsageInfo>;
+    getStorageUsage(options?: MetricsOptions): Promise<UsageInfo>;
 
     /**
      * Get API requests usage information
      */
-    getApiRequestsUsage(): Promise<ApiRequestsUsageInfo>;
+    getApiRequestsUsage(options?: MetricsOptions): Promise<ApiRequestsUsageInfo>;
 
     /**
      * Get upload statistics
      */
-    getUploadStats(): Promise<{ totalUploads: number; filesStored: number }>;
+    getUploadStats(options?: MetricsOptions): Promise<{ totalUploads: number; filesStored: number }>;
+
+    /**
+     * Poll usage and emit 'storage:threshold' / 'apiRequests:threshold' when usage crosses a percentage of its limit
+     */
+    watch(options?: WatchUsageOptions): UsageWatcher;
+
+    /**
+     * Estimate when the storage and API request limits will run out at the current pace
+     */
+    forecast(options?: ForecastOptions): Promise<UsageForecast>;
+
+    /**
+     * Invalidate the metrics cache
+     */
+    invalidateCache(): void;
   }
 
   // ============================================================================
@@ -711,7 +2313,7 @@ declare namespace Brizo {
    * Error thrown when a resource is not found
    */
   class NotFoundError extends BrizoError {
-    constructor(message?: string);
+    constructor(message?: string, details?: unknown);
   }
 
   /**
@@ -742,7 +2344,7 @@ declare namespace Brizo {
      */
     limitType: string | null;
 
-    constructor(message: string, limitType?: string | null);
+    constructor(message: string, limitType?: string | null, details?: unknown);
   }
 
   /**
@@ -752,6 +2354,29 @@ declare namespace Brizo {
     constructor(message: string, details?: unknown);
   }
 
+  /**
+   * Error thrown when download fails
+   */
+  class DownloadError extends BrizoError {
+    constructor(message: string, details?: unknown);
+  }
+
+  /**
+   * Error thrown when content does not match its checksum or fails decryption
+   * details: { fileId, algorithm, expected, actual } for checksums, { fileId, reason } for decryption
+   */
+  class IntegrityError extends BrizoError {
+    constructor(message: string, details?: unknown);
+  }
+
+  /**
+   * Error thrown when an operation is cancelled through an AbortSignal
+   * Aborted chunked uploads carry details.resumeToken; aborted batches carry details.results
+   */
+  class AbortError extends BrizoError {
+    constructor(message?: string, details?: unknown);
+  }
+
   /**
    * All error classes
    */
@@ -763,5 +2388,8 @@ declare namespace Brizo {
     RateLimitError: typeof RateLimitError;
     LimitExceededError: typeof LimitExceededError;
     UploadError: typeof UploadError;
+    DownloadError: typeof DownloadError;
+    IntegrityError: typeof IntegrityError;
+    AbortError: typeof AbortError;
   };
 }
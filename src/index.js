@@ -9,18 +9,21 @@ const HttpClient = require("./http");
 const Files = require("./files");
 const Folders = require("./folders");
 const Metrics = require("./metrics");
-const { BrizoError, AuthenticationError, NotFoundError, ValidationError, RateLimitError, LimitExceededError, UploadError } = require("./errors");
-
-/**
- * Brizo API base URL
- */
-const API_BASE_URL = "https://api.brizo-cloud.com";
+const Sync = require("./sync");
+const MimeRegistry = require("./mime");
+const { resolveConfig } = require("./config");
+const { localKeyProvider } = require("./encryption");
+const { isSharedNow, pickRequestOptions, splitPath } = require("./utils");
+const { BrizoError, AuthenticationError, NotFoundError, ValidationError, RateLimitError, LimitExceededError, UploadError, DownloadError, IntegrityError, AbortError } = require("./errors");
 
 /**
  * Main Brizo client class
  * @example
  * const brizo = new Brizo({ apiKey: 'your-api-key' });
  *
+ * // Or read BRIZO_API_KEY, BRIZO_BASE_URL and BRIZO_TIMEOUT from the environment
+ * const brizo = new Brizo();
+ *
  * // Upload a file
  * const file = await brizo.files.upload({ file: './photo.jpg' });
  *
@@ -33,28 +36,70 @@ const API_BASE_URL = "https://api.brizo-cloud.com";
 class Brizo {
   /**
    * Create a new Brizo client
-   * @param {Object} config - Configuration options
-   * @param {string} config.apiKey - Your Brizo API key
+   * Settings not given explicitly fall back to BRIZO_API_KEY, BRIZO_BASE_URL and BRIZO_TIMEOUT,
+   * then to the config file (configFile or BRIZO_CONFIG_FILE)
+   * @param {Object} [config] - Configuration options
+   * @param {string} [config.apiKey] - Your Brizo API key
+   * @param {string} [config.baseUrl='https://api.brizo-cloud.com'] - API base URL (e.g., staging or a local server)
    * @param {number} [config.timeout=30000] - Request timeout in milliseconds
    * @param {Object} [config.headers] - Additional headers for all requests
+   * @param {Object|false} [config.retry] - Retry policy for failed requests (false disables retries)
+   * @param {number} [config.retry.maxAttempts=3] - Total attempts per request, including the first
+   * @param {number} [config.retry.baseDelay=500] - Initial backoff delay in milliseconds
+   * @param {number} [config.retry.maxDelay=30000] - Maximum backoff delay in milliseconds
+   * @param {number} [config.retry.factor=2] - Exponential backoff factor
+   * @param {boolean} [config.retry.jitter=true] - Randomize delays (full jitter)
+   * @param {number} [config.retry.maxRetryAfter=60000] - Give up if the server asks to wait longer than this
+   * @param {number[]} [config.retry.retryOnStatus] - HTTP status codes to retry
+   * @param {string[]} [config.retry.retryOnCodes] - Error codes to retry (e.g., 'NETWORK_ERROR', 'TIMEOUT')
+   * @param {boolean} [config.retry.retryNonIdempotent=false] - Also retry POST/PATCH requests
+   * @param {Function} [config.retry.onRetry] - Called before each retry (error, attempt, delay)
+   * @param {string} [config.configFile] - Path to a JSON config file
+   * @param {string} [config.profile] - Profile to use from the config file (or BRIZO_PROFILE)
+   * @param {boolean} [config.useEnv=true] - Read BRIZO_* environment variables
+   * @param {Function[]} [config.middleware] - Middleware to install, in order (see use())
+   * @param {boolean|Object} [config.folderCache=false] - Cache folder metadata so listings and path lookups skip the API (true, or { ttl } in milliseconds; default TTL 5 minutes)
+   * @param {boolean} [config.quotaGuard=false] - Check the storage quota before uploads so files that cannot fit are never transferred
+   * @param {number} [config.metricsCacheTTL=5000] - Milliseconds a metrics response is reused by brizo.metrics (0 disables the cache)
+   * @param {boolean} [config.strictMimeType=false] - Reject uploads whose content does not match their declared type or extension
    */
-  constructor(config) {
-    if (!config || !config.apiKey) {
-      throw new ValidationError("API key is required. Get your API key from https://brizo-cloud.com/settings/api-keys");
-    }
+  constructor(config = {}) {
+    this.config = resolveConfig(config);
+    this._middleware = [];
+    this._folderCache = config.folderCache || false;
+    this._quotaGuard = Boolean(config.quotaGuard);
+    this._metricsCacheTTL = config.metricsCacheTTL;
+    this._strictMimeType = Boolean(config.strictMimeType);
+    // Extension mappings and content signatures used by uploads (kept when the API key changes)
+    this.mime = new MimeRegistry();
 
-    this.config = {
-      baseUrl: API_BASE_URL,
-      apiKey: config.apiKey,
-      timeout: config.timeout || 30000,
-      headers: config.headers || {},
-    };
+    this._createModules();
 
-    this._http = new HttpClient(this.config);
+    for (const middleware of config.middleware || []) {
+      this.use(middleware);
+    }
+  }
 
-    this.files = new Files(this._http);
-    this.folders = new Folders(this._http);
-    this.metrics = new Metrics(this._http);
+  /**
+   * Add a request/response middleware
+   * Middleware runs in the order it was added, around every API request and upload attempt (retries included).
+   * `ctx` holds the outgoing request ({ type, method, path, query, url, headers, body, timeout, attempt })
+   * and a `state` object for sharing data between middleware. After `await next()` resolves, `ctx.response`
+   * holds { status, headers, data }; if the request fails, `next()` rejects with the error.
+   * Set `ctx.response` without calling `next()` to answer the request yourself.
+   * @param {Function} middleware - async (ctx, next) => {}
+   * @returns {Brizo} This client, for chaining
+   * @example
+   * brizo.use(async (ctx, next) => {
+   *   const started = Date.now();
+   *   ctx.headers['X-Request-Id'] = crypto.randomUUID();
+   *   await next();
+   *   console.log(`${ctx.method} ${ctx.path || ctx.url} ${ctx.response.status} ${Date.now() - started}ms`);
+   * });
+   */
+  use(middleware) {
+    this._http.use(middleware);
+    return this;
   }
 
   /**
@@ -79,27 +124,146 @@ class Brizo {
     }
 
     this.config.apiKey = apiKey;
-    this._http = new HttpClient(this.config);
+    this._createModules();
+  }
 
-    this.files = new Files(this._http);
-    this.folders = new Folders(this._http);
-    this.metrics = new Metrics(this._http);
+  /**
+   * Build the HTTP client and API modules from the current configuration
+   * @private
+   */
+  _createModules() {
+    this._http = new HttpClient({ ...this.config, middleware: this._middleware });
+
+    this.files = new Files(this._http, { quotaGuard: this._quotaGuard, mime: this.mime, strictMimeType: this._strictMimeType });
+    this.folders = new Folders(this._http, this.files, { cache: this._folderCache });
+    this.metrics = new Metrics(this._http, { cacheTTL: this._metricsCacheTTL });
+    this.files.folders = this.folders;
+    this.files.metrics = this.metrics;
   }
 
   /**
    * Test the API connection
+   * @param {Object} [options] - Request options
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Health check response
    */
-  async healthCheck() {
-    const response = await this._http.get("/health");
+  async healthCheck(options = {}) {
+    const response = await this._http.get("/health", pickRequestOptions(options));
     return response.data;
   }
 
+  /**
+   * Sync a local directory with a Brizo folder, transferring or deleting only what differs
+   * Files are compared by size and modification time (or by content hash), and missing remote folders are created
+   * @param {Object} options - Sync options
+   * @param {string} options.local - Local directory
+   * @param {string} [options.remote=''] - Remote folder path (e.g., 'backups/site'; '' for the root)
+   * @param {string} [options.remoteFolderId] - Remote folder ID (instead of remote)
+   * @param {string} [options.direction='upload'] - 'upload' (local to remote), 'download' (remote to local) or 'both' (newer side wins)
+   * @param {boolean} [options.deleteExtraneous=false] - Delete files on the target side that are missing on the source side (one-way only; folders are kept)
+   * @param {boolean} [options.dryRun=false] - Only build the plan, without changing anything
+   * @param {string} [options.compare='timestamp'] - 'timestamp' (size and modification time) or 'hash' (SHA-256 of files with equal sizes; remote files are streamed to hash them)
+   * @param {number} [options.timeTolerance=2000] - Ignore timestamp differences up to this many milliseconds
+   * @param {Function} [options.filter] - Called with each relative path ('photos/a.jpg'); return false to leave the file out
+   * @param {number} [options.concurrency=4] - Number of transfers (and hash comparisons) in flight
+   * @param {Function} [options.onAction] - Called after each applied action with (entry, error)
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Stops the sync; rejects with an AbortError carrying the partial report
+   * @returns {Promise<Object>} Report ({ plan, unchanged, extraneous, conflicts, completed, failed, summary, ... })
+   * @example
+   * const report = await brizo.sync({ local: './dist', remote: 'releases/latest', deleteExtraneous: true });
+   * console.log(report.summary);
+   */
+  async sync(options) {
+    return new Sync(this.files, this.folders).run(options);
+  }
+
+  /**
+   * Resolve a path to the file or folder it names
+   * A trailing slash ('invoices/2024/') only matches folders; '' or '/' is the root folder
+   * @param {string} path - Path such as 'invoices/2024/march.pdf'
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.cache=true] - Reuse folder IDs resolved in the last 30 seconds
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests when aborted
+   * @returns {Promise<Object>} { type: 'file' | 'folder', id, item } (item is null for the root)
+   * @throws {NotFoundError} If a segment is missing, matches several items, or names both a file and a folder
+   */
+  async resolve(path, options = {}) {
+    const parts = splitPath(path);
+    if (parts.length === 0) {
+      return { type: "folder", id: "", item: null };
+    }
+
+    if (path.trimEnd().endsWith("/")) {
+      const folder = await this.folders.getByPath(path, options);
+      return { type: "folder", id: folder.id, item: folder };
+    }
+
+    // Resolve the parent first so a missing parent is reported as such, and the lookups below share its cached ID
+    const name = parts[parts.length - 1];
+    const folderPath = parts.slice(0, -1).join("/");
+    if (folderPath) {
+      await this.folders.getByPath(folderPath, options);
+    }
+
+    const missingAsNull = (error) => {
+      if (error instanceof NotFoundError && error.details && error.details.reason === "missing") return null;
+      throw error;
+    };
+    const [folder, file] = await Promise.all([this.folders.getByPath(path, options).catch(missingAsNull), this.files.getByPath(path, options).catch(missingAsNull)]);
+    const where = folderPath ? `"${folderPath}"` : "the root folder";
+
+    if (folder && file) {
+      throw new NotFoundError(`Path segment "${name}" is ambiguous: ${where} has both a file and a folder with that name`, { path: parts.join("/"), segment: name, reason: "ambiguous", matches: [folder.id, file.id] });
+    }
+    if (folder) {
+      return { type: "folder", id: folder.id, item: folder };
+    }
+    if (file) {
+      return { type: "file", id: file.id, item: file };
+    }
+
+    throw new NotFoundError(`"${name}" not found in ${where}`, { path: parts.join("/"), segment: name, reason: "missing" });
+  }
+
+  /**
+   * Find every file and folder that currently has a public share link
+   * Walks all files and the whole folder tree, so it costs one request per page of files and per folder
+   * @param {Object} [options] - Request options
+   * @param {boolean} [options.includeExpired=false] - Also return links whose expiry has passed
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the remaining requests when aborted
+   * @returns {Promise<Object>} { files, folders } (folders carry path and pathString)
+   * @throws {BrizoError} With code LIST_ERROR if part of the folder tree could not be listed
+   * @example
+   * // Revoke every public link
+   * const { files, folders } = await brizo.listShared();
+   * for (const file of files) await brizo.files.unshare(file.id);
+   * for (const folder of folders) await brizo.folders.unshare(folder.id);
+   */
+  async listShared(options = {}) {
+    const requestOptions = pickRequestOptions(options);
+    const isExposed = options.includeExpired ? (item) => Boolean(item.isShared) : isSharedNow;
+
+    const [files, folders] = await Promise.all([this.files.listAll(requestOptions), this.folders.listAll("", { ...requestOptions, maxDepth: Infinity, cache: false })]);
+
+    if (folders._errors) {
+      throw new BrizoError("Failed to list folders", null, "LIST_ERROR", { errors: folders._errors });
+    }
+
+    return {
+      files: files.filter(isExposed),
+      folders: folders.filter(isExposed),
+    };
+  }
+
   /**
    * Quick upload helper - upload a file with minimal options
-   * @param {string|Buffer} file - File path or Buffer
-   * @param {string} [filename] - Filename (required for Buffer)
-   * @param {string} [folderId] - Target folder ID
+   * @param {string|Buffer|ReadableStream} file - File path, Buffer or Readable stream
+   * @param {string} [filename] - Filename (required for Buffer and streams without a path)
+   * @param {string} [folderId] - Target folder ID or path
    * @returns {Promise<Object>} Uploaded file
    */
   async upload(file, filename = null, folderId = null) {
@@ -140,6 +304,11 @@ module.exports.ValidationError = ValidationError;
 module.exports.RateLimitError = RateLimitError;
 module.exports.LimitExceededError = LimitExceededError;
 module.exports.UploadError = UploadError;
+module.exports.DownloadError = DownloadError;
+module.exports.IntegrityError = IntegrityError;
+module.exports.AbortError = AbortError;
+
+module.exports.localKeyProvider = localKeyProvider;
 
 module.exports.errors = {
   BrizoError,
@@ -149,4 +318,7 @@ module.exports.errors = {
   RateLimitError,
   LimitExceededError,
   UploadError,
+  DownloadError,
+  IntegrityError,
+  AbortError,
 };
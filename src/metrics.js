@@ -3,15 +3,26 @@
  * Handles usage metrics and statistics
  */
 
+const UsageWatcher = require("./usage-watcher");
+const { ValidationError } = require("./errors");
+const { pickRequestOptions } = require("./utils");
+
+const DAY = 24 * 60 * 60 * 1000;
+
 class Metrics {
   /**
    * @param {import('./http')} httpClient - HTTP client instance
+   * @param {Object} [options] - Module options
+   * @param {number} [options.cacheTTL=5000] - Milliseconds a metrics response is reused (0 disables the cache)
    */
-  constructor(httpClient) {
+  constructor(httpClient, options = {}) {
     this.http = httpClient;
     this._cache = null;
     this._cacheExpiry = 0;
-    this._cacheTTL = 5000;
+    this._cacheTTL = options.cacheTTL !== undefined ? options.cacheTTL : 5000;
+    if (typeof this._cacheTTL !== "number" || !(this._cacheTTL >= 0)) {
+      throw new ValidationError("metricsCacheTTL must be a non-negative number of milliseconds");
+    }
   }
 
   /**
@@ -26,6 +37,8 @@ class Metrics {
    * Get usage metrics and statistics
    * @param {Object} [options] - Options
    * @param {boolean} [options.useCache=true] - Whether to use cached data
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
    * @returns {Promise<Object>} Metrics data including storage, uploads, and chart data
    */
   async get(options = {}) {
@@ -36,7 +49,7 @@ class Metrics {
       return this._cache;
     }
 
-    const response = await this.http.get("/v1/metrics");
+    const response = await this.http.get("/v1/metrics", pickRequestOptions(options));
     this._cache = response.data.data;
     this._cacheExpiry = now + this._cacheTTL;
 
@@ -45,10 +58,11 @@ class Metrics {
 
   /**
    * Get storage usage information
+   * @param {Object} [options] - Options (same as get)
    * @returns {Promise<Object>} Storage usage data
    */
-  async getStorageUsage() {
-    const metrics = await this.get();
+  async getStorageUsage(options = {}) {
+    const metrics = await this.get(options);
     return {
       used: metrics.storageUsedRaw,
       usedFormatted: metrics.storageUsed,
@@ -60,10 +74,11 @@ class Metrics {
 
   /**
    * Get API requests usage information
+   * @param {Object} [options] - Options (same as get)
    * @returns {Promise<Object>} API requests usage data
    */
-  async getApiRequestsUsage() {
-    const metrics = await this.get();
+  async getApiRequestsUsage(options = {}) {
+    const metrics = await this.get(options);
     return {
       used: metrics.apiRequests,
       limit: metrics.apiRequestsLimit,
@@ -74,15 +89,117 @@ class Metrics {
 
   /**
    * Get upload statistics
+   * @param {Object} [options] - Options (same as get)
    * @returns {Promise<Object>} Upload statistics
    */
-  async getUploadStats() {
-    const metrics = await this.get();
+  async getUploadStats(options = {}) {
+    const metrics = await this.get(options);
     return {
       totalUploads: metrics.totalUploads,
       filesStored: metrics.filesStored,
     };
   }
+
+  /**
+   * Poll usage and emit events when storage or API request usage crosses a percentage of its limit
+   * Events: 'storage:threshold' and 'apiRequests:threshold' ({ type, threshold, percentage, previousPercentage, used, limit }),
+   * 'usage' after every check, 'error' when a check fails (only if a listener is attached) and 'stop'.
+   * A threshold fires once when usage reaches it (including on the first check) and again only after usage drops back below it.
+   * @param {Object} [options] - Watch options
+   * @param {number} [options.interval=60000] - Milliseconds between checks
+   * @param {Object} [options.thresholds] - Percentages per limit (defaults to [80, 90, 100]; false disables one)
+   * @param {number|number[]|false} [options.thresholds.storage] - Storage thresholds
+   * @param {number|number[]|false} [options.thresholds.apiRequests] - API request thresholds
+   * @param {Object|false} [options.retry] - Retry policy for each check
+   * @param {AbortSignal} [options.signal] - Stops the watcher when aborted
+   * @returns {UsageWatcher} Running watcher (call stop() to end it; the timer between checks does not keep the process alive)
+   * @example
+   * const watcher = brizo.metrics.watch({ interval: 5 * 60 * 1000, thresholds: { storage: [80, 95] } });
+   * watcher.on('storage:threshold', ({ threshold, percentage }) => alert(`Storage at ${percentage.toFixed(1)}% (passed ${threshold}%)`));
+   * watcher.on('error', (error) => console.error('Usage check failed', error));
+   */
+  watch(options = {}) {
+    return new UsageWatcher(this, options).start();
+  }
+
+  /**
+   * Estimate when the storage and API request limits will run out at the current pace
+   * Storage growth is the average number of uploads per day in the chart data times the average stored file size.
+   * API requests assume a counter that resets at the start of each (UTC) month and grows at the month-to-date rate.
+   * @param {Object} [options] - Options (same as get)
+   * @param {number} [options.days] - Only use the most recent days of chart data (defaults to all of it)
+   * @param {boolean} [options.useCache=true] - Whether to use cached data
+   * @param {Object|false} [options.retry] - Retry policy override
+   * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+   * @returns {Promise<Object>} { storage, apiRequests, generatedAt }; exhaustedAt and daysRemaining are null when there is no limit or no growth
+   */
+  async forecast(options = {}) {
+    if (options.days !== undefined && (!Number.isInteger(options.days) || options.days < 1)) {
+      throw new ValidationError("days must be a positive integer");
+    }
+
+    const metrics = await this.get(options);
+    const now = Date.now();
+
+    let uploadsPerDay = metrics.uploadsChartData || [];
+    let labels = metrics.chartLabels || [];
+    if (options.days) {
+      uploadsPerDay = uploadsPerDay.slice(-options.days);
+      labels = labels.slice(-uploadsPerDay.length);
+    }
+
+    // Labels are dates; fall back to one day per entry when they cannot be parsed
+    const first = Date.parse(labels[0]);
+    const last = Date.parse(labels[labels.length - 1]);
+    const days = Number.isFinite(first) && Number.isFinite(last) && last >= first ? Math.round((last - first) / DAY) + 1 : uploadsPerDay.length;
+
+    const uploads = uploadsPerDay.reduce((sum, count) => sum + (Number(count) || 0), 0);
+    const averageFileSize = metrics.filesStored ? metrics.storageUsedRaw / metrics.filesStored : 0;
+    const storageGrowth = days ? (uploads / days) * averageFileSize : 0;
+
+    const monthStart = new Date(now);
+    monthStart.setUTCDate(1);
+    monthStart.setUTCHours(0, 0, 0, 0);
+    const resetsAt = new Date(monthStart);
+    resetsAt.setUTCMonth(resetsAt.getUTCMonth() + 1);
+    const requestRate = metrics.apiRequests / Math.max((now - monthStart.getTime()) / DAY, 1 / 24);
+
+    const storage = {
+      ...this._runway(metrics.storageUsedRaw, metrics.storageLimitRaw, storageGrowth, now),
+      dailyGrowth: storageGrowth,
+      basis: { days, uploads, averageFileSize },
+    };
+
+    const apiRequests = {
+      ...this._runway(metrics.apiRequests, metrics.apiRequestsLimit, requestRate, now),
+      dailyRate: requestRate,
+      resetsAt: resetsAt.toISOString(),
+    };
+    apiRequests.beforeReset = apiRequests.exhaustedAt !== null && Date.parse(apiRequests.exhaustedAt) < resetsAt.getTime();
+
+    return { storage, apiRequests, generatedAt: new Date(now).toISOString() };
+  }
+
+  /**
+   * Remaining amount and time until a limit is reached at a daily rate
+   * @private
+   */
+  _runway(used, limit, perDay, now) {
+    if (!limit) {
+      return { used, limit: null, remaining: null, daysRemaining: null, exhaustedAt: null };
+    }
+
+    const remaining = Math.max(0, limit - used);
+    if (remaining === 0) {
+      return { used, limit, remaining, daysRemaining: 0, exhaustedAt: new Date(now).toISOString() };
+    }
+    if (!(perDay > 0)) {
+      return { used, limit, remaining, daysRemaining: null, exhaustedAt: null };
+    }
+
+    const daysRemaining = remaining / perDay;
+    return { used, limit, remaining, daysRemaining, exhaustedAt: new Date(now + daysRemaining * DAY).toISOString() };
+  }
 }
 
 module.exports = Metrics;
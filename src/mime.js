@@ -0,0 +1,429 @@
+/**
+ * MIME type registry for Brizo SDK
+ * Maps file extensions to MIME types and detects the real type of content from its first bytes
+ */
+
+const path = require("node:path");
+const { ValidationError } = require("./errors");
+
+/**
+ * Number of leading bytes needed to recognize every built-in signature
+ */
+const SNIFF_BYTES = 4100;
+
+const MIME_TYPES = Object.freeze({
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  png: "image/png",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+  ico: "image/x-icon",
+  bmp: "image/bmp",
+  tiff: "image/tiff",
+  tif: "image/tiff",
+  heic: "image/heic",
+  heif: "image/heif",
+  avif: "image/avif",
+  pdf: "application/pdf",
+  doc: "application/msword",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xls: "application/vnd.ms-excel",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  ppt: "application/vnd.ms-powerpoint",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  odt: "application/vnd.oasis.opendocument.text",
+  ods: "application/vnd.oasis.opendocument.spreadsheet",
+  txt: "text/plain",
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  csv: "text/csv",
+  xml: "text/xml",
+  md: "text/markdown",
+  js: "application/javascript",
+  mjs: "application/javascript",
+  json: "application/json",
+  ts: "text/typescript",
+  py: "text/x-python",
+  rb: "text/x-ruby",
+  java: "text/x-java",
+  c: "text/x-c",
+  cpp: "text/x-c++",
+  h: "text/x-c",
+  hpp: "text/x-c++",
+  go: "text/x-go",
+  rs: "text/x-rust",
+  php: "application/x-php",
+  sh: "application/x-sh",
+  yaml: "text/yaml",
+  yml: "text/yaml",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  ogg: "audio/ogg",
+  m4a: "audio/mp4",
+  flac: "audio/flac",
+  aac: "audio/aac",
+  mp4: "video/mp4",
+  "3gp": "video/3gpp",
+  "3g2": "video/3gpp2",
+  webm: "video/webm",
+  avi: "video/x-msvideo",
+  mov: "video/quicktime",
+  mkv: "video/x-matroska",
+  wmv: "video/x-ms-wmv",
+  zip: "application/zip",
+  rar: "application/x-rar-compressed",
+  "7z": "application/x-7z-compressed",
+  tar: "application/x-tar",
+  gz: "application/gzip",
+  bz2: "application/x-bzip2",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  ttf: "font/ttf",
+  otf: "font/otf",
+  eot: "application/vnd.ms-fontobject",
+  exe: "application/x-msdownload",
+  dll: "application/x-msdownload",
+  dmg: "application/x-apple-diskimage",
+  iso: "application/x-iso9660-image",
+  apk: "application/vnd.android.package-archive",
+});
+
+const OOXML = {
+  "word/": "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  "xl/": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "ppt/": "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+};
+
+// ISO base media (ftyp) major brand -> type; brands not listed are left undetected
+const FTYP_BRANDS = {
+  isom: "video/mp4",
+  iso2: "video/mp4",
+  iso4: "video/mp4",
+  iso5: "video/mp4",
+  iso6: "video/mp4",
+  mp41: "video/mp4",
+  mp42: "video/mp4",
+  avc1: "video/mp4",
+  dash: "video/mp4",
+  mmp4: "video/mp4",
+  "M4V ": "video/mp4",
+  M4VH: "video/mp4",
+  M4VP: "video/mp4",
+  "f4v ": "video/mp4",
+  MSNV: "video/mp4",
+  NDAS: "video/mp4",
+  XAVC: "video/mp4",
+  "M4A ": "audio/mp4",
+  "M4B ": "audio/mp4",
+  "M4P ": "audio/mp4",
+  "qt  ": "video/quicktime",
+  "3gp4": "video/3gpp",
+  "3gp5": "video/3gpp",
+  "3gp6": "video/3gpp",
+  "3gg6": "video/3gpp",
+  "3g2a": "video/3gpp2",
+  heic: "image/heic",
+  heix: "image/heic",
+  heim: "image/heic",
+  heis: "image/heic",
+  hevc: "image/heic",
+  hevx: "image/heic",
+  avif: "image/avif",
+  avis: "image/avif",
+};
+
+// Generic container type -> declared types whose files use that container
+const CONTAINERS = {
+  "application/zip": ["application/vnd.openxmlformats-officedocument.wordprocessingml.document", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/vnd.openxmlformats-officedocument.presentationml.presentation", "application/vnd.oasis.opendocument.text", "application/vnd.oasis.opendocument.spreadsheet", "application/vnd.oasis.opendocument.presentation", "application/vnd.android.package-archive", "application/java-archive", "application/epub+zip", "application/x-zip-compressed"],
+  "application/x-cfb": ["application/msword", "application/vnd.ms-excel", "application/vnd.ms-powerpoint", "application/x-msi"],
+  "video/mp4": ["audio/mp4", "video/quicktime", "audio/x-m4a"],
+  "audio/mp4": ["video/mp4", "audio/x-m4a"],
+  "video/x-matroska": ["video/webm", "audio/webm"],
+  "video/webm": ["video/x-matroska", "audio/webm"],
+  "audio/ogg": ["video/ogg", "application/ogg", "audio/opus"],
+  "application/gzip": ["application/x-gzip", "application/x-tar"],
+  "application/x-msdownload": ["application/x-dosexec", "application/vnd.microsoft.portable-executable"],
+};
+
+/**
+ * Check whether the sample holds the given bytes at an offset
+ * @private
+ */
+function startsWith(sample, bytes, offset = 0) {
+  if (sample.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (sample[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+}
+
+/**
+ * Check whether the sample holds the given ASCII text at an offset
+ * @private
+ */
+function hasText(sample, text, offset = 0) {
+  return startsWith(sample, Buffer.from(text, "latin1"), offset);
+}
+
+/**
+ * Built-in detection, from the most to the least specific
+ * @private
+ */
+function sniffBuiltIn(sample) {
+  if (startsWith(sample, [0xff, 0xd8, 0xff])) return "image/jpeg";
+  if (startsWith(sample, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return "image/png";
+  if (hasText(sample, "GIF87a") || hasText(sample, "GIF89a")) return "image/gif";
+  if (hasText(sample, "II*\0") || hasText(sample, "MM\0*")) return "image/tiff";
+  if (startsWith(sample, [0x00, 0x00, 0x01, 0x00]) && sample.length >= 6 && sample[4] + sample[5] > 0) return "image/x-icon";
+  // "BM" alone is common in text, so also require a known DIB header size
+  if (hasText(sample, "BM") && sample.length >= 18 && [12, 40, 52, 56, 64, 108, 124].includes(sample.readUInt32LE(14))) return "image/bmp";
+  if (hasText(sample, "%PDF-")) return "application/pdf";
+
+  if (hasText(sample, "RIFF") && sample.length >= 12) {
+    if (hasText(sample, "WEBP", 8)) return "image/webp";
+    if (hasText(sample, "WAVE", 8)) return "audio/wav";
+    if (hasText(sample, "AVI ", 8)) return "video/x-msvideo";
+  }
+
+  if (hasText(sample, "PK\x03\x04") || hasText(sample, "PK\x05\x06")) return sniffZip(sample);
+  if (startsWith(sample, [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1])) return "application/x-cfb";
+  if (hasText(sample, "Rar!\x1a\x07")) return "application/x-rar-compressed";
+  if (startsWith(sample, [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c])) return "application/x-7z-compressed";
+  if (startsWith(sample, [0x1f, 0x8b])) return "application/gzip";
+  if (hasText(sample, "BZh") && sample[3] >= 0x31 && sample[3] <= 0x39) return "application/x-bzip2";
+  if (hasText(sample, "ustar", 257)) return "application/x-tar";
+
+  if (hasText(sample, "ftyp", 4)) return sniffFtyp(sample);
+  if (startsWith(sample, [0x1a, 0x45, 0xdf, 0xa3])) {
+    return sample.subarray(0, 64).includes("webm") ? "video/webm" : "video/x-matroska";
+  }
+  if (startsWith(sample, [0x30, 0x26, 0xb2, 0x75, 0x8e, 0x66, 0xcf, 0x11])) return "video/x-ms-wmv";
+  if (hasText(sample, "OggS")) return "audio/ogg";
+  if (hasText(sample, "fLaC")) return "audio/flac";
+  // A UTF-16 byte order mark looks like an audio sync word, so text is ruled out first
+  if (startsWith(sample, [0xef, 0xbb, 0xbf]) || startsWith(sample, [0xff, 0xfe]) || startsWith(sample, [0xfe, 0xff])) return null;
+  if (isId3Header(sample)) return "audio/mpeg";
+  const audioFrame = sniffAudioFrame(sample);
+  if (audioFrame) return audioFrame;
+
+  if (hasText(sample, "wOFF")) return "font/woff";
+  if (hasText(sample, "wOF2")) return "font/woff2";
+  if (hasText(sample, "OTTO") && sample[4] === 0x00) return "font/otf";
+  if (startsWith(sample, [0x00, 0x01, 0x00, 0x00, 0x00])) return "font/ttf";
+
+  // "MZ" alone is common in text, so also require the PE header it points to
+  if (hasText(sample, "MZ") && sample.length >= 64) {
+    const peOffset = sample.readUInt32LE(60);
+    if (hasText(sample, "PE\0\0", peOffset)) return "application/x-msdownload";
+  }
+
+  return null;
+}
+
+/**
+ * Check for a complete ID3v2 tag header: "ID3", version 2-4, no undefined flags and a syncsafe size
+ * @private
+ */
+function isId3Header(sample) {
+  if (!hasText(sample, "ID3") || sample.length < 10) return false;
+  if (sample[3] < 2 || sample[3] > 4 || sample[4] === 0xff || (sample[5] & 0x0f) !== 0) return false;
+  return sample.subarray(6, 10).every((byte) => byte < 0x80);
+}
+
+/**
+ * Detect an MPEG audio frame or an AAC (ADTS) frame from its header
+ * Both start with a sync word; the layer bits tell them apart, and reserved field values rule out look-alikes
+ * @private
+ */
+function sniffAudioFrame(sample) {
+  if (sample.length < 3 || sample[0] !== 0xff || (sample[1] & 0xe0) !== 0xe0) return null;
+
+  const layer = (sample[1] >> 1) & 0x03;
+  if (layer === 0) {
+    // ADTS has a 12-bit sync word and a sampling frequency index below 13
+    return (sample[1] & 0xf0) === 0xf0 && ((sample[2] >> 2) & 0x0f) < 13 ? "audio/aac" : null;
+  }
+
+  const version = (sample[1] >> 3) & 0x03;
+  const bitrate = sample[2] >> 4;
+  const sampleRate = (sample[2] >> 2) & 0x03;
+  return version !== 1 && bitrate !== 0x0f && sampleRate !== 3 ? "audio/mpeg" : null;
+}
+
+/**
+ * Tell ISO base media formats (MP4, QuickTime, 3GP, HEIF) apart by the brands of their ftyp box
+ * @private
+ */
+function sniffFtyp(sample) {
+  const major = sample.toString("latin1", 8, 12);
+  if (Object.hasOwn(FTYP_BRANDS, major)) return FTYP_BRANDS[major];
+  if (major !== "mif1" && major !== "msf1") return null;
+
+  // Generic HEIF names the actual codec among the compatible brands that follow the minor version
+  const end = Math.min(sample.length, sample.readUInt32BE(0));
+  for (let offset = 16; offset + 4 <= end; offset += 4) {
+    const type = FTYP_BRANDS[sample.toString("latin1", offset, offset + 4)];
+    if (type === "image/avif" || type === "image/heic") return type;
+  }
+  return "image/heif";
+}
+
+/**
+ * Tell ZIP-based formats apart by their first entries
+ * @private
+ */
+function sniffZip(sample) {
+  // OpenDocument stores its type uncompressed as the first entry ("mimetype")
+  if (hasText(sample, "mimetype", 30)) {
+    const type = sample.toString("latin1", 38, 38 + 80).match(/^application\/[\w.+-]+/);
+    if (type) return type[0];
+  }
+
+  const text = sample.toString("latin1");
+  if (text.includes("[Content_Types].xml") || text.includes("_rels/.rels")) {
+    for (const [folder, type] of Object.entries(OOXML)) {
+      if (text.includes(folder)) return type;
+    }
+  }
+  if (text.includes("AndroidManifest.xml")) return "application/vnd.android.package-archive";
+  if (text.includes("META-INF/MANIFEST.MF")) return "application/java-archive";
+
+  return "application/zip";
+}
+
+/**
+ * Lower-case a MIME type and drop its parameters
+ * @private
+ */
+function normalize(mimeType) {
+  return String(mimeType).split(";")[0].trim().toLowerCase();
+}
+
+class MimeRegistry {
+  constructor() {
+    this._types = new Map(Object.entries(MIME_TYPES));
+    // Custom signatures, checked before the built-in ones (newest first)
+    this._signatures = [];
+  }
+
+  /**
+   * Register or override extension mappings
+   * @param {string|Object} extension - Extension (with or without the dot), or an { extension: mimeType } map
+   * @param {string} [mimeType] - MIME type for the extension
+   * @returns {MimeRegistry} This registry, for chaining
+   * @example
+   * brizo.mime.register('jxl', 'image/jxl');
+   * brizo.mime.register({ '.log': 'text/plain', ts: 'application/typescript' });
+   */
+  register(extension, mimeType) {
+    const entries = typeof extension === "object" && extension !== null ? Object.entries(extension) : [[extension, mimeType]];
+
+    for (const [ext, type] of entries) {
+      const key = typeof ext === "string" ? ext.trim().replace(/^\./, "").toLowerCase() : "";
+      if (!key) {
+        throw new ValidationError("Extension is required");
+      }
+      if (typeof type !== "string" || !type.includes("/")) {
+        throw new ValidationError(`Invalid MIME type for .${key}: ${type}`);
+      }
+      this._types.set(key, type);
+    }
+
+    return this;
+  }
+
+  /**
+   * Teach the sniffer a new content signature (checked before the built-in ones)
+   * @param {string} mimeType - Type reported when the signature matches
+   * @param {Object|Function} signature - { bytes, offset = 0 } (bytes: Buffer, byte array or latin1 string), or a function (sample: Buffer) => boolean
+   * @returns {MimeRegistry} This registry, for chaining
+   * @example
+   * brizo.mime.registerSignature('image/jxl', { bytes: [0xff, 0x0a] });
+   */
+  registerSignature(mimeType, signature) {
+    if (typeof mimeType !== "string" || !mimeType.includes("/")) {
+      throw new ValidationError(`Invalid MIME type: ${mimeType}`);
+    }
+
+    let test = signature;
+    if (typeof signature !== "function") {
+      const bytes = signature && (typeof signature.bytes === "string" ? Buffer.from(signature.bytes, "latin1") : signature.bytes);
+      const offset = (signature && signature.offset) || 0;
+      if (!bytes || bytes.length === 0 || !Number.isInteger(offset) || offset < 0 || offset + bytes.length > SNIFF_BYTES) {
+        throw new ValidationError(`Signature must be a function or { bytes, offset } within the first ${SNIFF_BYTES} bytes`);
+      }
+      test = (sample) => startsWith(sample, bytes, offset);
+    }
+
+    this._signatures.unshift({ mimeType, test });
+    return this;
+  }
+
+  /**
+   * MIME type registered for a filename's extension
+   * @param {string} filename - File name or path
+   * @returns {string|null} MIME type, or null if the extension is unknown
+   */
+  lookup(filename) {
+    const ext = path
+      .extname(filename || "")
+      .toLowerCase()
+      .slice(1);
+    return (ext && this._types.get(ext)) || null;
+  }
+
+  /**
+   * Detect the MIME type of content from its first bytes
+   * Text formats have no signature and are not detected
+   * @param {Buffer} sample - Leading bytes of the content (SNIFF_BYTES covers every built-in signature)
+   * @returns {string|null} MIME type, or null if the content is not recognized
+   */
+  sniff(sample) {
+    if (!sample || sample.length === 0) return null;
+
+    for (const { mimeType, test } of this._signatures) {
+      if (test(sample)) return mimeType;
+    }
+    return sniffBuiltIn(sample);
+  }
+
+  /**
+   * Whether content detected as one type may be labelled with another
+   * Container formats are compatible with the formats built on them (e.g. a .docx is a ZIP archive)
+   * @param {string} declared - Declared MIME type
+   * @param {string} detected - Detected MIME type
+   * @returns {boolean}
+   */
+  isCompatible(declared, detected) {
+    const a = normalize(declared);
+    const b = normalize(detected);
+    return a === b || (CONTAINERS[b] || []).includes(a) || (CONTAINERS[a] || []).includes(b);
+  }
+
+  /**
+   * Work out the MIME type of an upload from its name, its content and an optional declared type
+   * Without a declared type, the detected type wins over the extension when the two disagree
+   * @param {string} filename - File name
+   * @param {Buffer|null} sample - Leading bytes of the content (null when they cannot be read)
+   * @param {string} [declared] - MIME type given by the caller
+   * @returns {Object} { mimeType, declaredType, detectedType, mismatch }
+   */
+  detect(filename, sample, declared = null) {
+    const declaredType = declared || this.lookup(filename);
+    const detectedType = sample ? this.sniff(sample) : null;
+    const mismatch = Boolean(declaredType && detectedType && !this.isCompatible(declaredType, detectedType));
+
+    let mimeType = declaredType || detectedType || "application/octet-stream";
+    if (mismatch && !declared) {
+      mimeType = detectedType;
+    }
+
+    return { mimeType, declaredType, detectedType, mismatch };
+  }
+}
+
+module.exports = MimeRegistry;
+module.exports.MIME_TYPES = MIME_TYPES;
+module.exports.SNIFF_BYTES = SNIFF_BYTES;
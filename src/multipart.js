@@ -0,0 +1,369 @@
+/**
+ * Chunked (multipart) upload support for Brizo SDK
+ * Splits a file into parts, uploads them in parallel and tracks a resume token
+ */
+
+const fs = require("node:fs");
+const fsPromises = require("node:fs/promises");
+const ProgressTracker = require("./progress");
+const { checksumAlgorithms, hashBuffer, hashFile } = require("./checksum");
+const { AbortError, UploadError, ValidationError } = require("./errors");
+const { pickRequestOptions } = require("./utils");
+
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const RESUME_TOKEN_VERSION = 1;
+
+class MultipartUpload {
+  /**
+   * @param {import('./http')} httpClient - HTTP client instance
+   * @param {Object} source - Resolved upload source (see Files#_resolveSource)
+   * @param {Object} options - Upload options
+   * @param {Object} [state] - Resume token of a previously started upload
+   */
+  constructor(httpClient, source, options, state = null) {
+    const chunked = typeof options.chunked === "object" && options.chunked !== null ? options.chunked : {};
+
+    this.http = httpClient;
+    this.source = source;
+    this.options = options;
+    this.concurrency = chunked.concurrency || 4;
+    this.partRetries = chunked.partRetries !== undefined ? chunked.partRetries : 3;
+    this.resumeFile = chunked.resumeFile || null;
+    this.onResumeToken = chunked.onResumeToken || null;
+    this.requestOptions = pickRequestOptions(options);
+    this._saving = Promise.resolve();
+    this.state = state || {
+      version: RESUME_TOKEN_VERSION,
+      key: null,
+      uploadId: null,
+      filename: source.filename,
+      mimeType: source.mimeType,
+      size: source.size,
+      folderId: options.folderId || "",
+      partSize: MultipartUpload.getPartSize(source.size, chunked.partSize),
+      filePath: source.persistent ? source.filePath : null,
+      mtimeMs: source.persistent ? source.mtimeMs : null,
+      checksums: null,
+      completedParts: [],
+    };
+  }
+
+  /**
+   * Pick a part size that respects the minimum part size and the maximum number of parts
+   * @param {number} size - File size in bytes
+   * @param {number} [requested] - Requested part size in bytes
+   * @returns {number} Part size in bytes
+   */
+  static getPartSize(size, requested) {
+    const partSize = Math.max(MIN_PART_SIZE, requested || DEFAULT_PART_SIZE);
+    return Math.max(partSize, Math.ceil(size / MAX_PARTS));
+  }
+
+  /**
+   * Parse and validate a resume token
+   * @param {Object|string} token - Token object, JSON string or path to a token file
+   * @returns {Promise<Object>} Resume token
+   */
+  static async readToken(token) {
+    let parsed = token;
+
+    if (typeof token === "string") {
+      let json = token;
+      if (!token.trim().startsWith("{")) {
+        try {
+          json = await fsPromises.readFile(token, "utf8");
+        } catch (err) {
+          if (err.code === "ENOENT") {
+            throw new ValidationError(`Resume token file not found: ${token}`);
+          }
+          throw err;
+        }
+      }
+
+      try {
+        parsed = JSON.parse(json);
+      } catch {
+        throw new ValidationError("Resume token is not valid JSON");
+      }
+    }
+
+    if (!parsed || parsed.version !== RESUME_TOKEN_VERSION || !parsed.key || !parsed.uploadId || !Array.isArray(parsed.completedParts)) {
+      throw new ValidationError("Invalid resume token");
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Number of parts the file is split into
+   * @type {number}
+   */
+  get partCount() {
+    return Math.max(1, Math.ceil(this.state.size / this.state.partSize));
+  }
+
+  /**
+   * Upload all missing parts and complete the upload
+   * @returns {Promise<Object>} Uploaded file record
+   */
+  async run() {
+    const algorithms = checksumAlgorithms(this.options.checksum);
+    if (algorithms.length > 0 && !this.state.checksums) {
+      // Parts are sent out of order, so the whole content is hashed before the first part
+      this.state.checksums = this.source.buffer ? hashBuffer(this.source.buffer, algorithms) : await hashFile(this.source.filePath, algorithms);
+    }
+
+    if (!this.state.uploadId) {
+      await this._initiate();
+    }
+
+    const done = new Set(this.state.completedParts.map((part) => part.partNumber));
+    const missing = [];
+    for (let partNumber = 1; partNumber <= this.partCount; partNumber++) {
+      if (!done.has(partNumber)) missing.push(partNumber);
+    }
+
+    const partLoaded = new Map();
+    let uploadedBytes = 0;
+    for (const partNumber of done) {
+      uploadedBytes += this._partRange(partNumber).length;
+    }
+
+    const tracker = this.options.onProgress ? new ProgressTracker(this.options.onProgress, { total: this.state.size, interval: this.options.progressInterval, initial: uploadedBytes }) : null;
+
+    if (tracker) {
+      tracker.update(uploadedBytes, true);
+    }
+
+    if (missing.length > 0) {
+      const urls = await this._presignParts(missing);
+      await this._uploadParts(missing, urls, (partNumber, loaded) => {
+        const previous = partLoaded.get(partNumber) || 0;
+        if (loaded === null) {
+          partLoaded.delete(partNumber);
+          uploadedBytes += this._partRange(partNumber).length - previous;
+        } else {
+          partLoaded.set(partNumber, loaded);
+          uploadedBytes += loaded - previous;
+        }
+        if (tracker) tracker.update(uploadedBytes);
+      });
+    }
+
+    if (tracker) {
+      tracker.complete();
+    }
+
+    const completeResponse = await this.http.post(
+      "/v1/upload/complete",
+      {
+        key: this.state.key,
+        uploadId: this.state.uploadId,
+        parts: [...this.state.completedParts].sort((a, b) => a.partNumber - b.partNumber),
+        filename: this.state.filename,
+        size: this.state.size,
+        type: this.state.mimeType,
+        folderId: this.state.folderId,
+        ...this.state.checksums,
+      },
+      this.requestOptions,
+    );
+
+    if (this.resumeFile) {
+      await fsPromises.unlink(this.resumeFile).catch(() => {});
+    }
+
+    return completeResponse.data.data.file;
+  }
+
+  /**
+   * Start a multipart upload and record its key and upload ID
+   * @private
+   */
+  async _initiate() {
+    const response = await this.http.post(
+      "/v1/upload/presign",
+      {
+        filename: this.state.filename,
+        fileType: this.state.mimeType,
+        size: this.state.size,
+        folderId: this.state.folderId,
+        multipart: true,
+        partSize: this.state.partSize,
+        partCount: this.partCount,
+        ...this.state.checksums,
+      },
+      this.requestOptions,
+    );
+
+    const { key, uploadId } = response.data.data;
+    if (!key || !uploadId) {
+      throw new UploadError("Server did not start a multipart upload", { filename: this.state.filename });
+    }
+
+    this.state.key = key;
+    this.state.uploadId = uploadId;
+    await this._saveToken();
+  }
+
+  /**
+   * Get fresh presigned URLs for the given parts
+   * @private
+   */
+  async _presignParts(partNumbers) {
+    const response = await this.http.post(
+      "/v1/upload/presign",
+      {
+        key: this.state.key,
+        uploadId: this.state.uploadId,
+        partNumbers,
+      },
+      this.requestOptions,
+    );
+
+    const urls = new Map();
+    for (const part of response.data.data.parts || []) {
+      urls.set(part.partNumber, part);
+    }
+
+    return urls;
+  }
+
+  /**
+   * Upload parts with a fixed number in flight, stopping at the first part that exhausts its retries
+   * @private
+   */
+  async _uploadParts(partNumbers, urls, onPartProgress) {
+    const queue = [...partNumbers];
+    let failure = null;
+
+    const worker = async () => {
+      while (queue.length > 0 && !failure) {
+        const partNumber = queue.shift();
+        try {
+          await this._uploadPart(partNumber, urls.get(partNumber), onPartProgress);
+        } catch (error) {
+          failure = failure || { partNumber, error };
+        }
+      }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, partNumbers.length); i++) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+
+    if (failure && failure.error instanceof AbortError) {
+      throw new AbortError("Chunked upload aborted", {
+        filename: this.state.filename,
+        key: this.state.key,
+        resumeToken: this.token(),
+      });
+    }
+
+    if (failure) {
+      throw new UploadError(`Failed to upload part ${failure.partNumber}: ${failure.error.message}`, {
+        filename: this.state.filename,
+        size: this.state.size,
+        key: this.state.key,
+        partNumber: failure.partNumber,
+        resumeToken: this.token(),
+      });
+    }
+  }
+
+  /**
+   * Upload a single part and record its ETag
+   * @private
+   */
+  async _uploadPart(partNumber, presigned, onPartProgress) {
+    if (!presigned || !presigned.url) {
+      throw new UploadError(`No upload URL returned for part ${partNumber}`);
+    }
+
+    const range = this._partRange(partNumber);
+    const retry = this.requestOptions.retry === false ? false : { ...this.requestOptions.retry, maxAttempts: this.partRetries + 1 };
+
+    const response = await this.http.putRaw(
+      presigned.url,
+      this._partBody(range),
+      {
+        "Content-Type": this.state.mimeType,
+        "Content-Length": range.length,
+        ...presigned.headers,
+      },
+      {
+        retry,
+        signal: this.requestOptions.signal,
+        onProgress: (loaded) => onPartProgress(partNumber, loaded),
+      },
+    );
+
+    const etag = response.headers.etag || null;
+    this.state.completedParts.push({ partNumber, etag });
+    onPartProgress(partNumber, null);
+    await this._saveToken();
+  }
+
+  /**
+   * Byte range covered by a part
+   * @private
+   */
+  _partRange(partNumber) {
+    const start = (partNumber - 1) * this.state.partSize;
+    const end = Math.min(start + this.state.partSize, this.state.size);
+    return { start, end, length: end - start };
+  }
+
+  /**
+   * Body (or body factory) for a part, read lazily from the source
+   * @private
+   */
+  _partBody(range) {
+    if (this.source.buffer) {
+      return this.source.buffer.subarray(range.start, range.end);
+    }
+
+    const filePath = this.source.filePath;
+    return () => fs.createReadStream(filePath, { start: range.start, end: Math.max(range.start, range.end - 1) });
+  }
+
+  /**
+   * Snapshot of the current resume token
+   * @returns {Object}
+   */
+  token() {
+    return { ...this.state, completedParts: [...this.state.completedParts] };
+  }
+
+  /**
+   * Persist the resume token to the resume file and notify the callback
+   * @private
+   */
+  async _saveToken() {
+    const token = this.token();
+
+    if (this.onResumeToken) {
+      this.onResumeToken(token);
+    }
+
+    if (this.resumeFile) {
+      // Writes are chained so parallel parts never interleave on the temp file; each one starts after the previous one
+      // settles, so a failed write only fails the part that made it
+      const tempPath = `${this.resumeFile}.tmp`;
+      const saving = this._saving
+        .catch(() => {})
+        .then(async () => {
+          await fsPromises.writeFile(tempPath, JSON.stringify(token));
+          await fsPromises.rename(tempPath, this.resumeFile);
+        });
+      this._saving = saving;
+      await saving;
+    }
+  }
+}
+
+module.exports = MultipartUpload;
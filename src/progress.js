@@ -0,0 +1,96 @@
+/**
+ * Progress tracking for Brizo SDK transfers
+ * Turns raw byte counts into throttled progress snapshots
+ */
+
+class ProgressTracker {
+  /**
+   * @param {Function} onProgress - Callback receiving progress snapshots
+   * @param {Object} [options] - Tracker options
+   * @param {number} [options.total=0] - Total number of bytes expected
+   * @param {number} [options.interval=100] - Minimum milliseconds between callbacks
+   * @param {number} [options.initial=0] - Bytes already transferred before tracking started (excluded from speed)
+   */
+  constructor(onProgress, options = {}) {
+    this.onProgress = onProgress;
+    this.total = options.total || 0;
+    this.interval = options.interval !== undefined ? options.interval : 100;
+    this.initial = options.initial || 0;
+    this.loaded = this.initial;
+    this.startedAt = Date.now();
+    this._lastEmit = 0;
+    this._lastEmittedLoaded = null;
+    this._done = false;
+  }
+
+  /**
+   * Record the number of bytes transferred so far
+   * @param {number} loaded - Bytes transferred
+   * @param {boolean} [force=false] - Emit even if throttled
+   */
+  update(loaded, force = false) {
+    this.loaded = loaded;
+
+    const now = Date.now();
+    if (force || now - this._lastEmit >= this.interval) {
+      this._emit(now);
+    }
+  }
+
+  /**
+   * Mark the transfer as finished and emit a final snapshot
+   */
+  complete() {
+    const alreadyReported = this.total > 0 && this.loaded === this.total && this._lastEmittedLoaded === this.total;
+
+    this._done = true;
+    this.loaded = Math.max(this.loaded, this.total);
+
+    if (!alreadyReported) {
+      this._emit(Date.now());
+    }
+  }
+
+  /**
+   * Get the current progress snapshot
+   * @param {number} [now] - Current timestamp
+   * @returns {Object} Progress snapshot ({ loaded, total, percent, bytesPerSecond, etaMs })
+   */
+  snapshot(now = Date.now()) {
+    const elapsed = now - this.startedAt;
+    const bytesPerSecond = elapsed > 0 ? Math.round((Math.max(0, this.loaded - this.initial) / elapsed) * 1000) : 0;
+
+    let percent = 0;
+    if (this._done) {
+      percent = 100;
+    } else if (this.total > 0) {
+      percent = Math.min(100, Math.floor((this.loaded / this.total) * 100));
+    }
+
+    let etaMs = null;
+    if (this._done) {
+      etaMs = 0;
+    } else if (bytesPerSecond > 0 && this.total > 0) {
+      etaMs = Math.round((Math.max(0, this.total - this.loaded) / bytesPerSecond) * 1000);
+    }
+
+    return {
+      loaded: this.loaded,
+      total: this.total,
+      percent,
+      bytesPerSecond,
+      etaMs,
+    };
+  }
+
+  /**
+   * @private
+   */
+  _emit(now) {
+    this._lastEmit = now;
+    this._lastEmittedLoaded = this.loaded;
+    this.onProgress(this.snapshot(now));
+  }
+}
+
+module.exports = ProgressTracker;
@@ -0,0 +1,465 @@
+/**
+ * Sync module for Brizo SDK
+ * Mirrors a local directory and a Brizo folder in one or both directions
+ */
+
+const fs = require("node:fs");
+const fsPromises = require("node:fs/promises");
+const path = require("node:path");
+const crypto = require("node:crypto");
+const stream = require("node:stream");
+const { AbortError, BrizoError, NotFoundError, ValidationError } = require("./errors");
+const { pickRequestOptions, runPool, splitPath, toLocalName } = require("./utils");
+
+const DIRECTIONS = new Set(["upload", "download", "both"]);
+const COMPARE_MODES = new Set(["timestamp", "hash"]);
+
+/**
+ * Suffix of the temporary files written by files.download
+ */
+const PARTIAL_DOWNLOAD_SUFFIX = ".brizo-download";
+
+class Sync {
+  /**
+   * @param {import('./files')} files - Files module
+   * @param {import('./folders')} folders - Folders module
+   */
+  constructor(files, folders) {
+    this.files = files;
+    this.folders = folders;
+  }
+
+  /**
+   * Compare a local directory with a remote folder and transfer or delete what differs
+   * @param {Object} options - Sync options (see Brizo#sync)
+   * @returns {Promise<Object>} Sync report
+   */
+  async run(options) {
+    const settings = this._validate(options);
+    const requestOptions = pickRequestOptions(options);
+    const localRoot = path.resolve(options.local);
+
+    const localFiles = await this._scanLocal(localRoot, settings);
+    const remoteRoot = await this._findRemoteFolder(settings, requestOptions);
+    const remoteFiles = remoteRoot.folderId === null ? new Map() : await this._scanRemote(remoteRoot.folderId, settings, requestOptions);
+
+    const report = {
+      direction: settings.direction,
+      compare: settings.compare,
+      dryRun: settings.dryRun,
+      local: localRoot,
+      remote: remoteRoot,
+      plan: [],
+      unchanged: [],
+      extraneous: [],
+      conflicts: [],
+      completed: [],
+      failed: [],
+      summary: null,
+    };
+
+    const pairs = [...new Set([...localFiles.keys(), ...remoteFiles.keys()])].sort().map((relativePath) => ({ relativePath, local: localFiles.get(relativePath) || null, remote: remoteFiles.get(relativePath) || null }));
+    const changed = settings.compare === "hash" ? await this._compareContent(pairs, settings, requestOptions) : null;
+
+    for (const { relativePath, local, remote } of pairs) {
+      const decision = this._decide(local, remote, settings, changed !== null && changed.has(relativePath));
+
+      if (decision.action) {
+        report.plan.push({ action: decision.action, path: relativePath, reason: decision.reason, size: decision.action === "download" ? remote.size : local ? local.size : remote.size, local, remote });
+      } else {
+        report[decision.outcome].push(decision.reason ? { path: relativePath, reason: decision.reason } : relativePath);
+      }
+    }
+
+    if (!settings.dryRun) {
+      await this._apply(report, localRoot, remoteRoot, settings, requestOptions);
+    }
+
+    report.summary = this._summarize(report);
+    return report;
+  }
+
+  /**
+   * Validate sync options and fill in defaults
+   * @private
+   */
+  _validate(options) {
+    if (!options || typeof options.local !== "string" || options.local.trim() === "") {
+      throw new ValidationError("Local directory is required");
+    }
+
+    const direction = options.direction || "upload";
+    if (!DIRECTIONS.has(direction)) {
+      throw new ValidationError(`Invalid direction "${direction}" (expected upload, download or both)`);
+    }
+
+    const compare = options.compare || "timestamp";
+    if (!COMPARE_MODES.has(compare)) {
+      throw new ValidationError(`Invalid compare mode "${compare}" (expected timestamp or hash)`);
+    }
+
+    if (options.deleteExtraneous && direction === "both") {
+      throw new ValidationError("deleteExtraneous cannot be used with direction 'both'");
+    }
+
+    if (options.remote !== undefined && options.remoteFolderId !== undefined) {
+      throw new ValidationError("Use either remote or remoteFolderId, not both");
+    }
+
+    if (options.filter !== undefined && typeof options.filter !== "function") {
+      throw new ValidationError("filter must be a function");
+    }
+
+    return {
+      direction,
+      compare,
+      remote: options.remote || "",
+      remoteFolderId: options.remoteFolderId,
+      deleteExtraneous: Boolean(options.deleteExtraneous),
+      dryRun: Boolean(options.dryRun),
+      timeTolerance: options.timeTolerance !== undefined ? options.timeTolerance : 2000,
+      filter: options.filter || (() => true),
+      concurrency: options.concurrency || 4,
+      onAction: options.onAction || null,
+      signal: options.signal,
+    };
+  }
+
+  /**
+   * List the files under the local directory, keyed by their relative path ('a/b.txt')
+   * @private
+   */
+  async _scanLocal(localRoot, settings) {
+    const files = new Map();
+
+    let stats;
+    try {
+      stats = await fsPromises.stat(localRoot);
+    } catch (err) {
+      if (err.code !== "ENOENT") throw err;
+      if (settings.direction !== "download") {
+        throw new ValidationError(`Local directory not found: ${localRoot}`);
+      }
+      return files;
+    }
+
+    if (!stats.isDirectory()) {
+      throw new ValidationError(`Not a directory: ${localRoot}`);
+    }
+
+    const walk = async (directory, prefix) => {
+      const entries = await fsPromises.readdir(directory, { withFileTypes: true });
+
+      for (const entry of entries) {
+        const relativePath = prefix ? `${prefix}/${entry.name}` : entry.name;
+        const fullPath = path.join(directory, entry.name);
+
+        if (entry.isDirectory()) {
+          await walk(fullPath, relativePath);
+        } else if (entry.isFile() && !entry.name.endsWith(PARTIAL_DOWNLOAD_SUFFIX) && settings.filter(relativePath)) {
+          const { size, mtimeMs } = await fsPromises.stat(fullPath);
+          files.set(relativePath, { path: fullPath, size, mtimeMs });
+        }
+      }
+    };
+
+    await walk(localRoot, "");
+    return files;
+  }
+
+  /**
+   * Find the remote root folder; folderId is null if the folder does not exist yet
+   * @private
+   */
+  async _findRemoteFolder(settings, requestOptions) {
+    if (settings.remoteFolderId !== undefined) {
+      const folderId = settings.remoteFolderId === "root" ? "" : settings.remoteFolderId;
+      if (folderId) {
+        await this.folders.get(folderId, requestOptions);
+      }
+      return { path: null, folderId };
+    }
+
+    const segments = splitPath(settings.remote);
+    if (segments.length === 0) {
+      return { path: "", folderId: "" };
+    }
+
+    try {
+      const folder = await this.folders.getByPath(segments.join("/"), requestOptions);
+      return { path: segments.join("/"), folderId: folder.id };
+    } catch (error) {
+      const missing = error instanceof NotFoundError && error.details && error.details.reason === "missing";
+      if (!missing || settings.direction === "download") throw error;
+      return { path: segments.join("/"), folderId: null };
+    }
+  }
+
+  /**
+   * List the files under a remote folder, keyed by their relative path
+   * Names are made safe as local path segments; when several files end up with the same path, the most recently updated one is used
+   * @private
+   */
+  async _scanRemote(rootId, settings, requestOptions) {
+    // A folder left out of the scan would look missing remotely and be re-uploaded or deleted locally
+    const folders = await this.folders.listAll(rootId, { ...requestOptions, maxDepth: Infinity, cache: false });
+    if (folders._errors) {
+      throw new BrizoError("Failed to list remote folders", null, "SYNC_ERROR", { errors: folders._errors });
+    }
+
+    const directories = [{ id: rootId, path: [] }, ...folders];
+    const files = new Map();
+
+    await runPool(
+      directories,
+      settings.concurrency,
+      async (directory) => {
+        for await (const file of this.files.iterate({ ...requestOptions, folderId: directory.id || "root" })) {
+          const relativePath = [...directory.path, file.originalName].map(toLocalName).join("/");
+          if (!settings.filter(relativePath)) continue;
+
+          const existing = files.get(relativePath);
+          if (!existing || remoteTime(file) > remoteTime(existing)) {
+            files.set(relativePath, file);
+          }
+        }
+      },
+      settings.signal,
+    );
+
+    if (settings.signal && settings.signal.aborted) {
+      throw new AbortError();
+    }
+
+    return files;
+  }
+
+  /**
+   * Hash the files present on both sides with the same size, keeping up to `concurrency` comparisons in flight
+   * @private
+   */
+  async _compareContent(pairs, settings, requestOptions) {
+    const changed = new Set();
+    const candidates = pairs.filter(({ local, remote }) => local && remote && local.size === remote.size);
+
+    await runPool(
+      candidates,
+      settings.concurrency,
+      async ({ relativePath, local, remote }) => {
+        const [localHash, remoteHash] = await Promise.all([this._hashLocal(local.path), this._hashRemote(remote, requestOptions)]);
+        if (localHash !== remoteHash) changed.add(relativePath);
+      },
+      settings.signal,
+    );
+
+    if (settings.signal && settings.signal.aborted) {
+      throw new AbortError();
+    }
+
+    return changed;
+  }
+
+  /**
+   * Decide what to do with a path
+   * Returns { action, reason } for a transfer or deletion, or { outcome, reason } when nothing is done
+   * @private
+   */
+  _decide(local, remote, settings, contentChanged) {
+    const { direction } = settings;
+
+    if (local && !remote) {
+      if (direction !== "download") return { action: "upload", reason: "missing-remote" };
+      return settings.deleteExtraneous ? { action: "delete-local", reason: "extraneous" } : { outcome: "extraneous" };
+    }
+
+    if (remote && !local) {
+      if (direction !== "upload") return { action: "download", reason: "missing-local" };
+      return settings.deleteExtraneous ? { action: "delete-remote", reason: "extraneous" } : { outcome: "extraneous" };
+    }
+
+    const delta = local.mtimeMs - remoteTime(remote);
+    const localNewer = delta > settings.timeTolerance;
+    const remoteNewer = -delta > settings.timeTolerance;
+
+    let reason = null;
+    if (local.size !== remote.size) {
+      reason = "size";
+    } else if (settings.compare === "hash") {
+      if (contentChanged) reason = "content";
+    } else if ((direction !== "download" && localNewer) || (direction === "download" && remoteNewer)) {
+      // Remote timestamps record when a file was uploaded, so a remote file that is merely newer with the same size is
+      // treated as unchanged in two-way syncs (use compare: 'hash' to detect such edits)
+      reason = "modified";
+    }
+
+    if (!reason) return { outcome: "unchanged" };
+    if (direction === "upload") return { action: "upload", reason };
+    if (direction === "download") return { action: "download", reason };
+    if (localNewer) return { action: "upload", reason };
+    if (remoteNewer) return { action: "download", reason };
+
+    return { outcome: "conflicts", reason };
+  }
+
+  /**
+   * Run the planned transfers, then the deletions
+   * @private
+   */
+  async _apply(report, localRoot, remoteRoot, settings, requestOptions) {
+    const folderIds = new Map();
+    const ensureRemoteFolder = (relativeDir) => {
+      if (!folderIds.has(relativeDir)) {
+        folderIds.set(relativeDir, this._createRemoteFolder(relativeDir, remoteRoot, ensureRemoteFolder, requestOptions));
+      }
+      return folderIds.get(relativeDir);
+    };
+
+    const run = async (entry) => {
+      try {
+        const result = await this._applyEntry(entry, localRoot, ensureRemoteFolder, requestOptions);
+        report.completed.push(result ? { ...entry, file: result } : entry);
+        if (settings.onAction) settings.onAction(entry, null);
+      } catch (error) {
+        if (error instanceof AbortError) return;
+        report.failed.push({ ...entry, error });
+        if (settings.onAction) settings.onAction(entry, error);
+      }
+    };
+
+    const transfers = report.plan.filter((entry) => entry.action === "upload" || entry.action === "download");
+    const deletions = report.plan.filter((entry) => entry.action === "delete-remote" || entry.action === "delete-local");
+
+    await runPool(transfers, settings.concurrency, run, settings.signal);
+    await runPool(deletions, settings.concurrency, run, settings.signal);
+
+    if (settings.signal && settings.signal.aborted) {
+      report.summary = this._summarize(report);
+      throw new AbortError(`Sync aborted after ${report.completed.length} of ${report.plan.length} actions`, { report });
+    }
+  }
+
+  /**
+   * Apply a single plan entry
+   * @private
+   */
+  async _applyEntry(entry, localRoot, ensureRemoteFolder, requestOptions) {
+    const localPath = entry.local ? entry.local.path : path.join(localRoot, ...entry.path.split("/").map(toLocalName));
+
+    // Remote names are sanitized when scanned; this guards against anything that still points outside the sync directory
+    const relative = path.relative(localRoot, path.resolve(localPath));
+    if (!relative || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new ValidationError(`Refusing to touch a path outside the local directory: ${entry.path}`);
+    }
+
+    switch (entry.action) {
+      case "upload": {
+        const folderId = await ensureRemoteFolder(path.posix.dirname(entry.path));
+        const file = await this.files.upload({ ...requestOptions, file: localPath, filename: path.posix.basename(entry.path), folderId });
+        // Replace the old copy only once the new one is safely stored
+        if (entry.remote) {
+          await this.files.delete(entry.remote.id, requestOptions);
+        }
+        return file;
+      }
+      case "download": {
+        await this.files.download(entry.remote.id, { ...requestOptions, destination: localPath, overwrite: true });
+        // Match the remote timestamp so the next sync sees both sides as equal
+        const time = new Date(remoteTime(entry.remote));
+        await fsPromises.utimes(localPath, time, time);
+        return null;
+      }
+      case "delete-remote":
+        await this.files.delete(entry.remote.id, requestOptions);
+        return null;
+      case "delete-local":
+        await fsPromises.unlink(localPath);
+        return null;
+      default:
+        throw new ValidationError(`Unknown sync action: ${entry.action}`);
+    }
+  }
+
+  /**
+   * Create (or find) the remote folder for a relative directory, creating parents first
+   * @private
+   */
+  async _createRemoteFolder(relativeDir, remoteRoot, ensureRemoteFolder, requestOptions) {
+    if (relativeDir === ".") {
+      if (remoteRoot.folderId === null) {
+        remoteRoot.folderId = (await this.folders.createPath(remoteRoot.path, requestOptions)).id;
+      }
+      return remoteRoot.folderId;
+    }
+
+    const parentId = await ensureRemoteFolder(path.posix.dirname(relativeDir));
+    const name = path.posix.basename(relativeDir);
+
+    const existing = await this.folders.list({ ...requestOptions, parentId });
+    const folder = (existing.items || []).find((item) => item.name === name);
+    if (folder) return folder.id;
+
+    return (await this.folders.create({ ...requestOptions, name, parentId })).id;
+  }
+
+  /**
+   * SHA-256 of a local file
+   * @private
+   */
+  async _hashLocal(filePath) {
+    const hash = crypto.createHash("sha256");
+    for await (const chunk of fs.createReadStream(filePath)) {
+      hash.update(chunk);
+    }
+    return hash.digest("hex");
+  }
+
+  /**
+   * SHA-256 of a remote file: the checksum stored by the server, or else the content streamed without touching the disk
+   * @private
+   */
+  async _hashRemote(file, requestOptions) {
+    if (file.sha256) {
+      return file.sha256.toLowerCase();
+    }
+
+    const hash = crypto.createHash("sha256");
+    const sink = new stream.Writable({
+      write(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback();
+      },
+    });
+
+    await this.files.download(file.id, { ...requestOptions, stream: sink });
+    return hash.digest("hex");
+  }
+
+  /**
+   * Count planned and applied actions
+   * @private
+   */
+  _summarize(report) {
+    const count = (entries, action) => entries.filter((entry) => entry.action === action).length;
+    const entries = report.dryRun ? report.plan : report.completed;
+
+    return {
+      uploads: count(entries, "upload"),
+      downloads: count(entries, "download"),
+      deletes: count(entries, "delete-remote") + count(entries, "delete-local"),
+      bytes: entries.filter((entry) => entry.action === "upload" || entry.action === "download").reduce((sum, entry) => sum + entry.size, 0),
+      unchanged: report.unchanged.length,
+      conflicts: report.conflicts.length,
+      failed: report.failed.length,
+    };
+  }
+}
+
+/**
+ * Last update time of a remote file in milliseconds
+ * @private
+ */
+function remoteTime(file) {
+  return Date.parse(file.updated || file.created) || 0;
+}
+
+module.exports = Sync;
@@ -0,0 +1,214 @@
+// Type definitions for @alphasystem/brizo/testing
+// Project: https://github.com/devAlphaSystem/Alpha-System-Brizo-SDK
+// Definitions by: Brizo
+
+import Brizo = require("./index");
+
+export const DEFAULT_API_KEY: string;
+
+export interface MockServerOptions {
+  /**
+   * API key the server accepts
+   * @default 'brz_test_key'
+   */
+  apiKey?: string;
+
+  /**
+   * Port to listen on (0 picks a free port)
+   * @default 0
+   */
+  port?: number;
+
+  /**
+   * Host to listen on
+   * @default '127.0.0.1'
+   */
+  host?: string;
+
+  /**
+   * Storage limit in bytes (null for unlimited)
+   * @default null
+   */
+  storageLimit?: number | null;
+
+  /**
+   * Monthly API request limit (null for unlimited)
+   * @default null
+   */
+  apiRequestsLimit?: number | null;
+}
+
+export interface ErrorRule {
+  /**
+   * HTTP method to match (any if omitted)
+   */
+  method?: string;
+
+  /**
+   * Path to match (exact string or RegExp; any if omitted)
+   */
+  path?: string | RegExp;
+
+  /**
+   * Number of requests to fail (Infinity for all)
+   * @default 1
+   */
+  times?: number;
+
+  /**
+   * Response status code
+   * @default 500
+   */
+  status?: number;
+
+  /**
+   * Error message in the response body
+   */
+  message?: string;
+
+  /**
+   * Retry-After header value in seconds
+   */
+  retryAfter?: number;
+
+  /**
+   * Extra response headers
+   */
+  headers?: Record<string, string>;
+
+  /**
+   * Never respond (simulates a timeout)
+   * @default false
+   */
+  hang?: boolean;
+
+  /**
+   * Delay before responding in milliseconds
+   * @default 0
+   */
+  delay?: number;
+}
+
+export interface RecordedRequest {
+  method: string;
+  path: string;
+  query: Record<string, string>;
+  headers: Record<string, string | string[] | undefined>;
+
+  /**
+   * Parsed JSON body (null for empty or non-JSON bodies)
+   */
+  body: unknown;
+}
+
+/**
+ * In-process mock Brizo server with in-memory state and error injection
+ */
+export class MockBrizoServer {
+  constructor(options?: MockServerOptions);
+
+  /**
+   * API key the server accepts
+   */
+  readonly apiKey: string;
+
+  /**
+   * Base URL of the running server (null until started)
+   */
+  readonly url: string | null;
+
+  /**
+   * Every request received, in order
+   */
+  readonly requests: RecordedRequest[];
+
+  /**
+   * Storage limit in bytes (null for unlimited)
+   */
+  storageLimit: number | null;
+
+  /**
+   * Monthly API request limit (null for unlimited)
+   */
+  apiRequestsLimit: number | null;
+
+  /**
+   * Number of API requests counted so far
+   */
+  apiRequests: number;
+
+  /**
+   * Start listening and return the base URL
+   */
+  start(): Promise<string>;
+
+  /**
+   * Stop the server and drop all open connections
+   */
+  stop(): Promise<void>;
+
+  /**
+   * Create a Brizo client pointed at this server
+   */
+  createClient(config?: Brizo.BrizoConfig): Brizo;
+
+  /**
+   * Clear all state, recorded requests and injected errors
+   */
+  reset(): void;
+
+  /**
+   * Make matching requests fail
+   */
+  injectError(rule?: ErrorRule): ErrorRule;
+
+  /**
+   * Remove an injected error rule
+   */
+  removeError(rule: ErrorRule): void;
+
+  /**
+   * Remove all injected error rules
+   */
+  clearErrors(): void;
+
+  /**
+   * Respond with 429 Too Many Requests
+   */
+  rateLimit(options?: ErrorRule): ErrorRule;
+
+  /**
+   * Respond with 401 Unauthorized
+   */
+  unauthorized(options?: ErrorRule): ErrorRule;
+
+  /**
+   * Respond with 403 and a storage limit message
+   */
+  quotaExceeded(options?: ErrorRule): ErrorRule;
+
+  /**
+   * Never respond, so the client times out
+   */
+  timeout(options?: ErrorRule): ErrorRule;
+
+  /**
+   * Add a folder directly to the in-memory state
+   */
+  addFolder(data: { name: string; parentId?: string }): Brizo.Folder;
+
+  /**
+   * Add a file directly to the in-memory state
+   */
+  addFile(data: { name: string; content?: Buffer | string; folderId?: string; mimeType?: string; isFavorite?: boolean }): Brizo.File;
+
+  /**
+   * Get the stored contents of a file
+   */
+  getContent(fileId: string): Buffer | null;
+}
+
+/**
+ * Create and start a mock Brizo server
+ */
+export function createMockServer(options?: MockServerOptions): Promise<MockBrizoServer>;
@@ -0,0 +1,933 @@
+/**
+ * Testing module for Brizo SDK
+ * An in-process mock Brizo server that keeps state in memory and supports error injection
+ *
+ * @example
+ * const { createMockServer } = require('@alphasystem/brizo/testing');
+ *
+ * const server = await createMockServer();
+ * const brizo = server.createClient();
+ *
+ * await brizo.files.upload({ file: Buffer.from('hi'), filename: 'hi.txt' });
+ * server.injectError({ path: '/v1/files', status: 429, retryAfter: 1 });
+ *
+ * await server.stop();
+ */
+
+const http = require("node:http");
+const crypto = require("node:crypto");
+const { URL } = require("node:url");
+
+const DEFAULT_API_KEY = "brz_test_key";
+
+/**
+ * Generate a random record ID
+ * @private
+ */
+function generateId(length = 15) {
+  const alphabet = "abcdefghijklmnopqrstuvwxyz0123456789";
+  const bytes = crypto.randomBytes(length);
+  let id = "";
+  for (const byte of bytes) {
+    id += alphabet[byte % alphabet.length];
+  }
+  return id;
+}
+
+/**
+ * Format a byte count the way the API does (e.g., "2.5 GB")
+ * @private
+ */
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return null;
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number.isInteger(value) ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Error raised by route handlers to produce an API error response
+ * @private
+ */
+class HttpError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+class MockBrizoServer {
+  /**
+   * @param {Object} [options] - Server options
+   * @param {string} [options.apiKey='brz_test_key'] - API key the server accepts
+   * @param {number} [options.port=0] - Port to listen on (0 picks a free port)
+   * @param {string} [options.host='127.0.0.1'] - Host to listen on
+   * @param {number|null} [options.storageLimit=null] - Storage limit in bytes (null for unlimited)
+   * @param {number|null} [options.apiRequestsLimit=null] - Monthly API request limit (null for unlimited)
+   */
+  constructor(options = {}) {
+    this.apiKey = options.apiKey || DEFAULT_API_KEY;
+    this.port = options.port || 0;
+    this.host = options.host || "127.0.0.1";
+    this.storageLimit = options.storageLimit !== undefined ? options.storageLimit : null;
+    this.apiRequestsLimit = options.apiRequestsLimit !== undefined ? options.apiRequestsLimit : null;
+    this.url = null;
+    this.requests = [];
+
+    this._server = null;
+    this._sockets = new Set();
+    this._errors = [];
+    this.reset();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<string>} Base URL of the server
+   */
+  async start() {
+    if (this._server) {
+      return this.url;
+    }
+
+    this._server = http.createServer((req, res) => this._handle(req, res));
+    this._server.on("connection", (socket) => {
+      this._sockets.add(socket);
+      socket.on("close", () => this._sockets.delete(socket));
+    });
+
+    await new Promise((resolve, reject) => {
+      this._server.once("error", reject);
+      this._server.listen(this.port, this.host, resolve);
+    });
+
+    const address = this._server.address();
+    this.url = `http://${this.host}:${address.port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop the server and drop all open connections (including hung requests)
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this._server) return;
+
+    const server = this._server;
+    this._server = null;
+
+    for (const socket of this._sockets) {
+      socket.destroy();
+    }
+    this._sockets.clear();
+
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Create a Brizo client pointed at this server
+   * @param {Object} [config] - Extra client configuration
+   * @returns {import('./index')} Brizo client
+   */
+  createClient(config = {}) {
+    if (!this.url) {
+      throw new Error("Mock server is not started. Call start() first.");
+    }
+
+    const Brizo = require("./index");
+    return new Brizo({ apiKey: this.apiKey, useEnv: false, ...config, baseUrl: this.url });
+  }
+
+  /**
+   * Clear all files, folders, stored objects, recorded requests and injected errors
+   */
+  reset() {
+    this.files = new Map();
+    this.folders = new Map();
+    this.objects = new Map();
+    this.requests = [];
+    this.apiRequests = 0;
+    this.totalUploads = 0;
+    this._pendingUploads = new Map();
+    this._multipartUploads = new Map();
+    this._errors = [];
+    this._sequence = 0;
+  }
+
+  /**
+   * Make matching requests fail
+   * @param {Object} rule - Error rule
+   * @param {string} [rule.method] - HTTP method to match (any if omitted)
+   * @param {string|RegExp} [rule.path] - Path to match (exact string or RegExp; any if omitted)
+   * @param {number} [rule.times=1] - Number of requests to fail (Infinity for all)
+   * @param {number} [rule.status=500] - Response status code
+   * @param {string} [rule.message] - Error message in the response body
+   * @param {number} [rule.retryAfter] - Retry-After header value in seconds
+   * @param {Object} [rule.headers] - Extra response headers
+   * @param {boolean} [rule.hang=false] - Never respond (simulates a timeout)
+   * @param {number} [rule.delay=0] - Delay before responding in milliseconds
+   * @returns {Object} The registered rule (pass to removeError)
+   */
+  injectError(rule = {}) {
+    const registered = { times: 1, status: 500, ...rule, remaining: rule.times !== undefined ? rule.times : 1 };
+    this._errors.push(registered);
+    return registered;
+  }
+
+  /**
+   * Remove an injected error rule
+   * @param {Object} rule - Rule returned by injectError
+   */
+  removeError(rule) {
+    this._errors = this._errors.filter((r) => r !== rule);
+  }
+
+  /**
+   * Remove all injected error rules
+   */
+  clearErrors() {
+    this._errors = [];
+  }
+
+  /**
+   * Respond with 429 Too Many Requests
+   * @param {Object} [options] - Rule options (retryAfter defaults to 1 second)
+   */
+  rateLimit(options = {}) {
+    return this.injectError({ retryAfter: 1, message: "Too many requests", ...options, status: 429 });
+  }
+
+  /**
+   * Respond with 401 Unauthorized
+   * @param {Object} [options] - Rule options
+   */
+  unauthorized(options = {}) {
+    return this.injectError({ message: "Invalid API key", ...options, status: 401 });
+  }
+
+  /**
+   * Respond with 403 and a storage limit message
+   * @param {Object} [options] - Rule options
+   */
+  quotaExceeded(options = {}) {
+    return this.injectError({ message: "Storage limit exceeded", ...options, status: 403 });
+  }
+
+  /**
+   * Never respond, so the client times out
+   * @param {Object} [options] - Rule options
+   */
+  timeout(options = {}) {
+    return this.injectError({ ...options, hang: true });
+  }
+
+  /**
+   * Add a folder directly to the in-memory state
+   * @param {Object} data - Folder fields
+   * @param {string} data.name - Folder name
+   * @param {string} [data.parentId] - Parent folder ID
+   * @returns {Object} Folder record
+   */
+  addFolder(data) {
+    const now = new Date().toISOString();
+    const folder = {
+      id: generateId(),
+      name: data.name,
+      parent: data.parentId || data.parent || "",
+      publicId: null,
+      shareUrl: null,
+      isShared: false,
+      shareExpiresAt: null,
+      sharePasswordProtected: false,
+      created: now,
+      updated: now,
+      _seq: this._sequence++,
+    };
+    this.folders.set(folder.id, folder);
+    return this._publicFolder(folder);
+  }
+
+  /**
+   * Add a file directly to the in-memory state
+   * @param {Object} data - File fields
+   * @param {string} data.name - Original filename
+   * @param {Buffer|string} [data.content] - File contents
+   * @param {string} [data.folderId] - Parent folder ID
+   * @param {string} [data.mimeType] - MIME type
+   * @returns {Object} File record
+   */
+  addFile(data) {
+    const content = Buffer.isBuffer(data.content) ? data.content : Buffer.from(data.content || "");
+    const key = `objects/${generateId(20)}`;
+    this.objects.set(key, content);
+    return this._createFile({ key, filename: data.name, size: content.length, type: data.mimeType, folderId: data.folderId, isFavorite: data.isFavorite });
+  }
+
+  /**
+   * Get the stored contents of a file
+   * @param {string} fileId - File ID
+   * @returns {Buffer|null} File contents
+   */
+  getContent(fileId) {
+    const file = this.files.get(fileId);
+    return file ? this.objects.get(file._key) || null : null;
+  }
+
+  // ==========================================================================
+  // Request handling
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  async _handle(req, res) {
+    const url = new URL(req.url, this.url);
+    const chunks = [];
+
+    req.on("data", (chunk) => chunks.push(chunk));
+    await new Promise((resolve) => req.on("end", resolve));
+
+    const body = Buffer.concat(chunks);
+    const entry = {
+      method: req.method,
+      path: url.pathname,
+      query: Object.fromEntries(url.searchParams),
+      headers: req.headers,
+      body: null,
+    };
+    if (body.length > 0 && (req.headers["content-type"] || "").includes("application/json")) {
+      try {
+        entry.body = JSON.parse(body.toString("utf8"));
+      } catch {
+        entry.body = body.toString("utf8");
+      }
+    }
+    this.requests.push(entry);
+
+    const rule = this._matchError(req.method, url.pathname);
+    if (rule) {
+      if (rule.hang) return;
+      if (rule.delay) await new Promise((resolve) => setTimeout(resolve, rule.delay));
+      const headers = { ...rule.headers };
+      if (rule.retryAfter !== undefined) headers["Retry-After"] = String(rule.retryAfter);
+      this._send(res, rule.status, { status: "error", message: rule.message || `Injected error ${rule.status}` }, headers);
+      return;
+    }
+
+    try {
+      if (url.pathname.startsWith("/_storage/")) {
+        this._handleStorage(req, res, url, body);
+        return;
+      }
+
+      if (url.pathname.startsWith("/v1/")) {
+        if (req.headers["x-api-key"] !== this.apiKey) {
+          throw new HttpError(401, "Invalid API key");
+        }
+        if (this.apiRequestsLimit !== null && this.apiRequests >= this.apiRequestsLimit) {
+          throw new HttpError(403, "API request limit exceeded");
+        }
+        this.apiRequests++;
+      }
+
+      const result = this._route(req.method, url, entry.body || {});
+      if (result && result.redirect) {
+        res.writeHead(302, { Location: result.redirect });
+        res.end();
+        return;
+      }
+
+      this._send(res, result.status || 200, result.body);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        this._send(res, error.status, { status: "error", message: error.message }, error.headers);
+        return;
+      }
+      this._send(res, 500, { status: "error", message: error.message });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _matchError(method, pathname) {
+    const rule = this._errors.find((r) => {
+      if (r.remaining <= 0) return false;
+      if (r.method && r.method.toUpperCase() !== method) return false;
+      if (r.path instanceof RegExp) return r.path.test(pathname);
+      if (r.path) return r.path === pathname;
+      return true;
+    });
+
+    if (rule) {
+      rule.remaining--;
+      if (rule.remaining <= 0) this.removeError(rule);
+    }
+
+    return rule;
+  }
+
+  /**
+   * @private
+   */
+  _send(res, status, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(status, {
+      "Content-Type": "application/json",
+      "Content-Length": Buffer.byteLength(payload),
+      ...headers,
+    });
+    res.end(payload);
+  }
+
+  /**
+   * @private
+   */
+  _route(method, url, body) {
+    const parts = url.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+    const query = url.searchParams;
+    const ok = (data) => ({ body: { status: "success", data } });
+
+    if (method === "GET" && url.pathname === "/health") {
+      return { body: { status: "ok", timestamp: new Date().toISOString() } };
+    }
+
+    if (parts[0] !== "v1") {
+      throw new HttpError(404, "Route not found");
+    }
+
+    const [, resource, id, action] = parts;
+
+    if (resource === "files") {
+      if (!id && method === "GET") return ok(this._listFiles(query));
+      const file = this._getFile(id);
+      if (!action && method === "GET") return ok(this._publicFile(file));
+      if (!action && method === "PATCH") return ok(this._updateFile(file, body));
+      if (!action && method === "DELETE") {
+        this._deleteFile(file);
+        return { body: { status: "success", message: "File deleted" } };
+      }
+      if (action === "share" && method === "POST") return ok(this._publicFile(this._share(file, body)));
+      if (action === "share" && method === "DELETE") return ok(this._publicFile(this._unshare(file)));
+      if (action === "move" && method === "PATCH") {
+        const folderId = body.folderId === "root" ? "" : body.folderId || "";
+        if (folderId) this._getFolder(folderId);
+        return ok(this._updateFile(file, { folder: folderId }));
+      }
+      if ((action === "download" || action === "stream") && method === "GET") {
+        if (action === "download") file.downloads++;
+        return { redirect: `${this.url}/_storage/${file._key}?disposition=${action === "download" ? "attachment" : "inline"}` };
+      }
+    }
+
+    if (resource === "folders") {
+      if (!id && method === "GET") return ok(this._listFolders(query));
+      if (!id && method === "POST") return ok(this._createFolder(body));
+      const folder = this._getFolder(id);
+      if (!action && method === "GET") return ok(this._publicFolder(folder));
+      if (action === "path" && method === "GET") return ok(this._folderPath(folder));
+      if (action === "share" && method === "POST") return ok(this._publicFolder(this._share(folder, body)));
+      if (action === "share" && method === "DELETE") return ok(this._publicFolder(this._unshare(folder)));
+      if (!action && method === "PATCH") return ok(this._updateFolder(folder, body));
+      if (!action && method === "DELETE") {
+        this._deleteFolder(folder, query.get("deleteContents") === "true");
+        return { body: { status: "success", message: "Folder deleted" } };
+      }
+    }
+
+    if (resource === "upload" && method === "POST") {
+      if (id === "presign") return ok(this._presign(body));
+      if (id === "complete") return ok({ file: this._complete(body) });
+    }
+
+    if (resource === "metrics" && method === "GET" && !id) {
+      return ok(this._metrics());
+    }
+
+    throw new HttpError(404, "Route not found");
+  }
+
+  // ==========================================================================
+  // Files
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  _getFile(id) {
+    const file = this.files.get(id);
+    if (!file) throw new HttpError(404, "File not found");
+    return file;
+  }
+
+  /**
+   * @private
+   */
+  _publicFile(file) {
+    const { _key, _seq, _sharePassword, ...rest } = file;
+    return { ...rest };
+  }
+
+  /**
+   * @private
+   */
+  _listFiles(query) {
+    const page = Math.max(1, Number.parseInt(query.get("page"), 10) || 1);
+    const perPage = Math.min(100, Math.max(1, Number.parseInt(query.get("perPage"), 10) || 20));
+    const search = (query.get("search") || "").toLowerCase();
+    const type = query.get("type");
+    const folderId = query.get("folderId");
+    const favorite = query.get("favorite");
+
+    let items = [...this.files.values()].filter((file) => {
+      if (search && !file.originalName.toLowerCase().includes(search)) return false;
+      if (type && !file.mimeType.includes(type)) return false;
+      if (folderId && file.folder !== (folderId === "root" ? "" : folderId)) return false;
+      if (favorite !== null && file.isFavorite !== (favorite === "true")) return false;
+      return true;
+    });
+
+    items = this._sort(items, query.get("sort") || "-created", { name: "originalName" });
+
+    const totalItems = items.length;
+    return {
+      page,
+      perPage,
+      totalItems,
+      totalPages: Math.ceil(totalItems / perPage),
+      items: items.slice((page - 1) * perPage, page * perPage).map((file) => this._publicFile(file)),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _sort(items, sort, aliases = {}) {
+    const descending = sort.startsWith("-");
+    const field = aliases[sort.replace(/^-/, "")] || sort.replace(/^-/, "");
+
+    return items.sort((a, b) => {
+      let result = 0;
+      if (a[field] < b[field]) result = -1;
+      else if (a[field] > b[field]) result = 1;
+      else result = a._seq - b._seq;
+      return descending ? -result : result;
+    });
+  }
+
+  /**
+   * @private
+   */
+  _createFile({ key, filename, size, type, folderId, isFavorite }) {
+    const now = new Date().toISOString();
+    const extension = filename.includes(".") ? filename.slice(filename.lastIndexOf(".")) : "";
+    const file = {
+      id: generateId(),
+      name: `${generateId(10)}${extension}`,
+      originalName: filename,
+      mimeType: type || "application/octet-stream",
+      size,
+      publicId: null,
+      downloads: 0,
+      folder: folderId || "",
+      shareUrl: null,
+      isShared: false,
+      shareExpiresAt: null,
+      sharePasswordProtected: false,
+      isFavorite: Boolean(isFavorite),
+      sha256: crypto.createHash("sha256").update(this.objects.get(key)).digest("hex"),
+      md5: crypto.createHash("md5").update(this.objects.get(key)).digest("hex"),
+      created: now,
+      updated: now,
+      _key: key,
+      _seq: this._sequence++,
+    };
+
+    this.files.set(file.id, file);
+    this.totalUploads++;
+    return this._publicFile(file);
+  }
+
+  /**
+   * @private
+   */
+  _updateFile(file, changes) {
+    if (changes.name !== undefined) {
+      if (!String(changes.name).trim()) throw new HttpError(400, "Name is required");
+      file.originalName = String(changes.name).trim();
+    }
+    if (changes.folder !== undefined) {
+      file.folder = changes.folder;
+    }
+    if (changes.isFavorite !== undefined) {
+      if (typeof changes.isFavorite !== "boolean") throw new HttpError(400, "isFavorite must be a boolean");
+      file.isFavorite = changes.isFavorite;
+    }
+    file.updated = new Date().toISOString();
+    return this._publicFile(file);
+  }
+
+  /**
+   * @private
+   */
+  _deleteFile(file) {
+    this.files.delete(file.id);
+    this.objects.delete(file._key);
+  }
+
+  // ==========================================================================
+  // Folders
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  _getFolder(id) {
+    const folder = this.folders.get(id);
+    if (!folder) throw new HttpError(404, "Folder not found");
+    return folder;
+  }
+
+  /**
+   * @private
+   */
+  _publicFolder(folder) {
+    const { _seq, _sharePassword, ...rest } = folder;
+    return { ...rest };
+  }
+
+  /**
+   * @private
+   */
+  _listFolders(query) {
+    const parentId = query.get("parentId") || "";
+    const items = this._sort(
+      [...this.folders.values()].filter((folder) => folder.parent === parentId),
+      "name",
+    ).map((folder) => this._publicFolder(folder));
+
+    if (!query.get("page") && !query.get("perPage")) {
+      return { items, totalItems: items.length };
+    }
+
+    const page = Math.max(1, Number.parseInt(query.get("page"), 10) || 1);
+    const perPage = Math.max(1, Number.parseInt(query.get("perPage"), 10) || 100);
+    return {
+      page,
+      perPage,
+      totalItems: items.length,
+      totalPages: Math.ceil(items.length / perPage),
+      items: items.slice((page - 1) * perPage, page * perPage),
+    };
+  }
+
+  /**
+   * @private
+   */
+  _createFolder(body) {
+    if (!body.name || !String(body.name).trim()) throw new HttpError(400, "Folder name is required");
+    if (body.parentId) this._getFolder(body.parentId);
+    return this.addFolder({ name: String(body.name).trim(), parentId: body.parentId || "" });
+  }
+
+  /**
+   * @private
+   */
+  _updateFolder(folder, changes) {
+    if (changes.name !== undefined) {
+      if (!String(changes.name).trim()) throw new HttpError(400, "Folder name is required");
+      folder.name = String(changes.name).trim();
+    }
+    if (changes.parentId !== undefined) {
+      const parentId = changes.parentId === "root" ? "" : changes.parentId;
+      for (let current = parentId; current; current = this._getFolder(current).parent) {
+        if (current === folder.id) throw new HttpError(400, "Cannot move a folder into itself");
+      }
+      folder.parent = parentId;
+    }
+    folder.updated = new Date().toISOString();
+    return this._publicFolder(folder);
+  }
+
+  /**
+   * @private
+   */
+  _folderPath(folder) {
+    const segments = [];
+    for (let current = folder; current; current = current.parent ? this.folders.get(current.parent) : null) {
+      segments.unshift({ id: current.id, name: current.name });
+    }
+    return segments;
+  }
+
+  /**
+   * @private
+   */
+  _deleteFolder(folder, deleteContents) {
+    const children = [...this.folders.values()].filter((f) => f.parent === folder.id);
+    const files = [...this.files.values()].filter((f) => f.folder === folder.id);
+
+    if (!deleteContents && (children.length > 0 || files.length > 0)) {
+      throw new HttpError(400, "Folder is not empty");
+    }
+
+    for (const child of children) {
+      this._deleteFolder(child, true);
+    }
+    for (const file of files) {
+      file.folder = "";
+    }
+    this.folders.delete(folder.id);
+  }
+
+  // ==========================================================================
+  // Sharing
+  // ==========================================================================
+
+  /**
+   * Make a file or folder public (keeping its public ID if it is already shared)
+   * @private
+   */
+  _share(record, body) {
+    let expiresAt = null;
+    if (body.expiresAt !== undefined && body.expiresAt !== null) {
+      const time = Date.parse(body.expiresAt);
+      if (Number.isNaN(time)) throw new HttpError(400, "expiresAt must be an ISO 8601 date");
+      if (time <= Date.now()) throw new HttpError(400, "expiresAt must be in the future");
+      expiresAt = new Date(time).toISOString();
+    }
+    if (body.password !== undefined && body.password !== null && (typeof body.password !== "string" || body.password === "")) {
+      throw new HttpError(400, "password must be a non-empty string");
+    }
+
+    record.publicId = record.publicId || generateId(12);
+    record.shareUrl = `${this.url}/s/${record.publicId}`;
+    record.isShared = true;
+    record.shareExpiresAt = expiresAt;
+    record.sharePasswordProtected = Boolean(body.password);
+    record._sharePassword = body.password || null;
+    record.updated = new Date().toISOString();
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  _unshare(record) {
+    record.publicId = null;
+    record.shareUrl = null;
+    record.isShared = false;
+    record.shareExpiresAt = null;
+    record.sharePasswordProtected = false;
+    record._sharePassword = null;
+    record.updated = new Date().toISOString();
+    return record;
+  }
+
+  // ==========================================================================
+  // Uploads and storage
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  _storageUsed() {
+    let used = 0;
+    for (const file of this.files.values()) used += file.size;
+    return used;
+  }
+
+  /**
+   * @private
+   */
+  _presign(body) {
+    if (body.uploadId) {
+      const upload = this._multipartUploads.get(body.uploadId);
+      if (!upload || upload.key !== body.key) throw new HttpError(404, "Upload not found");
+      return {
+        parts: (body.partNumbers || []).map((partNumber) => ({
+          partNumber,
+          url: `${this.url}/_storage/${upload.key}/parts/${partNumber}?uploadId=${body.uploadId}`,
+          headers: {},
+        })),
+      };
+    }
+
+    if (!body.filename) throw new HttpError(400, "Filename is required");
+    if (typeof body.size !== "number" || body.size < 0) throw new HttpError(400, "Size is required");
+    if (body.folderId) this._getFolder(body.folderId);
+    if (this.storageLimit !== null && this._storageUsed() + body.size > this.storageLimit) {
+      throw new HttpError(403, "Storage limit exceeded");
+    }
+
+    const key = `objects/${generateId(20)}`;
+
+    if (body.multipart) {
+      const uploadId = generateId(24);
+      this._multipartUploads.set(uploadId, { key, parts: new Map(), filename: body.filename, size: body.size });
+      return { key, uploadId };
+    }
+
+    this._pendingUploads.set(key, { filename: body.filename, size: body.size });
+    return { url: `${this.url}/_storage/${key}?token=${generateId(32)}`, key, headers: {} };
+  }
+
+  /**
+   * @private
+   */
+  _complete(body) {
+    if (!body.key || !body.filename) throw new HttpError(400, "Key and filename are required");
+
+    if (body.uploadId) {
+      const upload = this._multipartUploads.get(body.uploadId);
+      if (!upload || upload.key !== body.key) throw new HttpError(404, "Upload not found");
+
+      const buffers = [];
+      for (const part of body.parts || []) {
+        const stored = upload.parts.get(part.partNumber);
+        if (!stored || (part.etag && part.etag !== stored.etag)) {
+          throw new HttpError(400, `Part ${part.partNumber} is missing or does not match`);
+        }
+        buffers.push(stored.data);
+      }
+
+      const content = Buffer.concat(buffers);
+      if (content.length !== body.size) throw new HttpError(400, `Size mismatch: expected ${body.size} bytes, got ${content.length}`);
+
+      this.objects.set(body.key, content);
+      this._multipartUploads.delete(body.uploadId);
+    } else {
+      const content = this.objects.get(body.key);
+      if (!content || !this._pendingUploads.has(body.key)) throw new HttpError(400, "Upload not found");
+      if (content.length !== body.size) throw new HttpError(400, `Size mismatch: expected ${body.size} bytes, got ${content.length}`);
+      this._pendingUploads.delete(body.key);
+    }
+
+    const content = this.objects.get(body.key);
+    for (const algorithm of ["sha256", "md5"]) {
+      if (body[algorithm] && body[algorithm] !== crypto.createHash(algorithm).update(content).digest("hex")) {
+        throw new HttpError(400, `Checksum mismatch: ${algorithm} does not match the stored content`);
+      }
+    }
+
+    return this._createFile({ key: body.key, filename: body.filename, size: body.size, type: body.type, folderId: body.folderId });
+  }
+
+  /**
+   * @private
+   */
+  _handleStorage(req, res, url, body) {
+    const match = url.pathname.match(/^\/_storage\/(.+?)(?:\/parts\/(\d+))?$/);
+    const key = match ? match[1] : null;
+
+    if (req.method === "PUT" && match && match[2]) {
+      const upload = this._multipartUploads.get(url.searchParams.get("uploadId"));
+      if (!upload || upload.key !== key) throw new HttpError(404, "Upload not found");
+
+      const etag = `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+      upload.parts.set(Number(match[2]), { data: body, etag });
+      res.writeHead(200, { ETag: etag });
+      res.end();
+      return;
+    }
+
+    if (req.method === "PUT") {
+      const pending = this._pendingUploads.get(key);
+      if (!pending) throw new HttpError(403, "Invalid or expired upload URL");
+      if (req.headers["content-md5"] && req.headers["content-md5"] !== crypto.createHash("md5").update(body).digest("base64")) {
+        throw new HttpError(400, "Content-MD5 does not match the uploaded content");
+      }
+
+      this.objects.set(key, body);
+      res.writeHead(200, { ETag: `"${crypto.createHash("md5").update(body).digest("hex")}"` });
+      res.end();
+      return;
+    }
+
+    if (req.method === "GET") {
+      const content = this.objects.get(key);
+      if (!content || this._pendingUploads.has(key)) throw new HttpError(404, "Object not found");
+
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || "");
+      if (range) {
+        const start = Number(range[1]);
+        const end = range[2] ? Math.min(Number(range[2]), content.length - 1) : content.length - 1;
+        if (start >= content.length) {
+          res.writeHead(416, { "Content-Range": `bytes */${content.length}` });
+          res.end();
+          return;
+        }
+        res.writeHead(206, {
+          "Content-Length": end - start + 1,
+          "Content-Range": `bytes ${start}-${end}/${content.length}`,
+          "Accept-Ranges": "bytes",
+        });
+        res.end(content.subarray(start, end + 1));
+        return;
+      }
+
+      res.writeHead(200, { "Content-Length": content.length, "Accept-Ranges": "bytes" });
+      res.end(content);
+      return;
+    }
+
+    throw new HttpError(405, "Method not allowed");
+  }
+
+  // ==========================================================================
+  // Metrics
+  // ==========================================================================
+
+  /**
+   * @private
+   */
+  _metrics() {
+    const used = this._storageUsed();
+    const chartLabels = [];
+    const uploadsChartData = [];
+    const today = new Date();
+
+    for (let i = 29; i >= 0; i--) {
+      const day = new Date(today.getTime() - i * 86400000).toISOString().slice(0, 10);
+      chartLabels.push(day);
+      uploadsChartData.push([...this.files.values()].filter((file) => file.created.slice(0, 10) === day).length);
+    }
+
+    return {
+      totalUploads: this.totalUploads,
+      filesStored: this.files.size,
+      storageUsed: formatBytes(used),
+      storageLimit: formatBytes(this.storageLimit),
+      storageUsedRaw: used,
+      storageLimitRaw: this.storageLimit,
+      apiRequests: this.apiRequests,
+      apiRequestsLimit: this.apiRequestsLimit,
+      showApiRequestsCard: this.apiRequestsLimit !== null,
+      plan: { id: null, slug: "test", name: "Test" },
+      uploadsChartData,
+      chartLabels,
+    };
+  }
+}
+
+/**
+ * Create and start a mock Brizo server
+ * @param {Object} [options] - Server options (see MockBrizoServer)
+ * @returns {Promise<MockBrizoServer>} Started server
+ */
+async function createMockServer(options = {}) {
+  const server = new MockBrizoServer(options);
+  await server.start();
+  return server;
+}
+
+module.exports = {
+  MockBrizoServer,
+  createMockServer,
+  DEFAULT_API_KEY,
+};
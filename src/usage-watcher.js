@@ -0,0 +1,152 @@
+/**
+ * Usage watcher for Brizo SDK
+ * Polls the metrics endpoint and emits events when storage or API request usage crosses configured percentages
+ */
+
+const { EventEmitter } = require("node:events");
+const { ValidationError } = require("./errors");
+
+const DEFAULT_INTERVAL = 60 * 1000;
+const DEFAULT_THRESHOLDS = [80, 90, 100];
+
+// Usage kinds: event prefix -> how to read used/limit from the metrics payload
+const KINDS = {
+  storage: (metrics) => ({ used: metrics.storageUsedRaw, limit: metrics.storageLimitRaw }),
+  apiRequests: (metrics) => ({ used: metrics.apiRequests, limit: metrics.apiRequestsLimit }),
+};
+
+/**
+ * Normalize a threshold option into a sorted list of percentages
+ * @private
+ */
+function parseThresholds(name, value) {
+  if (value === false || value === null) return [];
+
+  const list = value === undefined ? DEFAULT_THRESHOLDS : Array.isArray(value) ? value : [value];
+  for (const threshold of list) {
+    if (typeof threshold !== "number" || !(threshold > 0) || threshold > 100) {
+      throw new ValidationError(`thresholds.${name} must be percentages between 0 (exclusive) and 100`);
+    }
+  }
+
+  return [...new Set(list)].sort((a, b) => a - b);
+}
+
+class UsageWatcher extends EventEmitter {
+  /**
+   * @param {import('./metrics')} metrics - Metrics module
+   * @param {Object} [options] - Watch options (see Metrics#watch)
+   */
+  constructor(metrics, options = {}) {
+    super();
+
+    this.metrics = metrics;
+    this.interval = options.interval !== undefined ? options.interval : DEFAULT_INTERVAL;
+    if (typeof this.interval !== "number" || !(this.interval > 0)) {
+      throw new ValidationError("interval must be a positive number of milliseconds");
+    }
+
+    const thresholds = options.thresholds || {};
+    this.thresholds = {};
+    for (const kind of Object.keys(KINDS)) {
+      this.thresholds[kind] = parseThresholds(kind, thresholds[kind]);
+    }
+
+    // The signal stops the watcher rather than cancelling individual polls
+    this.requestOptions = options.retry !== undefined ? { retry: options.retry } : {};
+    this.signal = options.signal || null;
+    this.running = false;
+    this.last = null;
+    this._timer = null;
+    this._crossed = { storage: new Set(), apiRequests: new Set() };
+    this._onAbort = () => this.stop();
+  }
+
+  /**
+   * Start polling (the first check runs right away)
+   * @returns {UsageWatcher} This watcher
+   */
+  start() {
+    if (this.running) return this;
+
+    if (this.signal) {
+      if (this.signal.aborted) return this;
+      this.signal.addEventListener("abort", this._onAbort, { once: true });
+    }
+
+    this.running = true;
+    this._tick();
+    return this;
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (!this.running) return;
+
+    this.running = false;
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (this.signal) {
+      this.signal.removeEventListener("abort", this._onAbort);
+    }
+    this.emit("stop");
+  }
+
+  /**
+   * Fetch fresh metrics and emit threshold events for anything that crossed a threshold since the last check
+   * @returns {Promise<Object>} Usage snapshot ({ storage, apiRequests, checkedAt })
+   */
+  async check() {
+    const metrics = await this.metrics.get({ ...this.requestOptions, useCache: false });
+    const snapshot = { checkedAt: new Date().toISOString() };
+
+    for (const [kind, read] of Object.entries(KINDS)) {
+      const { used, limit } = read(metrics);
+      const percentage = limit ? (used / limit) * 100 : null;
+      const previous = this.last ? this.last[kind].percentage : null;
+      snapshot[kind] = { used, limit, percentage };
+
+      if (percentage === null) continue;
+
+      for (const threshold of this.thresholds[kind]) {
+        const crossed = this._crossed[kind];
+        if (percentage >= threshold && !crossed.has(threshold)) {
+          crossed.add(threshold);
+          this.emit(`${kind}:threshold`, { type: kind, threshold, percentage, previousPercentage: previous, used, limit });
+        } else if (percentage < threshold && crossed.has(threshold)) {
+          // Dropping back below re-arms the threshold so the next crossing is reported again
+          crossed.delete(threshold);
+        }
+      }
+    }
+
+    this.last = snapshot;
+    this.emit("usage", snapshot);
+    return snapshot;
+  }
+
+  /**
+   * Run one check and schedule the next one
+   * @private
+   */
+  async _tick() {
+    try {
+      await this.check();
+    } catch (error) {
+      // An 'error' event without a listener would crash the process, so failed polls are dropped unless someone listens
+      if (this.listenerCount("error") > 0) {
+        this.emit("error", error);
+      }
+    }
+
+    if (this.running) {
+      this._timer = setTimeout(() => this._tick(), this.interval);
+      // Waiting for the next check should not keep the process alive on its own
+      this._timer.unref();
+    }
+  }
+}
+
+module.exports = UsageWatcher;
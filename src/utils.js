@@ -0,0 +1,254 @@
+/**
+ * Shared helpers for Brizo SDK modules
+ */
+
+const { AbortError, ValidationError } = require("./errors");
+
+/**
+ * Wait for the given number of milliseconds
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Stops waiting and rejects with an AbortError when aborted
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new AbortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new AbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} [signal]
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new AbortError();
+  }
+}
+
+/**
+ * Pick the per-call request options (retry policy, abort signal) from a method's options object
+ * @param {Object} [options] - Options passed to a public SDK method
+ * @returns {Object} Options understood by HttpClient.request
+ */
+function pickRequestOptions(options = {}) {
+  const requestOptions = {};
+
+  if (options.retry !== undefined) {
+    requestOptions.retry = options.retry;
+  }
+  if (options.signal) {
+    requestOptions.signal = options.signal;
+  }
+
+  return requestOptions;
+}
+
+/**
+ * Run a handler over items with a fixed number in flight, starting the next item as soon as a slot frees up
+ * The handler is expected to catch its own errors; a rejection stops the pool and is rethrown
+ * @param {Array} items - Items to process, in order
+ * @param {number} concurrency - Maximum number of handlers running at once
+ * @param {Function} handler - Called with (item, index)
+ * @param {AbortSignal} [signal] - Stops starting new items once aborted
+ * @returns {Promise<number>} Number of items that were started
+ */
+async function runPool(items, concurrency, handler, signal) {
+  let next = 0;
+  let failed = false;
+
+  const worker = async () => {
+    while (next < items.length && !failed && !(signal && signal.aborted)) {
+      const index = next++;
+      try {
+        await handler(items[index], index);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  };
+
+  const workers = [];
+  for (let i = 0; i < Math.min(Math.max(1, concurrency), items.length); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+
+  return next;
+}
+
+/**
+ * Iterate over the items of a paginated listing, fetching pages lazily
+ * @param {Function} fetchPage - Called with a page number, resolves to { items, totalPages }
+ * @param {Object} [options] - Pagination options
+ * @param {number} [options.page=1] - First page to fetch
+ * @param {number|boolean} [options.prefetch=0] - Number of pages to fetch ahead of the consumer (true = 1)
+ * @param {number} [options.maxItems] - Stop after yielding this many items
+ * @returns {AsyncGenerator<Object>} Items across all pages
+ */
+async function* paginate(fetchPage, options = {}) {
+  const prefetch = options.prefetch === true ? 1 : Math.max(0, options.prefetch || 0);
+  const maxItems = options.maxItems !== undefined && options.maxItems !== null ? options.maxItems : Infinity;
+  const queue = [];
+  let nextPage = options.page || 1;
+  let totalPages = null;
+  let yielded = 0;
+
+  const fill = (target) => {
+    while (queue.length < target && (totalPages === null || nextPage <= totalPages)) {
+      const pending = fetchPage(nextPage++);
+      // Prefetched pages may never be awaited if the consumer stops early
+      pending.catch(() => {});
+      queue.push(pending);
+    }
+  };
+
+  fill(1);
+
+  while (queue.length > 0 && yielded < maxItems) {
+    const result = await queue.shift();
+    const items = result.items || [];
+
+    if (items.length === 0) return;
+
+    totalPages = result.totalPages;
+    fill(prefetch);
+
+    for (const item of items) {
+      if (yielded >= maxItems) return;
+      yielded++;
+      yield item;
+    }
+
+    fill(1);
+  }
+}
+
+/**
+ * Check whether a folder or file reference is a path rather than an ID
+ * IDs never contain a slash, so anything with one is a path ('/invoices' for a root-level folder)
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isPath(value) {
+  return typeof value === "string" && value.includes("/");
+}
+
+/**
+ * Split a remote path into its segments, ignoring leading, trailing and repeated slashes
+ * @param {string} path - Path such as 'invoices/2024/march.pdf'
+ * @returns {string[]} Segments
+ */
+function splitPath(path) {
+  if (typeof path !== "string") {
+    throw new ValidationError("Path must be a string");
+  }
+
+  return path.split("/").filter((segment) => segment.trim());
+}
+
+/**
+ * Find the items whose name matches a path segment
+ * Exact matches win; otherwise names are compared case-insensitively
+ * @param {Array} items - Candidate items
+ * @param {string} name - Segment to match
+ * @param {Function} nameOf - Returns an item's name
+ * @returns {Array} Matching items (more than one means the segment is ambiguous)
+ */
+function matchByName(items, name, nameOf) {
+  const exact = items.filter((item) => nameOf(item) === name);
+  if (exact.length > 0) return exact;
+
+  const lower = name.toLowerCase();
+  return items.filter((item) => nameOf(item).toLowerCase() === lower);
+}
+
+/**
+ * Build the request body for sharing a file or folder
+ * @param {Object} [options] - Share options
+ * @param {Date|string|number} [options.expiresAt] - When the link stops working (Date, ISO string or epoch milliseconds)
+ * @param {number} [options.expiresIn] - Milliseconds until the link stops working (instead of expiresAt)
+ * @param {string} [options.password] - Password visitors must enter
+ * @returns {Object} { expiresAt, password } with unset fields omitted
+ */
+function shareBody(options = {}) {
+  if (options.expiresAt !== undefined && options.expiresIn !== undefined) {
+    throw new ValidationError("Use either expiresAt or expiresIn, not both");
+  }
+
+  const body = {};
+
+  if (options.expiresIn !== undefined) {
+    if (typeof options.expiresIn !== "number" || !(options.expiresIn > 0)) {
+      throw new ValidationError("expiresIn must be a positive number of milliseconds");
+    }
+    body.expiresAt = new Date(Date.now() + options.expiresIn).toISOString();
+  } else if (options.expiresAt !== undefined && options.expiresAt !== null) {
+    const time = options.expiresAt instanceof Date ? options.expiresAt.getTime() : typeof options.expiresAt === "number" ? options.expiresAt : Date.parse(options.expiresAt);
+    if (!Number.isFinite(time)) {
+      throw new ValidationError("expiresAt must be a Date, an ISO 8601 string or epoch milliseconds");
+    }
+    if (time <= Date.now()) {
+      throw new ValidationError("expiresAt must be in the future");
+    }
+    body.expiresAt = new Date(time).toISOString();
+  }
+
+  if (options.password !== undefined && options.password !== null) {
+    if (typeof options.password !== "string" || options.password === "") {
+      throw new ValidationError("Password must be a non-empty string");
+    }
+    body.password = options.password;
+  }
+
+  return body;
+}
+
+/**
+ * Check whether a file or folder record is publicly shared right now (shared and not past its expiry)
+ * @param {Object} record - File or folder record
+ * @returns {boolean}
+ */
+function isSharedNow(record) {
+  if (!record || !record.isShared) return false;
+  return !record.shareExpiresAt || Date.parse(record.shareExpiresAt) > Date.now();
+}
+
+/**
+ * Make a remote file or folder name safe to use as a single local path segment
+ * @param {string} name
+ * @returns {string}
+ */
+function toLocalName(name) {
+  const safe = String(name).replace(/[/\\\0]/g, "_");
+  return safe === "." || safe === ".." || safe === "" ? "_" : safe;
+}
+
+module.exports = {
+  sleep,
+  throwIfAborted,
+  pickRequestOptions,
+  runPool,
+  paginate,
+  isPath,
+  splitPath,
+  matchByName,
+  shareBody,
+  isSharedNow,
+  toLocalName,
+};
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createMockServer } = require("../src/testing");
+
+test("retryFailed re-runs failed and skipped files and reports which were which", async (t) => {
+  const server = await createMockServer();
+  t.after(() => server.stop());
+  const brizo = server.createClient({ retry: { baseDelay: 1 } });
+  const missing = { file: "/nonexistent/brizo-batch-test.txt" };
+  const later = { file: Buffer.from("later"), filename: "later.txt" };
+
+  const first = await brizo.files.uploadBatch([missing, later], { concurrency: 1, failFast: true });
+  assert.deepStrictEqual(
+    first.failed.map((entry) => entry.options),
+    [missing],
+  );
+  assert.deepStrictEqual(first.skipped, [later]);
+
+  const retried = await brizo.files.retryFailed(first, { concurrency: 1 });
+
+  assert.deepStrictEqual(retried.retried, { failed: [missing], skipped: [later] });
+  assert.deepStrictEqual(
+    retried.successful.map((file) => file.originalName),
+    ["later.txt"],
+  );
+  assert.strictEqual(retried.failed.length, 1);
+});
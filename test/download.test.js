@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { Writable } = require("node:stream");
+const { createMockServer } = require("../src/testing");
+
+/**
+ * Mock server, client and scratch directory for one test, torn down afterwards
+ */
+async function setup(t) {
+  const server = await createMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brizo-download-test-"));
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { server, brizo: server.createClient({ retry: { baseDelay: 1 } }), dir };
+}
+
+test("resume: false discards a leftover partial download", async (t) => {
+  const { server, brizo, dir } = await setup(t);
+  const file = server.addFile({ name: "hello.txt", content: "hello world" });
+  const destination = path.join(dir, "hello.txt");
+  fs.writeFileSync(`${destination}.${file.id}.brizo-download`, "XXXXX");
+
+  const result = await brizo.files.download(file.id, { destination, resume: false });
+
+  assert.strictEqual(fs.readFileSync(destination, "utf8"), "hello world");
+  assert.strictEqual(result.bytes, 11);
+  assert.ok(!server.requests.some((request) => request.headers.range));
+  assert.ok(!fs.existsSync(`${destination}.${file.id}.brizo-download`));
+});
+
+test("follows the signed URL redirect and renames the temporary file into place once complete", async (t) => {
+  const { server, brizo, dir } = await setup(t);
+  const content = Buffer.alloc(2 * 1024 * 1024, "a");
+  const file = server.addFile({ name: "big.bin", content });
+  const destination = path.join(dir, "nested", "big.bin");
+  const seen = [];
+
+  const result = await brizo.files.download(file.id, {
+    destination,
+    progressInterval: 0,
+    onProgress: ({ loaded }) => seen.push({ loaded, destination: fs.existsSync(destination) }),
+  });
+
+  assert.deepStrictEqual(
+    server.requests.filter((request) => request.method === "GET").map((request) => request.path.split("/")[1]),
+    ["v1", "v1", "_storage"],
+  );
+  assert.ok(fs.readFileSync(destination).equals(content));
+  assert.deepStrictEqual(result, { file: result.file, destination, bytes: content.length });
+  assert.ok(seen.some(({ loaded }) => loaded > 0 && loaded < content.length));
+  assert.ok(seen.filter(({ loaded }) => loaded < content.length).every((entry) => !entry.destination));
+  assert.deepStrictEqual(fs.readdirSync(path.dirname(destination)), ["big.bin"]);
+});
+
+test("resumes a partial download left by a previous call", async (t) => {
+  const { server, brizo, dir } = await setup(t);
+  const file = server.addFile({ name: "hello.txt", content: "hello world" });
+  const destination = path.join(dir, "hello.txt");
+  fs.writeFileSync(`${destination}.${file.id}.brizo-download`, "hello");
+
+  const result = await brizo.files.download(file.id, { destination });
+
+  assert.strictEqual(fs.readFileSync(destination, "utf8"), "hello world");
+  assert.strictEqual(result.bytes, 11);
+  assert.deepStrictEqual(
+    server.requests.filter((request) => request.headers.range).map((request) => request.headers.range),
+    ["bytes=5-"],
+  );
+});
+
+test("starts over when the partial download is larger than the file", async (t) => {
+  const { server, brizo, dir } = await setup(t);
+  const file = server.addFile({ name: "hello.txt", content: "hello world" });
+  const destination = path.join(dir, "hello.txt");
+  fs.writeFileSync(`${destination}.${file.id}.brizo-download`, "this is far too long");
+
+  await brizo.files.download(file.id, { destination });
+
+  assert.strictEqual(fs.readFileSync(destination, "utf8"), "hello world");
+});
+
+test("resumes within the same call after a failed attempt", async (t) => {
+  const { server, brizo, dir } = await setup(t);
+  const file = server.addFile({ name: "hello.txt", content: "hello world" });
+  const destination = path.join(dir, "hello.txt");
+  server.injectError({ method: "GET", path: /^\/_storage\//, status: 503 });
+
+  await brizo.files.download(file.id, { destination });
+
+  assert.strictEqual(fs.readFileSync(destination, "utf8"), "hello world");
+  assert.strictEqual(server.requests.filter((request) => request.path.startsWith("/_storage/")).length, 2);
+});
+
+test("rejects a download whose size does not match the file record and removes the partial file", async (t) => {
+  const { server, brizo, dir } = await setup(t);
+  const file = server.addFile({ name: "hello.txt", content: "hello world" });
+  server.files.get(file.id).size = 20;
+  const destination = path.join(dir, "hello.txt");
+
+  await assert.rejects(brizo.files.download(file.id, { destination, retry: false }), (error) => error.name === "DownloadError" && error.details.received === 11 && error.details.expectedSize === 20);
+
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test("keeps an existing destination unless overwrite is set", async (t) => {
+  const { server, brizo, dir } = await setup(t);
+  const file = server.addFile({ name: "hello.txt", content: "hello world" });
+  const destination = path.join(dir, "hello.txt");
+  fs.writeFileSync(destination, "old");
+
+  await assert.rejects(brizo.files.download(file.id, { destination }), (error) => error.name === "ValidationError");
+  assert.strictEqual(fs.readFileSync(destination, "utf8"), "old");
+
+  await brizo.files.download(file.id, { destination, overwrite: true });
+  assert.strictEqual(fs.readFileSync(destination, "utf8"), "hello world");
+});
+
+test("writes into a stream without ending it", async (t) => {
+  const { server, brizo } = await setup(t);
+  const file = server.addFile({ name: "hello.txt", content: "hello world" });
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+
+  const result = await brizo.files.download(file.id, { stream: sink });
+
+  assert.strictEqual(Buffer.concat(chunks).toString(), "hello world");
+  assert.strictEqual(result.destination, null);
+  assert.strictEqual(sink.writableEnded, false);
+});
@@ -0,0 +1,27 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { createMockServer } = require("../src/testing");
+
+test("folder downloads rename a file that has the same name as a subfolder", async (t) => {
+  const server = await createMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brizo-folders-test-"));
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  const brizo = server.createClient({ retry: { baseDelay: 1 } });
+  const root = server.addFolder({ name: "site" });
+  const docs = server.addFolder({ name: "docs", parentId: root.id });
+  server.addFile({ name: "docs", content: "not a folder", folderId: root.id });
+  server.addFile({ name: "guide.txt", content: "guide", folderId: docs.id });
+
+  const results = await brizo.folders.download(root.id, dir);
+
+  assert.deepStrictEqual(results.failed, []);
+  assert.deepStrictEqual(results.successful.map((entry) => entry.relativePath).sort(), ["docs (2)", "docs/guide.txt"]);
+  assert.strictEqual(fs.readFileSync(path.join(dir, "docs (2)"), "utf8"), "not a folder");
+  assert.strictEqual(fs.readFileSync(path.join(dir, "docs", "guide.txt"), "utf8"), "guide");
+});
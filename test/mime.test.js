@@ -0,0 +1,90 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const MimeRegistry = require("../src/mime");
+const { createMockServer } = require("../src/testing");
+
+const bytes = (...values) => Buffer.from(values);
+
+test("UTF-16 and UTF-8 text with a byte order mark is not taken for audio", () => {
+  const mime = new MimeRegistry();
+
+  assert.strictEqual(mime.sniff(bytes(0xff, 0xfe, 0x61, 0x00, 0x2c, 0x00)), null);
+  assert.strictEqual(mime.sniff(bytes(0xfe, 0xff, 0x00, 0x61, 0x00, 0x2c)), null);
+  assert.strictEqual(mime.sniff(bytes(0xef, 0xbb, 0xbf, 0x61, 0x2c, 0x62)), null);
+  assert.strictEqual(mime.detect("report.csv", bytes(0xff, 0xfe, 0x61, 0x00, 0x2c, 0x00)).mimeType, "text/csv");
+});
+
+test("text starting with ID3 is not taken for an ID3 tag", () => {
+  const mime = new MimeRegistry();
+  const detected = mime.detect("notes.txt", Buffer.from("ID3 tags carry the title and artist of an MP3"));
+
+  assert.strictEqual(detected.detectedType, null);
+  assert.strictEqual(detected.mimeType, "text/plain");
+});
+
+test("complete ID3v2 headers are detected as MPEG audio", () => {
+  const mime = new MimeRegistry();
+
+  assert.strictEqual(mime.sniff(bytes(0x49, 0x44, 0x33, 0x04, 0x00, 0x00, 0x00, 0x00, 0x0f, 0x76)), "audio/mpeg");
+  // Version 0xFF, undefined flags and a non-syncsafe size are not ID3
+  assert.strictEqual(mime.sniff(bytes(0x49, 0x44, 0x33, 0xff, 0x00, 0x00, 0x00, 0x00, 0x0f, 0x76)), null);
+  assert.strictEqual(mime.sniff(bytes(0x49, 0x44, 0x33, 0x03, 0x00, 0x01, 0x00, 0x00, 0x0f, 0x76)), null);
+  assert.strictEqual(mime.sniff(bytes(0x49, 0x44, 0x33, 0x03, 0x00, 0x00, 0x80, 0x00, 0x0f, 0x76)), null);
+});
+
+test("MPEG and ADTS frame headers need valid layer, bitrate and sample rate fields", () => {
+  const mime = new MimeRegistry();
+
+  assert.strictEqual(mime.sniff(bytes(0xff, 0xfb, 0x90, 0x64)), "audio/mpeg");
+  assert.strictEqual(mime.sniff(bytes(0xff, 0xf1, 0x50, 0x80)), "audio/aac");
+  // Bitrate index 1111
+  assert.strictEqual(mime.sniff(bytes(0xff, 0xfb, 0xf0, 0x64)), null);
+  // Reserved sample rate index
+  assert.strictEqual(mime.sniff(bytes(0xff, 0xfb, 0x9c, 0x64)), null);
+  // Layer 00 without the 12-bit ADTS sync word
+  assert.strictEqual(mime.sniff(bytes(0xff, 0xe1, 0x50, 0x80)), null);
+});
+
+test("strict uploads accept UTF-16 CSV and ID3-prefixed text files", async (t) => {
+  const server = await createMockServer();
+  t.after(() => server.stop());
+  const brizo = server.createClient({ strictMimeType: true });
+
+  const csv = await brizo.files.upload({ file: Buffer.concat([bytes(0xff, 0xfe), Buffer.from("a,b\n1,2\n", "utf16le")]), filename: "data.csv" });
+  const text = await brizo.files.upload({ file: Buffer.from("ID3 tags explained\n"), filename: "id3.txt" });
+
+  assert.strictEqual(csv.mimeType, "text/csv");
+  assert.strictEqual(text.mimeType, "text/plain");
+});
+
+/**
+ * ftyp box with a major brand and compatible brands, as it opens MP4 and HEIF files
+ */
+function ftyp(major, ...compatible) {
+  const box = Buffer.alloc(16 + 4 * compatible.length);
+  box.writeUInt32BE(box.length, 0);
+  box.write(`ftyp${major}`, 4, "latin1");
+  compatible.forEach((brand, index) => box.write(brand, 16 + 4 * index, "latin1"));
+  return box;
+}
+
+test("HEIC and AVIF images are not taken for MP4 video", () => {
+  const mime = new MimeRegistry();
+
+  assert.strictEqual(mime.sniff(ftyp("heic", "mif1", "heic")), "image/heic");
+  assert.strictEqual(mime.sniff(ftyp("avif", "mif1", "miaf")), "image/avif");
+  assert.strictEqual(mime.sniff(ftyp("mif1", "mif1", "avif")), "image/avif");
+  assert.strictEqual(mime.sniff(ftyp("mif1", "mif1", "heic")), "image/heic");
+  assert.strictEqual(mime.sniff(ftyp("mif1", "mif1")), "image/heif");
+  assert.deepStrictEqual(mime.detect("photo.heic", ftyp("heic", "mif1", "heic")), { mimeType: "image/heic", declaredType: "image/heic", detectedType: "image/heic", mismatch: false });
+});
+
+test("ftyp brands keep telling MP4, M4A and QuickTime apart, and unknown brands are left undetected", () => {
+  const mime = new MimeRegistry();
+
+  assert.strictEqual(mime.sniff(ftyp("isom", "iso2", "mp41")), "video/mp4");
+  assert.strictEqual(mime.sniff(ftyp("M4A ", "isom")), "audio/mp4");
+  assert.strictEqual(mime.sniff(ftyp("qt  ", "qt  ")), "video/quicktime");
+  assert.strictEqual(mime.sniff(ftyp("crx ", "isom")), null);
+  assert.strictEqual(mime.detect("clip.mp4", ftyp("zzzz")).mimeType, "video/mp4");
+});
@@ -0,0 +1,132 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+const { createMockServer } = require("../src/testing");
+
+/**
+ * Mock server, client and scratch directory (with the sync root inside it) for one test, torn down afterwards
+ */
+async function setup(t) {
+  const server = await createMockServer();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "brizo-sync-test-"));
+  const local = path.join(dir, "local");
+  fs.mkdirSync(local);
+  t.after(async () => {
+    await server.stop();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return { server, brizo: server.createClient({ retry: { baseDelay: 1 } }), dir, local };
+}
+
+/**
+ * Remote files as { 'folder/name': content }, for comparing with the local tree
+ */
+function remoteTree(server) {
+  const folders = new Map();
+  const folderPath = (id) => {
+    if (!id) return [];
+    const folder = folders.get(id);
+    return [...folderPath(folder.parent), folder.name];
+  };
+  for (const folder of server.folders.values()) folders.set(folder.id, folder);
+
+  const tree = {};
+  for (const file of server.files.values()) {
+    tree[[...folderPath(file.folder), file.originalName].join("/")] = server.getContent(file.id).toString();
+  }
+  return tree;
+}
+
+/**
+ * Local files as { 'folder/name': content }
+ */
+function localTree(root) {
+  const tree = {};
+  for (const entry of fs.readdirSync(root, { recursive: true, withFileTypes: true })) {
+    if (entry.isFile()) {
+      const fullPath = path.join(entry.parentPath || entry.path, entry.name);
+      tree[path.relative(root, fullPath).split(path.sep).join("/")] = fs.readFileSync(fullPath, "utf8");
+    }
+  }
+  return tree;
+}
+
+test("uploads new files into the remote folder, creating the missing folders", async (t) => {
+  const { server, brizo, local } = await setup(t);
+  fs.mkdirSync(path.join(local, "docs"));
+  fs.writeFileSync(path.join(local, "readme.txt"), "hello");
+  fs.writeFileSync(path.join(local, "docs", "guide.txt"), "guide");
+
+  const report = await brizo.sync({ local, remote: "site" });
+
+  assert.deepStrictEqual(
+    report.completed.map((entry) => [entry.action, entry.path]).sort((a, b) => a[1].localeCompare(b[1])),
+    [
+      ["upload", "docs/guide.txt"],
+      ["upload", "readme.txt"],
+    ],
+  );
+  assert.deepStrictEqual(report.failed, []);
+  assert.deepStrictEqual(remoteTree(server), { "site/docs/guide.txt": "guide", "site/readme.txt": "hello" });
+});
+
+test("downloads remote files into the local directory", async (t) => {
+  const { server, brizo, local } = await setup(t);
+  const docs = server.addFolder({ name: "docs" });
+  server.addFile({ name: "readme.txt", content: "hello" });
+  server.addFile({ name: "guide.txt", content: "guide", folderId: docs.id });
+
+  const report = await brizo.sync({ local, direction: "download" });
+
+  assert.strictEqual(report.summary.downloads, 2);
+  assert.deepStrictEqual(report.failed, []);
+  assert.deepStrictEqual(localTree(local), { "docs/guide.txt": "guide", "readme.txt": "hello" });
+});
+
+test("two-way syncs send each side the files it is missing", async (t) => {
+  const { server, brizo, local } = await setup(t);
+  fs.writeFileSync(path.join(local, "local.txt"), "from disk");
+  server.addFile({ name: "remote.txt", content: "from server" });
+
+  const report = await brizo.sync({ local, direction: "both" });
+
+  assert.deepStrictEqual(
+    report.completed.map((entry) => [entry.action, entry.path]).sort((a, b) => a[1].localeCompare(b[1])),
+    [
+      ["upload", "local.txt"],
+      ["download", "remote.txt"],
+    ],
+  );
+  assert.deepStrictEqual(localTree(local), { "local.txt": "from disk", "remote.txt": "from server" });
+  assert.deepStrictEqual(remoteTree(server), { "local.txt": "from disk", "remote.txt": "from server" });
+});
+
+for (const direction of ["upload", "download", "both"]) {
+  test(`a second ${direction} sync finds nothing to do`, async (t) => {
+    const { server, brizo, local } = await setup(t);
+    fs.writeFileSync(path.join(local, "local.txt"), "from disk");
+    server.addFile({ name: "remote.txt", content: "from server" });
+
+    await brizo.sync({ local, direction });
+    const requests = server.requests.length;
+    const report = await brizo.sync({ local, direction });
+
+    assert.deepStrictEqual(report.plan, []);
+    assert.strictEqual(report.unchanged.length, direction === "both" ? 2 : 1);
+    assert.ok(server.requests.slice(requests).every((request) => request.method === "GET"));
+  });
+}
+
+test("remote names that would leave the local directory are kept inside it", async (t) => {
+  const { server, brizo, dir, local } = await setup(t);
+  server.addFile({ name: "../x", content: "escaped" });
+  server.addFile({ name: "..", content: "parent" });
+
+  const report = await brizo.sync({ local, direction: "download" });
+
+  assert.deepStrictEqual(report.failed, []);
+  assert.deepStrictEqual(localTree(local), { ".._x": "escaped", _: "parent" });
+  assert.deepStrictEqual(fs.readdirSync(dir), ["local"]);
+});
@@ -0,0 +1,21 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { execFile } = require("node:child_process");
+const path = require("node:path");
+
+test("a running watcher does not keep the process alive", async () => {
+  const script = `
+    const { createMockServer } = require(${JSON.stringify(path.join(__dirname, "..", "src", "testing"))});
+    createMockServer().then((server) => {
+      const watcher = server.createClient().metrics.watch({ interval: 60 * 60 * 1000 });
+      watcher.once("usage", () => server.stop());
+    });
+  `;
+
+  const started = Date.now();
+  await new Promise((resolve, reject) => {
+    execFile(process.execPath, ["-e", script], { timeout: 30 * 1000 }, (error) => (error ? reject(error) : resolve()));
+  });
+
+  assert.ok(Date.now() - started < 30 * 1000);
+});